@@ -41,11 +41,61 @@ done
 # Perform subsitution of all environment variables in the template file
 IFS="," echo "📝 Generating wrangler.toml from ${WranglerTemplateFile} by subsituting all environment variables, including those required (${RequiredVarsArray[*]})..."
 envsubst < "${WranglerTemplateFile}" | \
+{
+    # Check if WRANGLER_QUEUE_RETRY_NAME is set, and exclude the RETRY_QUEUE queue configuration if not
+    if [ -z "${WRANGLER_QUEUE_RETRY_NAME:-}" ]; then
+        echo "ℹ️ WRANGLER_QUEUE_RETRY_NAME not set, excluding queue configuration" >&2
+        grep -v "^queues ="
+    else
+        echo "✓ Keeping RETRY_QUEUE queue configuration" >&2
+        cat
+    fi
+} | \
+{
+    # Check if either WRANGLER_QUEUE_RETRY_NAME or WRANGLER_VARS_ADMIN_NOTIFY is set, and exclude the SEND_EMAIL configuration if not
+    if [ -z "${WRANGLER_QUEUE_RETRY_NAME:-}" ] && [ -z "${WRANGLER_VARS_ADMIN_NOTIFY:-}" ]; then
+        echo "ℹ️ Neither WRANGLER_QUEUE_RETRY_NAME nor WRANGLER_VARS_ADMIN_NOTIFY set, excluding send email configuration" >&2
+        grep -v "^send_email ="
+    else
+        echo "✓ Keeping SEND_EMAIL configuration" >&2
+        cat
+    fi
+} | \
+{
+    # Check if WRANGLER_D1_DELIVERY_LOG_ID is set, and exclude the D1 DELIVERY_LOG database configuration if not
+    if [ -z "${WRANGLER_D1_DELIVERY_LOG_ID:-}" ]; then
+        echo "ℹ️ WRANGLER_D1_DELIVERY_LOG_ID not set, excluding D1 database configuration" >&2
+        grep -v "^d1_databases ="
+    else
+        echo "✓ Keeping D1 DELIVERY_LOG database configuration" >&2
+        cat
+    fi
+} | \
+{
+    # Check if WRANGLER_KV_RATE_LIMIT_COUNTERS_ID is set, and exclude the KV RATE_LIMIT_COUNTERS namespace configuration if not
+    if [ -z "${WRANGLER_KV_RATE_LIMIT_COUNTERS_ID:-}" ]; then
+        echo "ℹ️ WRANGLER_KV_RATE_LIMIT_COUNTERS_ID not set, excluding KV RATE_LIMIT_COUNTERS namespace configuration" >&2
+        grep -v '^    { binding = "RATE_LIMIT_COUNTERS",'
+    else
+        echo "✓ Keeping KV RATE_LIMIT_COUNTERS namespace configuration" >&2
+        cat
+    fi
+} | \
+{
+    # Check if WRANGLER_KV_DESTINATION_STATE_ID is set, and exclude the KV DESTINATION_STATE namespace configuration if not
+    if [ -z "${WRANGLER_KV_DESTINATION_STATE_ID:-}" ]; then
+        echo "ℹ️ WRANGLER_KV_DESTINATION_STATE_ID not set, excluding KV DESTINATION_STATE namespace configuration" >&2
+        grep -v '^    { binding = "DESTINATION_STATE",'
+    else
+        echo "✓ Keeping KV DESTINATION_STATE namespace configuration" >&2
+        cat
+    fi
+} | \
 {
     # Check if WRANGLER_KV_MAP_ID is set, and exclude the KV MAP namespace configuration if not
     if [ -z "${WRANGLER_KV_MAP_ID:-}" ]; then
-        echo "ℹ️ WRANGLER_KV_MAP_ID not set, excluding KV namespace configuration" >&2
-        grep -v "^kv_namespaces ="
+        echo "ℹ️ WRANGLER_KV_MAP_ID not set, excluding KV MAP namespace configuration" >&2
+        grep -v '^    { binding = "MAP",'
     else
         echo "✓ Keeping KV MAP namespace configuration" >&2
         cat
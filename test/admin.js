@@ -0,0 +1,208 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// Administration API conditions where:
+// - the MAP binding is an in-memory stand-in for a KV namespace
+//
+describe('Administration API', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+    };
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        user1: 'user1',
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        rejectDest1: 'user1+spam@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    const request = (method, path, body, token = TEST.ADMIN_TOKEN) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+            body: body,
+        });
+
+    describe('Disabled', () => {
+        const MAP = new MemoryKV();
+        const environment = { ...DEFAULTS, MAP };
+
+        it.each([
+            ['GET', '/keys', 404],
+            ['PUT', '/keys/user1', 405],
+        ])('%s %s should respond %i', async (method, path, status) => {
+            const response = await worker.fetch(request(method, path), environment, context);
+            expect(response.status).toBe(status);
+        });
+    });
+
+    describe('Authentication', () => {
+        const MAP = new MemoryKV();
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            [null],
+            ['wrong-token'],
+            [`${TEST.ADMIN_TOKEN}-suffix`],
+        ])('token %s should be unauthorized', async (token) => {
+            const response = await worker.fetch(request('GET', '/keys', undefined, token), environment, context);
+            expect(response.status).toBe(401);
+            expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+        });
+
+        it('other paths should still respond not found', async () => {
+            const response = await worker.fetch(request('GET', '/'), environment, context);
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Listing and reading keys', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@DESTINATION', r.dest1);
+        MAP.set('@USERS', 'user1,user2');
+        MAP.set(r.user1, `${r.dest1};${r.rejectReason}`);
+        MAP.set('user1+', 'subA');
+        MAP.set('user1+shopping', r.dest2);
+        MAP.set('user2', r.dest2);
+        const environment = { ...TEST, MAP };
+
+        it('lists all keys with their scope and type', async () => {
+            const response = await worker.fetch(request('GET', '/keys'), environment, context);
+            expect(response.status).toBe(200);
+            expect(await response.json()).toEqual({
+                keys: [
+                    { key: '@DESTINATION', scope: 'global', type: 'destination' },
+                    { key: '@USERS', scope: 'global', type: 'users' },
+                    { key: 'user1', scope: 'user', type: 'destination' },
+                    { key: 'user1+', scope: 'user', type: 'subaddresses' },
+                    { key: 'user1+shopping', scope: 'subaddress', type: 'destination' },
+                    { key: 'user2', scope: 'user', type: 'destination' },
+                ],
+                cursor: null,
+            });
+        });
+
+        it('lists keys with a prefix', async () => {
+            const response = await worker.fetch(request('GET', '/keys?prefix=user1'), environment, context);
+            expect((await response.json()).keys.map(k => k.key)).toEqual(['user1', 'user1+', 'user1+shopping']);
+        });
+
+        it.each([
+            ['/keys/user1', 'user1', `${r.dest1};${r.rejectReason}`],
+            ['/keys/user1%2B', 'user1+', 'subA'],
+            ['/keys/%40DESTINATION', '@DESTINATION', r.dest1],
+        ])('GET %s should read key %s', async (path, key, value) => {
+            const response = await worker.fetch(request('GET', path), environment, context);
+            expect(response.status).toBe(200);
+            expect(await response.json()).toMatchObject({ key, value });
+        });
+
+        it('GET of a missing key should respond not found', async () => {
+            const response = await worker.fetch(request('GET', '/keys/user3'), environment, context);
+            expect(response.status).toBe(404);
+        });
+
+        it('GET of a malformed key encoding should respond bad request', async () => {
+            const response = await worker.fetch(request('GET', '/keys/user1%E0%A4%A'), environment, context);
+            expect(response.status).toBe(400);
+            expect(await response.json()).toEqual({ error: 'Invalid key encoding' });
+        });
+    });
+
+    describe('Writing and deleting keys', () => {
+        const MAP = new MemoryKV();
+        MAP.set(r.user1, r.dest1);
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user2', r.dest2, 201],
+            ['user1', `${r.dest1};${r.rejectDest1}`, 200],
+            ['user1+', '+subA,subB', 201],
+            ['user1+shopping', `${r.dest2};${r.rejectDest1}`, 201],
+            ['@DESTINATION', '@email.com', 201],
+            ['@REJECT_TREATMENT', ': No such user', 201],
+            ['@SUBADDRESSES', '*', 201],
+            ['@USERS', 'user1, user2', 201],
+            ['@BLOCKED_SENDERS', 'spammer@spam.com, @junk.com, *.bulk.com', 201],
+            ['user1@ALLOWED_SENDERS', 'friend@internet.com', 201],
+        ])('PUT %s with "%s" should respond %i and be stored', async (key, value, status) => {
+            const response = await worker.fetch(
+                request('PUT', `/keys/${encodeURIComponent(key)}`, value), environment, context);
+            expect(response.status).toBe(status);
+            expect(await MAP.get(key)).toBe(value);
+        });
+
+        it.each([
+            ['user3', 'missingdomain', ["Destination 'missingdomain' is invalidly formatted"]],
+            ['user3', `${r.dest1}, ${r.dest1}`, [`Destination '${r.dest1}' is a duplicate`]],
+            ['user3', `${r.dest1};missing domain@`, ["Reject destination 'missing domain@' is invalidly formatted"]],
+            ['user3+shopping', '+shopping', ["Destination 'user3+shopping' is invalidly formatted"]],
+            ['@USERS', 'user1, user2+subA', ["User 'user2+suba' can never match"]],
+            ['@SUBADDRESSES', '+sub A', ["Subaddress 'sub a' can never match"]],
+            ['user1@BLOCKED_SENDERS', 'spam mer@spam.com', ["Sender 'spam mer@spam.com' can never match"]],
+        ])('PUT %s with "%s" should be rejected with %j', async (key, value, issues) => {
+            const response = await worker.fetch(
+                request('PUT', `/keys/${encodeURIComponent(key)}`, value), environment, context);
+            expect(response.status).toBe(400);
+            expect(await response.json()).toEqual({ error: 'Invalid value', issues });
+            expect(await MAP.get(key)).not.toBe(value);
+        });
+
+        it.each([
+            ['@UNKNOWN'],
+            ['User3'],
+            ['user3@Domain.com'],
+            ['user3+@BLOCKED_SENDERS'],
+            ['user3+shopping@BLOCKED_SENDERS'],
+            ['+shopping'],
+        ])('PUT of unsupported key %s should be rejected', async (key) => {
+            const response = await worker.fetch(
+                request('PUT', `/keys/${encodeURIComponent(key)}`, r.dest1), environment, context);
+            expect(response.status).toBe(400);
+            expect(await MAP.get(key)).toBeNull();
+        });
+
+        it('DELETE should remove the key', async () => {
+            MAP.set('user4', r.dest1);
+            const response = await worker.fetch(request('DELETE', '/keys/user4'), environment, context);
+            expect(response.status).toBe(204);
+            expect(await MAP.get('user4')).toBeNull();
+            const secondResponse = await worker.fetch(request('DELETE', '/keys/user4'), environment, context);
+            expect(secondResponse.status).toBe(404);
+        });
+
+        it('POST should not be allowed', async () => {
+            const response = await worker.fetch(request('POST', '/keys/user1', r.dest1), environment, context);
+            expect(response.status).toBe(405);
+        });
+    });
+
+    describe('Stored configuration written is used when forwarding', () => {
+        const MAP = new MemoryKV();
+        const environment = { ...TEST, MAP };
+        const message = {
+            from: 'random@internet.com',
+            forward: vi.fn(),
+            setReject: vi.fn(),
+            to: 'user1@domain.com',
+            headers: new Headers(),
+            raw: null,
+            rawSize: null,
+        };
+
+        it('forwards to the destination written', async () => {
+            await worker.fetch(request('PUT', '/keys/user1', r.dest1), environment, context);
+            await worker.email(message, environment, context);
+            expect(message.forward).toHaveBeenCalledWith(r.dest1,
+                new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS }));
+            expect(message.setReject).not.toHaveBeenCalled();
+        });
+    });
+});
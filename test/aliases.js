@@ -0,0 +1,150 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// User alias conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - aliases point users at canonical users
+//
+describe('Email forwarding: user aliases', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest: 'user@email.com',
+        jdoeDest: 'jdoe@email.com',
+        jdoeRejectDest: 'jdoe+spam@email.com',
+        shopDest: 'jdoe+shop@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+    describe('Aliases', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('jdoe', `${r.jdoeDest};${r.jdoeRejectDest}`);
+        MAP.set('jdoe+', 'shop');
+        MAP.set('jdoe+shop', r.shopDest);
+        MAP.set('john.doe@ALIAS', 'jdoe');
+        MAP.set('john@ALIAS', 'John.Doe');
+        MAP.set('loop1@ALIAS', 'loop2');
+        MAP.set('loop2@ALIAS', 'loop1');
+        MAP.set('jane', r.dest);
+        MAP.set('jane@ALIAS', 'jdoe');
+        const environment = { ...TEST, MAP, CONSOLE_LOG_ENABLED: 'true' };
+
+        it.each([
+            ['jdoe@domain.com', r.jdoeDest],
+            ['john.doe@domain.com', r.jdoeDest],
+            ['john@domain.com', r.jdoeDest],
+            ['john+shop@domain.com', r.shopDest],
+            ['jane@domain.com', r.dest],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('aliases should share the subaddress rules of the canonical user', async () => {
+            message.to = 'john+news@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.jdoeRejectDest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+        });
+
+        it('looping aliases should be ignored', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            message.to = 'loop1@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'alias loop', aliases: ['loop1', 'loop2', 'loop1'],
+            }));
+        });
+
+        it('the aliases followed should be logged', async () => {
+            const log = vi.spyOn(console, 'log').mockImplementation(() => { });
+            message.to = 'john@domain.com';
+            await worker.email(message, environment, context);
+            expect(log).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'ResolvingAliases',
+                aliases: ['john', 'john.doe', 'jdoe'],
+                canonicalUser: 'jdoe',
+            }));
+        });
+
+        it('simulation should show the aliases and sources of the canonical user', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'john+shop@domain.com' })), environment, context);
+            expect(await response.json()).toMatchObject({
+                messageUser: 'john',
+                userAliases: ['john', 'john.doe', 'jdoe'],
+                canonicalUser: 'jdoe',
+                sources: { destination: 'MAP:jdoe+shop', subaddresses: 'MAP:jdoe+shop' },
+            });
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            [[['jdoe@ALIAS', 'jdoe']], 'MAP:jdoe@ALIAS', "Alias 'jdoe' is the user itself"],
+            [[['john@ALIAS', 'team-*']], 'MAP:john@ALIAS', "Alias 'team-*' is not a user"],
+            [[['a@ALIAS', 'b'], ['b@ALIAS', 'a']], 'MAP:a@ALIAS', "Aliases 'a > b > a' loop"],
+        ])('%j should have error at %s: %s', (storedEntries, source, issue) => {
+            expect(configurationIssues(storedEntries, { DESTINATION: r.dest }))
+                .toContainEqual({ severity: 'error', source: source, issue: issue });
+        });
+
+        it('PUT of a self alias should respond 400', async () => {
+            const response = await worker.fetch(request('PUT', '/keys/jdoe%40ALIAS', 'jdoe'),
+                { ...TEST, MAP: new MemoryKV() }, context);
+            expect(response.status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,221 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// Authentication result conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - the message's Authentication-Results headers are mocked
+//
+describe('Email forwarding: authentication results', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    let mockHeaders = {};
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => ({
+                'Message-ID': 'h9MTV7vNalV3',
+                'Date': 'Wed, 30 Oct 2024 15:30:00 +0000',
+                ...mockHeaders,
+            })[headerName] ?? null
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+        mockHeaders = {};
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        rejectDest2: 'user2+spoofed@email.com',
+        suspectDest: 'suspect@email.com',
+        rejectReason: 'common reject reason',
+        results: (spf, dkim, dmarc) => ({
+            'Authentication-Results': `mx.cloudflare.net; spf=${spf} smtp.mailfrom=shop.com; dkim=${dkim} header.d=shop.com; dmarc=${dmarc} (p=REJECT) header.from=shop.com`,
+        }),
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('Rejecting authentication failures', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@REJECT_AUTHENTICATION_FAILURES', 'dmarc, spf');
+        MAP.set('user1', r.dest1);
+        MAP.set('user2', `${r.dest2};${r.rejectDest2}`);
+        MAP.set('user3', r.dest1);
+        MAP.set('user3@REJECT_AUTHENTICATION_FAILURES', '');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain.com', {}],
+            ['user1@domain.com', r.results('pass', 'pass', 'pass')],
+            ['user1@domain.com', r.results('softfail', 'fail', 'none')],
+            ['user3@domain.com', r.results('fail', 'pass', 'fail')],
+        ])('%s with headers %j should forward', async (to, headers) => {
+            mockHeaders = headers;
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1@domain.com', r.results('pass', 'pass', 'fail')],
+            ['user1@domain.com', r.results('fail', 'pass', 'pass')],
+            ['user1@domain.com', { 'ARC-Authentication-Results': 'i=1; mx.cloudflare.net; dmarc=FAIL header.from=shop.com' }],
+            ['user1@domain.com', { 'Authentication-Results': `${r.results('pass', 'pass', 'fail')['Authentication-Results']}, mx.cloudflare.net; spf=pass dkim=pass dmarc=pass` }],
+        ])('%s with headers %j should reject', async (to, headers) => {
+            mockHeaders = headers;
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+        });
+
+        it('Authentication-Results should take priority over ARC-Authentication-Results', async () => {
+            mockHeaders = {
+                ...r.results('pass', 'pass', 'pass'),
+                'ARC-Authentication-Results': 'i=1; mx.cloudflare.net; dmarc=fail',
+            };
+            message.to = 'user1@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+        });
+
+        it.each([
+            [{ 'Authentication-Results': 'x; spf=fail dkim=fail dmarc=fail' }],
+            [{ 'ARC-Authentication-Results': 'i=1; mx.relay.com; dmarc=fail' }],
+        ])('results with an untrusted authserv-id %j should be ignored', async (headers) => {
+            mockHeaders = headers;
+            message.to = 'user1@domain.com';
+            const response = await worker.fetch(request('POST', '/simulate', JSON.stringify({
+                to: 'user1@domain.com', headers,
+            })), environment, context);
+            expect(await response.json()).toMatchObject({
+                authentication: { spf: null, dkim: null, dmarc: null },
+            });
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+        });
+
+        it('spoofed passing results should not hide the trusted results', async () => {
+            mockHeaders = {
+                'Authentication-Results': 'x; spf=pass dkim=pass dmarc=pass, '
+                    + r.results('fail', 'fail', 'fail')['Authentication-Results'],
+            };
+            message.to = 'user1@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+        });
+
+        it('TRUSTED_AUTHSERV_IDS should set the trusted authserv-ids', async () => {
+            mockHeaders = { 'Authentication-Results': 'MX.Relay.com 1; dmarc=fail' };
+            message.to = 'user1@domain.com';
+            await worker.email(message, { ...environment, TRUSTED_AUTHSERV_IDS: 'mx.cloudflare.net, mx.relay.com' }, context);
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+        });
+
+        it('a failure should reject forward to the reject destination', async () => {
+            mockHeaders = r.results('pass', 'pass', 'fail');
+            message.to = 'user2@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.rejectDest2, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+        });
+
+        it('the results should be logged with the email', async () => {
+            const info = vi.spyOn(console, 'info').mockImplementation(() => { });
+            mockHeaders = r.results('pass', 'none', 'fail');
+            message.to = 'user1@domain.com';
+            await worker.email(message, environment, context);
+            expect(info).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'DirectRejecting',
+                email: expect.objectContaining({ authentication: { spf: 'pass', dkim: 'none', dmarc: 'fail' } }),
+            }));
+        });
+
+        it('simulation should show the results and their configuration', async () => {
+            const response = await worker.fetch(request('POST', '/simulate', JSON.stringify({
+                to: 'user3@domain.com', headers: r.results('fail', 'pass', 'pass'),
+            })), environment, context);
+            expect(await response.json()).toMatchObject({
+                authentication: { spf: 'fail', dkim: 'pass', dmarc: 'pass' },
+                messageAuthenticationIsAllowed: true,
+                sources: { rejectAuthenticationFailures: 'MAP:user3@REJECT_AUTHENTICATION_FAILURES' },
+            });
+        });
+
+        it('the configuration should only be read if a method failed', async () => {
+            const get = vi.spyOn(MAP, 'get');
+            mockHeaders = r.results('pass', 'pass', 'pass');
+            message.to = 'user1@domain.com';
+            await worker.email(message, environment, context);
+            expect(get).not.toHaveBeenCalledWith('@REJECT_AUTHENTICATION_FAILURES');
+            expect(get).not.toHaveBeenCalledWith('user1@REJECT_AUTHENTICATION_FAILURES');
+        });
+    });
+
+    describe('Rule conditions', () => {
+        const MAP = new MemoryKV();
+        MAP.set('user1', r.dest1);
+        MAP.set('@RULES', JSON.stringify([
+            { conditions: [{ authentication: 'dkim', equals: 'fail' }], destinations: [r.suspectDest] },
+        ]));
+        const environment = { ...TEST, MAP, USE_STORED_RULES: 'true' };
+
+        it.each([
+            [r.results('pass', 'fail', 'pass'), r.suspectDest],
+            [r.results('pass', 'pass', 'pass'), r.dest1],
+            [{}, r.dest1],
+        ])('user1@domain.com with headers %j should forward to %s', async (headers, dest) => {
+            mockHeaders = headers;
+            message.to = 'user1@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            ['/keys/%40REJECT_AUTHENTICATION_FAILURES', 'dmarc, arc', 400],
+            ['/keys/%40REJECT_AUTHENTICATION_FAILURES', 'DMARC, spf', 201],
+            ['/keys/user1%40REJECT_AUTHENTICATION_FAILURES', '', 201],
+            ['/keys/%40RULES', '[{"conditions": [{"authentication": "bimi", "equals": "pass"}]}]', 400],
+        ])('PUT %s with "%s" should respond %i', async (path, value, status) => {
+            const response = await worker.fetch(request('PUT', path, value), { ...TEST, MAP: new MemoryKV() }, context);
+            expect(response.status).toBe(status);
+        });
+    });
+});
@@ -0,0 +1,259 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// Auto-reply conditions where:
+// - auto-replies are stored in a MemoryKV bound as MAP
+// - replies are sent with a replyEmail mock
+// - replied senders are kept in a MemoryKV bound as DESTINATION_STATE
+// - the time is given by a fake clock
+//
+describe('Email forwarding: auto-replies', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    let mockHeaders = {};
+    const message = {
+        from: undefined,
+        forward: undefined,
+        setReject: undefined,
+        to: undefined,
+        headers: {
+            get: (headerName) => mockHeaders[headerName] ?? null,
+        },
+        raw: null,
+        rawSize: 999,
+    };
+
+    // Reference test data
+    const r = {
+        sender: 'sender@internet.com',
+        dest: 'user1@email.com',
+        time: '2025-07-05T12:00:00.000Z',
+        later: (days) => new Date(Date.parse('2025-07-05T12:00:00.000Z') + days * 24 * 60 * 60 * 1000),
+        autoReply: {
+            subject: 'Out of office',
+            body: 'I am away until the 15th of July.\nRegards',
+            start: '2025-07-01T00:00:00Z',
+            end: '2025-07-15T00:00:00Z',
+        },
+    };
+
+    let forward;
+    let setReject;
+    let replyEmail;
+    let MAP;
+    let environment;
+    beforeEach(async () => {
+        message.from = r.sender;
+        message.to = 'user@domain.com';
+        mockHeaders = {
+            'Message-ID': '<h9MTV7vNalV3@internet.com>',
+            'Subject': 'Meeting',
+        };
+        forward = message.forward = vi.fn(async () => { });
+        setReject = message.setReject = vi.fn(reason => reason);
+        replyEmail = vi.fn(async () => { });
+        MAP = new MemoryKV();
+        MAP.set('user@AUTO_REPLY', JSON.stringify(r.autoReply));
+        environment = {
+            ...TEST,
+            USERS: 'user',
+            DESTINATION: r.dest,
+            USE_STORED_AUTO_REPLY: 'true',
+            MAP,
+            DESTINATION_STATE: new MemoryKV(),
+            replyEmail,
+            now: () => new Date(r.time),
+        };
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    const email = async () => await worker.email(message, environment, context);
+    const replies = () => replyEmail.mock.calls.map(([, from, to, raw]) => ({ from, to, raw }));
+
+    describe('Replying', () => {
+        it('should reply to the sender of an accepted message', async () => {
+            await email();
+            expect(forward).toHaveBeenCalledWith(r.dest, expect.anything());
+            expect(replyEmail).toHaveBeenCalledWith(message, 'user@domain.com', r.sender, expect.any(String));
+            const [{ raw }] = replies();
+            expect(raw).toContain('From: user@domain.com\r\n');
+            expect(raw).toContain(`To: ${r.sender}\r\n`);
+            expect(raw).toContain('Subject: Out of office\r\n');
+            expect(raw).toContain('In-Reply-To: <h9MTV7vNalV3@internet.com>\r\n');
+            expect(raw).toContain('Auto-Submitted: auto-replied\r\n');
+            expect(raw).toContain('MIME-Version: 1.0\r\n');
+            expect(raw).toContain('Content-Transfer-Encoding: 7bit\r\n');
+            expect(raw).toMatch(/\r\n\r\nI am away until the 15th of July.\r\nRegards\r\n$/);
+        });
+
+        it('should encode a non-ASCII subject and body', async () => {
+            const subject = 'Absent du bureau jusqu’au 15 juillet, réponse différée';
+            MAP.set('user@AUTO_REPLY', JSON.stringify({ subject: subject, body: 'Je suis absent.\nCordialement, Hélène' }));
+            await email();
+            const [{ raw }] = replies();
+            const [header, body] = raw.split('\r\n\r\n');
+            const decoded = (base64) => new TextDecoder().decode(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+            const [, encodedSubject] = header.match(/\r\nSubject: (.*(?:\r\n .*)*)/);
+            const words = encodedSubject.split('\r\n ');
+            expect(words.length).toBeGreaterThan(1);
+            expect(words.every(word => word.length <= 75 && word.startsWith('=?UTF-8?B?') && word.endsWith('?='))).toBe(true);
+            expect(words.map(word => decoded(word.slice('=?UTF-8?B?'.length, -'?='.length))).join('')).toBe(subject);
+            expect(header).toContain('Content-Transfer-Encoding: base64');
+            expect(decoded(body.replace(/\r\n/g, ''))).toBe('Je suis absent.\r\nCordialement, Hélène');
+        });
+
+        it('should default the subject to that of the message', async () => {
+            MAP.set('user@AUTO_REPLY', JSON.stringify({ body: 'Away' }));
+            await email();
+            expect(replies()[0].raw).toContain('Subject: Auto: Meeting\r\n');
+        });
+
+        it.each([
+            ['before the start', -5],
+            ['at the end', 9.5],
+        ])('should not reply %s', async (_, days) => {
+            environment.now = () => r.later(days);
+            await email();
+            expect(replyEmail).not.toHaveBeenCalled();
+        });
+
+        it('should not reply to a rejected message', async () => {
+            environment.DESTINATION = '';
+            await email();
+            expect(setReject).toHaveBeenCalled();
+            expect(replyEmail).not.toHaveBeenCalled();
+        });
+
+        it('should not reply unless stored auto-replies are enabled', async () => {
+            environment.USE_STORED_AUTO_REPLY = DEFAULTS.USE_STORED_AUTO_REPLY;
+            const get = vi.spyOn(MAP, 'get');
+            await email();
+            expect(replyEmail).not.toHaveBeenCalled();
+            expect(get).not.toHaveBeenCalledWith('user@AUTO_REPLY');
+        });
+
+        it('should not reply without a DESTINATION_STATE binding', async () => {
+            environment.DESTINATION_STATE = undefined;
+            const warn = vi.spyOn(console, 'warn');
+            await email();
+            expect(forward).toHaveBeenCalled();
+            expect(replyEmail).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'auto-reply without a DESTINATION_STATE binding',
+            }));
+        });
+
+        it('should never fail the email when replying fails', async () => {
+            replyEmail.mockRejectedValue(new Error('reply failed'));
+            const warn = vi.spyOn(console, 'warn');
+            await email();
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'auto-reply not sent',
+                errorMessage: 'reply failed',
+            }));
+        });
+    });
+
+    describe('Loop avoidance', () => {
+        it.each([
+            [{ 'Auto-Submitted': 'auto-replied' }],
+            [{ 'Auto-Submitted': 'auto-generated' }],
+            [{ 'Precedence': 'bulk' }],
+            [{ 'Precedence': 'List' }],
+            [{ 'Precedence': 'junk' }],
+            [{ 'List-Id': '<list.internet.com>' }],
+        ])('should not reply to a message with %j', async (headers) => {
+            mockHeaders = { ...mockHeaders, ...headers };
+            await email();
+            expect(replyEmail).not.toHaveBeenCalled();
+        });
+
+        it('should reply to a message with Auto-Submitted: no', async () => {
+            mockHeaders['Auto-Submitted'] = 'no';
+            await email();
+            expect(replyEmail).toHaveBeenCalled();
+        });
+
+        it('should not reply without a sender', async () => {
+            message.from = '';
+            await email();
+            expect(replyEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Replying once per sender', () => {
+        beforeEach(async () => {
+            await email();
+            replyEmail.mockClear();
+        });
+
+        it('should not reply to the same sender within the interval', async () => {
+            environment.now = () => r.later(1);
+            await email();
+            expect(replyEmail).not.toHaveBeenCalled();
+        });
+
+        it('should reply to another sender', async () => {
+            message.from = 'other@internet.com';
+            await email();
+            expect(replies()[0].to).toBe('other@internet.com');
+        });
+
+        it('should remember the sender for intervalDays', async () => {
+            const put = vi.spyOn(environment.DESTINATION_STATE, 'put');
+            MAP.set('user@AUTO_REPLY', JSON.stringify({ ...r.autoReply, intervalDays: 2 }));
+            message.from = 'other@internet.com';
+            await email();
+            expect(put).toHaveBeenCalledWith(`autoReplied:user:other@internet.com`, r.time,
+                { expirationTtl: 2 * 24 * 60 * 60 });
+        });
+    });
+
+    describe('Validation', () => {
+        const errors = (storedEntries, environment) =>
+            configurationIssues(storedEntries, environment)
+                .filter(issue => issue.severity === 'error')
+                .map(({ source, issue }) => [source, issue]);
+
+        it.each([
+            [[['user1@AUTO_REPLY', JSON.stringify(r.autoReply)]], { USE_STORED_AUTO_REPLY: 'true' }],
+            [[['user1@AUTO_REPLY', JSON.stringify({ body: 'Away', intervalDays: 1 })]], { USE_STORED_AUTO_REPLY: 'true' }],
+        ])('%j with %j should have no errors', (storedEntries, environment) => {
+            expect(errors(storedEntries, environment)).toEqual([]);
+        });
+
+        it.each([
+            [[['user1@AUTO_REPLY', 'Away']], { USE_STORED_AUTO_REPLY: 'true' },
+                ['MAP:user1@AUTO_REPLY', expect.stringMatching(/^Invalid JSON/)]],
+            [[['user1@AUTO_REPLY', JSON.stringify({ subject: 'Away' })]], { USE_STORED_AUTO_REPLY: 'true' },
+                ['MAP:user1@AUTO_REPLY', "Field 'body' is not a non-empty string"]],
+            [[['user1@AUTO_REPLY', JSON.stringify({ body: 'Away', subject: 'Away\r\nBcc: x@y.com' })]], { USE_STORED_AUTO_REPLY: 'true' },
+                ['MAP:user1@AUTO_REPLY', "Field 'subject' is not a single line string"]],
+            [[['user1@AUTO_REPLY', JSON.stringify({ body: 'Away', start: 'tomorrow' })]], { USE_STORED_AUTO_REPLY: 'true' },
+                ['MAP:user1@AUTO_REPLY', "Field 'start' has an invalid time 'tomorrow'"]],
+            [[['user1@AUTO_REPLY', JSON.stringify({ body: 'Away', intervalDays: 0 })]], { USE_STORED_AUTO_REPLY: 'true' },
+                ['MAP:user1@AUTO_REPLY', "Field 'intervalDays' is not a positive number"]],
+            [[['user1@AUTO_REPLY', JSON.stringify({ body: 'Away', until: '2025-07-15' })]], { USE_STORED_AUTO_REPLY: 'true' },
+                ['MAP:user1@AUTO_REPLY', "Field 'until' is not supported"]],
+        ])('%j with %j should have error %j', (storedEntries, environment, error) => {
+            expect(errors(storedEntries, environment)).toContainEqual(error);
+        });
+
+        it('should warn that a stored auto-reply is not used unless enabled', () => {
+            expect(configurationIssues([['user1@AUTO_REPLY', JSON.stringify(r.autoReply)]], {})).toContainEqual({
+                severity: 'warning',
+                source: 'MAP:user1@AUTO_REPLY',
+                issue: 'Key is not used as stored auto-replies are disabled',
+            });
+        });
+    });
+});
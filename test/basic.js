@@ -559,6 +559,59 @@ describe('Email forwarding: basic conditions', () => {
         });
     });
 
+    describe('KV subaddresses', () => {
+
+        describe('Subaddress destinations override user and global destinations', () => {
+            const MAP = new Map();
+            MAP.set('@DESTINATION', r.dest);
+            MAP.set('@REJECT_TREATMENT', r.rejectReason);
+            MAP.set(r.user1, `${r.dest1};${r.rejectDest1}`);
+            MAP.set('user1+', 'subA');
+            MAP.set('user1+shopping', r.dest1a);
+            MAP.set('user1+work', `${r.dest1b};${r.rejectReason1}`);
+            MAP.set('user1+news', ` ; ${r.rejectDest1a}`);
+            MAP.set('user2+shopping', `${r.dest2};`);
+            const environment = { ...TEST, MAP };
+
+            it.each([
+                ['user1@domain.com', r.dest1],
+                ['user1+subA@domain.com', r.dest1],
+                ['user1+shopping@domain.com', r.dest1a],
+                ['USER1+SHOPPING@domain.com', r.dest1a],
+                ['user1+work@domain.com', r.dest1b],
+                ['user1+news@domain.com', r.dest1],
+                ['user2+shopping@domain.com', r.dest2],
+            ])('%s should forward to %s', async (to, dest) => {
+                message.to = to;
+                await worker.email(message, environment, context);
+                expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+                expect(forward).toHaveBeenCalledTimes(1);
+                expect(setReject).not.toHaveBeenCalled();
+            });
+
+            it.each([
+                ['user1+subB@domain.com', r.rejectDest1],
+            ])('%s should reject forward to %s', async (to, dest) => {
+                message.to = to;
+                await worker.email(message, environment, context);
+                expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+                expect(forward).toHaveBeenCalledTimes(1);
+                expect(setReject).not.toHaveBeenCalled();
+            });
+
+            it.each([
+                ['user2@domain.com', r.rejectReason],
+                ['user2+work@domain.com', r.rejectReason],
+            ])('%s should direct reject with reason \'%s\'', async (to, reason) => {
+                message.to = to;
+                await worker.email(message, environment, context);
+                expect(forward).not.toHaveBeenCalled();
+                expect(setReject).toHaveBeenCalledWith(reason);
+                expect(setReject).toHaveBeenCalledTimes(1);
+            });
+        });
+    });
+
     describe('Message local part comparision is case insensitive; Destination is case sensitive', () => {
         const MAP = new Map();
         MAP.set('@SUBADDRESSES', 'subA');
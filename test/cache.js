@@ -0,0 +1,171 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// Stored configuration cache conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - KV reads are counted per message
+//
+describe('Email forwarding: stored configuration cache', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest: 'user@email.com',
+        dest1: 'user1@email.com',
+        newDest1: 'user1+new@email.com',
+        shopDest1: 'user1+shop@email.com',
+    };
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // A new KV namespace for each test, as the cache is per KV namespace
+    let MAP;
+    let get;
+    let forward;
+    beforeEach(async () => {
+        message.to = null;
+        forward = vi.spyOn(message, 'forward');
+        MAP = new MemoryKV();
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('user1', r.dest1);
+        MAP.set('user1+shop', r.shopDest1);
+        get = vi.spyOn(MAP, 'get');
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    const email = async (to, environment) => {
+        message.to = to;
+        await worker.email(message, { ...environment, MAP }, context);
+    };
+
+    describe('KV reads per message', () => {
+        it.each([
+            ['user1@domain.com', {}, 6, 6],
+            ['user1+shop@domain.com', {}, 8, 8],
+            ['user1@domain.com', { STORED_CONFIGURATION_CACHE_TTL: '60' }, 6, 0],
+            ['user1+shop@domain.com', { STORED_CONFIGURATION_CACHE_TTL: '60' }, 8, 2],
+            ['user1@domain.com', { USE_STORED_BUNDLED_ADDRESS_CONFIGURATION: 'true' }, 3, 3],
+            ['user1@domain.com', { USE_STORED_BUNDLED_ADDRESS_CONFIGURATION: 'true', STORED_CONFIGURATION_CACHE_TTL: '60' }, 3, 0],
+            ['user1@domain.com', { USE_STORED_USER_CONFIGURATION: 'false' }, 4, 4],
+            ['user1@domain.com', { USE_STORED_SENDERS: 'true' }, 10, 10],
+            ['user1@domain.com', { USE_STORED_MAX_SIZE: 'true' }, 8, 8],
+        ])('%s with %j should read %i then %i times', async (to, configuration, firstReads, secondReads) => {
+            const environment = { ...TEST, ...configuration };
+            await email(to, environment);
+            expect(get).toHaveBeenCalledTimes(firstReads);
+            get.mockClear();
+            await email(to, environment);
+            expect(get).toHaveBeenCalledTimes(secondReads);
+        });
+
+        it('should read again once the cache expires', async () => {
+            const environment = { ...TEST, STORED_CONFIGURATION_CACHE_TTL: '60' };
+            const now = Date.now();
+            vi.spyOn(Date, 'now').mockReturnValue(now);
+            await email('user1@domain.com', environment);
+            get.mockClear();
+            vi.spyOn(Date, 'now').mockReturnValue(now + 59 * 1000);
+            await email('user1@domain.com', environment);
+            expect(get).toHaveBeenCalledTimes(0);
+            vi.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+            await email('user1@domain.com', environment);
+            expect(get).toHaveBeenCalledTimes(6);
+        });
+
+        it('should forget the least recently cached keys beyond the maximum', async () => {
+            const environment = { ...TEST, STORED_CONFIGURATION_CACHE_TTL: '60' };
+            const maxEntries = FIXED.STORED_VALUE_CACHE_MAX_ENTRIES;
+            FIXED.STORED_VALUE_CACHE_MAX_ENTRIES = 10;
+            try {
+                await email('user1@domain.com', environment);
+                get.mockClear();
+                await email('user1@domain.com', environment);
+                expect(get).toHaveBeenCalledTimes(0);
+                // Messages to random addresses cache their missing keys
+                for (const user of ['random1', 'random2', 'random3', 'random4', 'random5'])
+                    await email(`${user}@domain.com`, environment);
+                get.mockClear();
+                await email('user1@domain.com', environment);
+                expect(get).not.toHaveBeenCalledTimes(0);
+            } finally {
+                FIXED.STORED_VALUE_CACHE_MAX_ENTRIES = maxEntries;
+            }
+        });
+
+        it('should pass the KV cacheTtl for address and user configuration', async () => {
+            await email('user1+shop@domain.com', { ...TEST, STORED_CONFIGURATION_KV_CACHE_TTL: '300' });
+            expect(get).toHaveBeenCalledWith('@DESTINATION', { cacheTtl: 300 });
+            expect(get).toHaveBeenCalledWith('user1', { cacheTtl: 300 });
+            expect(get).toHaveBeenCalledWith('user1+shop');
+        });
+
+        it.each([
+            ['30', { cacheTtl: 60 }],
+            ['90.4', { cacheTtl: 90 }],
+        ])('should raise or round a KV cacheTtl of %s to %j', async (kvCacheTtl, options) => {
+            await email('user1@domain.com', { ...TEST, STORED_CONFIGURATION_KV_CACHE_TTL: kvCacheTtl });
+            expect(get).toHaveBeenCalledWith('@DESTINATION', options);
+        });
+
+        it.each(['ten', '0', '-60'])('should ignore an invalid KV cacheTtl of %s', async (kvCacheTtl) => {
+            const warn = vi.spyOn(console, 'warn');
+            await email('user1@domain.com', { ...TEST, STORED_CONFIGURATION_KV_CACHE_TTL: kvCacheTtl });
+            expect(forward).toHaveBeenLastCalledWith(r.dest1, passHeaders);
+            expect(get).toHaveBeenCalledWith('@DESTINATION');
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({ variable: 'STORED_CONFIGURATION_KV_CACHE_TTL' }));
+        });
+    });
+
+    describe('Cached values', () => {
+        it('should be forgotten when changed by the administration API', async () => {
+            const environment = { ...TEST, STORED_CONFIGURATION_CACHE_TTL: '60' };
+            await email('user1@domain.com', environment);
+            expect(forward).toHaveBeenLastCalledWith(r.dest1, passHeaders);
+            await worker.fetch(new Request(`${r.url}/keys/user1`, {
+                method: 'PUT',
+                headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+                body: r.newDest1,
+            }), { ...environment, MAP }, context);
+            await email('user1@domain.com', environment);
+            expect(forward).toHaveBeenLastCalledWith(r.newDest1, passHeaders);
+        });
+
+        it('should include a bundled global configuration', async () => {
+            MAP.set('@CONFIGURATION', JSON.stringify({ DESTINATION: r.dest, USERS: '*' }));
+            const environment = { ...TEST, USE_STORED_BUNDLED_ADDRESS_CONFIGURATION: 'true' };
+            await email('user2@domain.com', environment);
+            expect(forward).toHaveBeenCalledWith(r.dest, passHeaders);
+            expect(get).toHaveBeenCalledWith('@CONFIGURATION');
+            expect(get).not.toHaveBeenCalledWith('@DESTINATION');
+        });
+    });
+});
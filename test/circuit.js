@@ -0,0 +1,241 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// Destination circuit breaker conditions where:
+// - message.forward mock throws an unrecoverable error for some destinations
+// - circuits are kept in a MemoryKV bound as DESTINATION_STATE
+// - the time is given by a fake clock
+//
+describe('Email forwarding: destination circuit breaker', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+        UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE: 'Unrecoverable Forward Implementation Error',
+        CIRCUIT_FAILURE_THRESHOLD: '2',
+        CIRCUIT_COOLDOWN_SECONDS: '600',
+    };
+    let failingDestinations = [];
+    const message = {
+        from: 'sender@internet.com',
+        forward: undefined,
+        setReject: undefined,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        time: '2025-03-01T12:00:00.000Z',
+        later: (seconds) => new Date(Date.parse('2025-03-01T12:00:00.000Z') + seconds * 1000),
+    };
+
+    let forward;
+    let setReject;
+    let DESTINATION_STATE;
+    let environment;
+    beforeEach(async () => {
+        message.to = 'user@domain.com';
+        failingDestinations = [];
+        forward = message.forward = vi.fn(async (to, headers) => {
+            if (failingDestinations.includes(to))
+                throw new Error(TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE);
+        });
+        setReject = message.setReject = vi.fn(reason => reason);
+        DESTINATION_STATE = new MemoryKV();
+        environment = {
+            ...TEST,
+            USERS: 'user',
+            DESTINATION: `${r.dest1}:${r.dest2}`,
+            DESTINATION_STATE,
+            now: () => new Date(r.time),
+        };
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    const email = async () => await worker.email(message, environment, context);
+    const forwardedTo = () => forward.mock.calls.map(([to]) => to);
+    const circuit = async (destination) => JSON.parse(await DESTINATION_STATE.get(`circuit:${destination}`));
+    const health = async () => await worker.fetch(new Request(`${r.url}/health`, {
+        headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+    }), environment, context);
+
+    describe('Opening', () => {
+        it('should count consecutive failures until the threshold opens the circuit', async () => {
+            failingDestinations = [r.dest1];
+            await email();
+            expect(await circuit(r.dest1)).toEqual({
+                consecutiveFailures: 1,
+                lastFailure: r.time,
+                lastErrorMessage: TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE,
+            });
+            const warn = vi.spyOn(console, 'warn');
+            await email();
+            expect(await circuit(r.dest1)).toMatchObject({
+                consecutiveFailures: 2,
+                openedUntil: r.later(600).toISOString(),
+            });
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'OpeningCircuit',
+                simpleDestination: r.dest1,
+            }));
+        });
+
+        it('should reset the count once a forward succeeds', async () => {
+            failingDestinations = [r.dest1];
+            await email();
+            failingDestinations = [];
+            await email();
+            expect(await DESTINATION_STATE.get(`circuit:${r.dest1}`)).toBeNull();
+        });
+
+        it('should never open circuits by default', async () => {
+            environment = { ...environment, CIRCUIT_FAILURE_THRESHOLD: DEFAULTS.CIRCUIT_FAILURE_THRESHOLD };
+            failingDestinations = [r.dest1];
+            for (let m = 0; m < 3; m++)
+                await email();
+            expect(forwardedTo().filter(to => to === r.dest1)).toHaveLength(3);
+            expect(await DESTINATION_STATE.get(`circuit:${r.dest1}`)).toBeNull();
+        });
+    });
+
+    describe('Open', () => {
+        beforeEach(async () => {
+            failingDestinations = [r.dest1];
+            await email();
+            await email();
+            forward.mockClear();
+        });
+
+        it('should skip the destination until the cooldown ends', async () => {
+            environment.now = () => r.later(599);
+            await email();
+            expect(forwardedTo()).toEqual([r.dest2]);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('should ask the sender to retry if every destination is skipped', async () => {
+            failingDestinations = [r.dest1, r.dest2];
+            await expect(email()).rejects.toThrow();
+            await expect(email()).rejects.toThrow();
+            forward.mockClear();
+            await expect(email()).rejects.toThrow();
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Half-open', () => {
+        beforeEach(async () => {
+            failingDestinations = [r.dest1];
+            await email();
+            await email();
+            forward.mockClear();
+            environment.now = () => r.later(600);
+        });
+
+        it('should close the circuit once a probe succeeds', async () => {
+            failingDestinations = [];
+            const info = vi.spyOn(console, 'info');
+            await email();
+            expect(forwardedTo()).toEqual([r.dest1]);
+            expect(await DESTINATION_STATE.get(`circuit:${r.dest1}`)).toBeNull();
+            expect(info).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'ClosingCircuit',
+                simpleDestination: r.dest1,
+            }));
+        });
+
+        it('should open the circuit again once a probe fails', async () => {
+            await email();
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2]);
+            expect(await circuit(r.dest1)).toMatchObject({
+                consecutiveFailures: 3,
+                openedUntil: r.later(1200).toISOString(),
+            });
+        });
+
+        it('should probe with only one message at a time', async () => {
+            let probed;
+            const probe = new Promise(resolve => probed = resolve);
+            forward.mockImplementationOnce(async () => {
+                await probe;
+                throw new Error(TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE);
+            });
+            const probing = email();
+            await vi.waitFor(() => expect(forward).toHaveBeenCalledTimes(1));
+            await email();
+            probed();
+            await probing;
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2, r.dest2]);
+        });
+    });
+
+    describe('GET /health', () => {
+        it('should report the state of each circuit', async () => {
+            failingDestinations = [r.dest1, r.dest2];
+            await email();
+            failingDestinations = [r.dest1];
+            await email();
+            const response = await health();
+            expect(response.status).toBe(200);
+            expect(await response.json()).toEqual({
+                time: r.time,
+                circuitFailureThreshold: 2,
+                circuitCooldownSeconds: 600,
+                isDestinationStateShared: true,
+                openCircuits: 1,
+                circuits: [
+                    {
+                        destination: r.dest1,
+                        state: 'open',
+                        consecutiveFailures: 2,
+                        lastFailure: r.time,
+                        lastErrorMessage: TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE,
+                        openedUntil: r.later(600).toISOString(),
+                    },
+                ],
+            });
+        });
+
+        it('should report half-open circuits', async () => {
+            failingDestinations = [r.dest1];
+            await email();
+            await email();
+            environment.now = () => r.later(600);
+            expect(await (await health()).json()).toMatchObject({
+                openCircuits: 1,
+                circuits: [{ destination: r.dest1, state: 'half-open' }],
+            });
+        });
+
+        it.each([
+            ['POST', { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` }, 405],
+            ['GET', {}, 401],
+        ])('%s with %j should respond %i', async (method, headers, status) => {
+            const response = await worker.fetch(new Request(`${r.url}/health`, { method, headers }),
+                environment, context);
+            expect(response.status).toBe(status);
+        });
+    });
+});
@@ -0,0 +1,235 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+import { MemoryQueue } from "./helpers/memory.js";
+
+// Error classification conditions where:
+// - message.forward mock throws the error message given for a destination
+//
+describe('Email forwarding: error classification', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    let errorMessages = {};
+    const message = {
+        from: 'sender@internet.com',
+        forward: undefined,
+        setReject: undefined,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: 'Subject: hello\r\n\r\nbody',
+        rawSize: 999,
+    };
+
+    // Reference test data
+    const r = {
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        dest3: 'user3@email.com',
+        rejectDest: 'user+spam@email.com',
+        mailboxFull: 'could not send email: mailbox full',
+        notVerified: 'could not send email: destination address is not verified',
+        rateLimited: 'could not send email: rate limit exceeded',
+        blocked: 'could not send email: blocked by policy',
+        unknown: 'could not send email: something else',
+    };
+    const classification = JSON.stringify([
+        { pattern: 'mailbox full', category: 'recoverable' },
+        { pattern: 'blocked', category: 'permanent', action: 'reject' },
+    ]);
+
+    let forward;
+    let setReject;
+    let environment;
+    beforeEach(async () => {
+        message.to = 'user@domain.com';
+        errorMessages = {};
+        forward = message.forward = vi.fn(async (to, headers) => {
+            if (errorMessages[to] !== undefined)
+                throw new Error(errorMessages[to]);
+        });
+        setReject = message.setReject = vi.fn(reason => reason);
+        environment = {
+            ...TEST,
+            USERS: 'user',
+            DESTINATION: `${r.dest1}:${r.dest2}`,
+            REJECT_TREATMENT: r.rejectDest,
+            ERROR_CLASSIFICATION: classification,
+        };
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    const email = async () => await worker.email(message, environment, context);
+    const forwardedTo = () => forward.mock.calls.map(([to]) => to);
+    const forwardingStatus = (info) => info.mock.calls.map(([log]) => log)
+        .find(log => log.action === 'AcceptForwarding');
+
+    describe('Categories', () => {
+        it.each([
+            [r.mailboxFull, 'recoverable'],
+            [FIXED.RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE_1, 'recoverable'],
+            [r.notVerified, 'unverified-destination'],
+            [r.rateLimited, 'unknown'],
+            [r.blocked, 'permanent'],
+            [r.unknown, 'unknown'],
+        ])('%j should be classified as %s', async (errorMessage, category) => {
+            errorMessages = { [r.dest1]: errorMessage };
+            const info = vi.spyOn(console, 'info');
+            await email();
+            expect(forwardingStatus(info).errorMessages).toEqual([
+                expect.objectContaining({ simpleDestination: r.dest1, errorMessage, category }),
+            ]);
+        });
+
+        it('should fail over after a rate limit error unless it is classified', async () => {
+            errorMessages = { [r.dest1]: r.rateLimited };
+            await email();
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2]);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('should match the configured classification first', async () => {
+            environment.ERROR_CLASSIFICATION = JSON.stringify([{ pattern: 'not verified', category: 'permanent' }]);
+            errorMessages = { [r.dest1]: r.notVerified };
+            const info = vi.spyOn(console, 'info');
+            await email();
+            expect(forwardingStatus(info).errorMessages[0].category).toBe('permanent');
+        });
+
+        it('should ignore a classification with issues', async () => {
+            environment.ERROR_CLASSIFICATION = JSON.stringify([{ pattern: 'mailbox full', category: 'full' }]);
+            errorMessages = { [r.dest1]: r.mailboxFull };
+            const warn = vi.spyOn(console, 'warn');
+            const info = vi.spyOn(console, 'info');
+            await email();
+            expect(forwardingStatus(info).errorMessages[0].category).toBe('unknown');
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({ variable: 'ERROR_CLASSIFICATION' }));
+        });
+    });
+
+    describe('Actions', () => {
+        it('next should attempt the next destination', async () => {
+            errorMessages = { [r.dest1]: r.notVerified };
+            await email();
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2]);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('next should make the sender retry once all recoverable destinations fail', async () => {
+            errorMessages = { [r.dest1]: r.mailboxFull, [r.dest2]: r.unknown };
+            await expect(email()).rejects.toThrow(FIXED.RECOVERABLE_FORWARD_INTERFACE_ERROR_MESSAGE);
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2]);
+        });
+
+        it('skip should skip the rest of the redundant destination', async () => {
+            environment.ERROR_CLASSIFICATION = JSON.stringify([
+                { pattern: 'not verified', category: 'unverified-destination', action: 'skip' },
+            ]);
+            environment.DESTINATION = `${r.dest1}:${r.dest2},${r.dest3}`;
+            errorMessages = { [r.dest1]: r.notVerified };
+            await email();
+            expect(forwardedTo()).toEqual([r.dest1, r.dest3, r.rejectDest]);
+        });
+
+        it('throw should make the sender retry without attempting the rest', async () => {
+            environment.ERROR_CLASSIFICATION = JSON.stringify([{ pattern: 'rate limit', category: 'rate-limited' }]);
+            errorMessages = { [r.dest1]: r.rateLimited };
+            await expect(email()).rejects.toThrow(FIXED.RECOVERABLE_FORWARD_INTERFACE_ERROR_MESSAGE);
+            expect(forwardedTo()).toEqual([r.dest1]);
+        });
+
+        it('throw should queue a retry if there is a retry queue', async () => {
+            const RETRY_QUEUE = new MemoryQueue();
+            environment = { ...environment, RETRY_QUEUE, SEND_EMAIL: {}, sendEmail: vi.fn(async () => { }) };
+            environment.ERROR_CLASSIFICATION = JSON.stringify([{ pattern: 'rate limit', category: 'rate-limited' }]);
+            errorMessages = { [r.dest1]: r.rateLimited };
+            await email();
+            expect(RETRY_QUEUE.receive().messages[0].body)
+                .toMatchObject({ multiDestination: [[r.dest1, r.dest2]] });
+        });
+
+        it('reject should "reject" the message even if others are recoverable', async () => {
+            environment.DESTINATION = `${r.dest1}:${r.dest2},${r.dest3}`;
+            errorMessages = { [r.dest1]: r.blocked, [r.dest3]: r.mailboxFull };
+            await email();
+            expect(forwardedTo()).toEqual([r.dest1, r.dest3, r.rejectDest]);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Stored classification', () => {
+        let MAP;
+        beforeEach(async () => {
+            MAP = new MemoryKV();
+            MAP.set(FIXED.STORED_ERROR_CLASSIFICATION_KEY,
+                JSON.stringify([{ pattern: 'something else', category: 'rate-limited' }]));
+            environment = { ...environment, MAP };
+            errorMessages = { [r.dest1]: r.unknown };
+        });
+
+        it('should be matched if enabled', async () => {
+            environment.USE_STORED_ERROR_CLASSIFICATION = 'true';
+            await expect(email()).rejects.toThrow(FIXED.RECOVERABLE_FORWARD_INTERFACE_ERROR_MESSAGE);
+            expect(forwardedTo()).toEqual([r.dest1]);
+        });
+
+        it('should not be read by default', async () => {
+            const get = vi.spyOn(MAP, 'get');
+            await email();
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2]);
+            expect(get).not.toHaveBeenCalledWith(FIXED.STORED_ERROR_CLASSIFICATION_KEY);
+        });
+    });
+
+    describe('Validation', () => {
+        const errors = (storedEntries, environment) =>
+            configurationIssues(storedEntries, environment)
+                .filter(issue => issue.severity === 'error')
+                .map(({ source, issue }) => [source, issue]);
+
+        it.each([
+            [[], { ERROR_CLASSIFICATION: classification }],
+            [[['@ERROR_CLASSIFICATION', classification]], { USE_STORED_ERROR_CLASSIFICATION: 'true' }],
+        ])('%j with %j should have no errors', (storedEntries, environment) => {
+            expect(errors(storedEntries, environment)).toEqual([]);
+        });
+
+        it.each([
+            [[], { ERROR_CLASSIFICATION: '{}' },
+                ['environment:ERROR_CLASSIFICATION', 'JSON document is not an array']],
+            [[], { ERROR_CLASSIFICATION: JSON.stringify([{ pattern: '(', category: 'permanent' }]) },
+                ['environment:ERROR_CLASSIFICATION', "Field '[0].pattern' is an invalid regular expression"]],
+            [[['@ERROR_CLASSIFICATION', JSON.stringify([{ pattern: 'x', category: 'transient' }])]],
+                { USE_STORED_ERROR_CLASSIFICATION: 'true' },
+                ['MAP:@ERROR_CLASSIFICATION', "Field '[0].category' is not one of 'recoverable', 'unverified-destination', 'rate-limited', 'permanent', 'unknown'"]],
+            [[['@ERROR_CLASSIFICATION', JSON.stringify([{ pattern: 'x', category: 'permanent', action: 'bounce' }])]],
+                { USE_STORED_ERROR_CLASSIFICATION: 'true' },
+                ['MAP:@ERROR_CLASSIFICATION', "Field '[0].action' is not one of 'next', 'skip', 'throw', 'reject'"]],
+        ])('%j with %j should have error %j', (storedEntries, environment, error) => {
+            expect(errors(storedEntries, environment)).toContainEqual(error);
+        });
+
+        it('should warn that a stored classification is not used unless enabled', () => {
+            expect(configurationIssues([['@ERROR_CLASSIFICATION', classification]], {})).toContainEqual({
+                severity: 'warning',
+                source: 'MAP:@ERROR_CLASSIFICATION',
+                issue: 'Key is not used as stored error classification is disabled',
+            });
+        });
+    });
+});
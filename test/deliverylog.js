@@ -0,0 +1,253 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+import { MemoryDeliveryLog } from "./helpers/memory.js";
+
+// Delivery log conditions where:
+// - message.forward mock throws for failing destinations
+// - deliveries are recorded in a MemoryDeliveryLog bound as DELIVERY_LOG
+//
+describe('Email forwarding: delivery log', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+        UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE: 'Unrecoverable Forward Implementation Error',
+    };
+    let failingDestinations = [];
+    const message = {
+        from: 'sender@internet.com',
+        forward: async (to, headers) => {
+            if (failingDestinations.includes(to))
+                throw new Error(TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE);
+        },
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1a: 'user1a@email.com',
+        dest1b: 'user1b@email.com',
+        dest2: 'user2@email.com',
+        rejectDest2: 'user2+spam@email.com',
+        time: '2025-03-01T12:00:00.000Z',
+    };
+
+    const request = (method, path) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+        });
+
+    let MAP;
+    let DELIVERY_LOG;
+    let environment;
+    beforeEach(async () => {
+        message.to = null;
+        failingDestinations = [];
+        MAP = new MemoryKV();
+        MAP.set('user1', `${r.dest1a}:${r.dest1b}`);
+        MAP.set('user2', `${r.dest2};${r.rejectDest2}`);
+        DELIVERY_LOG = new MemoryDeliveryLog();
+        environment = { ...TEST, MAP, DELIVERY_LOG, now: () => new Date(r.time) };
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    const email = async (to) => {
+        message.to = to;
+        await worker.email(message, environment, context);
+    };
+    const deliveries = () =>
+        DELIVERY_LOG.deliveries(new Date(0), new Date('2999-01-01'));
+
+    describe('Recording deliveries', () => {
+        it('an accept forward should be recorded with its attempts', async () => {
+            failingDestinations = [r.dest1a];
+            await email('user1@domain.com');
+            expect(await deliveries()).toEqual([{
+                time: r.time,
+                email: expect.objectContaining({ to: 'user1@domain.com' }),
+                user: 'user1',
+                action: 'AcceptForwarding',
+                outcome: 'AcceptForwarded',
+                attempts: [{
+                    action: 'AcceptForwarding',
+                    redundantDestination: [r.dest1a, r.dest1b],
+                    strategy: 'sequential',
+                    wasSuccessful: true,
+                    successfulDestination: r.dest1b,
+                    errorMessages: [expect.objectContaining({
+                        simpleDestination: r.dest1a,
+                        errorMessage: TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE,
+                    })],
+                }],
+            }]);
+        });
+
+        it.each([
+            ['user2@domain.com', [r.dest2], 'RejectForwarded', ['AcceptForwarding', 'RejectForwarding']],
+            ['user2@domain.com', [r.dest2, r.rejectDest2], 'DirectRejected', ['AcceptForwarding', 'RejectForwarding']],
+            ['user3@domain.com', [], 'DirectRejected', []],
+        ])('%s with %j failing should be recorded as %s', async (to, failing, outcome, actions) => {
+            failingDestinations = failing;
+            await email(to);
+            const [delivery] = await deliveries();
+            expect(delivery.outcome).toBe(outcome);
+            expect(delivery.attempts.map(attempt => attempt.action)).toEqual(actions);
+        });
+
+        it('a recoverable error should be recorded as deferred and still thrown', async () => {
+            message.forward = vi.fn(async () => {
+                throw new Error(FIXED.RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE_1);
+            });
+            message.to = 'user2@domain.com';
+            await expect(worker.email(message, environment, context))
+                .rejects.toThrow(FIXED.RECOVERABLE_FORWARD_INTERFACE_ERROR_MESSAGE);
+            expect((await deliveries())[0]).toMatchObject({ action: 'AcceptForwarding', outcome: 'Deferred' });
+            message.forward = async (to, headers) => {
+                if (failingDestinations.includes(to))
+                    throw new Error(TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE);
+            };
+        });
+
+        it('a failing delivery log should not affect forwarding', async () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => { });
+            vi.spyOn(DELIVERY_LOG, 'record').mockRejectedValue(new Error('database unavailable'));
+            const forward = vi.spyOn(message, 'forward');
+            await email('user1@domain.com');
+            expect(forward).toHaveBeenCalledWith(r.dest1a, expect.any(Headers));
+            expect(error).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'RecordingDelivery', errorMessage: 'database unavailable',
+            }));
+        });
+
+        it('a D1 database should be prepared once and used to record and read deliveries', async () => {
+            const rows = [];
+            const statements = [];
+            const database = {
+                prepare: (sql) => ({
+                    sql: sql,
+                    bind: (...values) => ({
+                        run: async () => { statements.push(sql); rows.push(values); },
+                        all: async () => ({ results: rows.map(([, , record]) => ({ record })) }),
+                    }),
+                }),
+                batch: async (prepared) => statements.push(...prepared.map(({ sql }) => sql)),
+            };
+            environment = { ...environment, DELIVERY_LOG: database };
+            await email('user1@domain.com');
+            await email('user1@domain.com');
+            expect(statements).toEqual([
+                ...FIXED.DELIVERY_LOG_SCHEMA,
+                expect.stringMatching(/^INSERT INTO deliveries/),
+                expect.stringMatching(/^INSERT INTO deliveries/),
+            ]);
+            expect(rows[0].slice(0, 2)).toEqual([Date.parse(r.time), 'user1']);
+            const response = await worker.fetch(request('GET', '/stats'), environment, context);
+            expect(await response.json()).toMatchObject({ messages: 2 });
+        });
+    });
+
+    describe('Statistics', () => {
+        beforeEach(async () => {
+            failingDestinations = [r.dest1a];
+            await email('user1@domain.com');
+            await email('user1@domain.com');
+            failingDestinations = [r.dest2];
+            await email('user2@domain.com');
+            environment.now = () => new Date('2025-03-03T12:00:00.000Z');
+            await email('user1@domain.com');
+        });
+
+        it('should count messages and forwards by user and destination', async () => {
+            const response = await worker.fetch(request('GET',
+                '/stats?from=2025-03-01T00:00:00Z&to=2025-03-02T00:00:00Z'), environment, context);
+            expect(response.status).toBe(200);
+            expect(await response.json()).toEqual({
+                from: '2025-03-01T00:00:00.000Z',
+                to: '2025-03-02T00:00:00.000Z',
+                messages: 3,
+                users: {
+                    user1: { messages: 2, outcomes: { AcceptForwarded: 2 }, failures: 0, failureRate: 0 },
+                    user2: { messages: 1, outcomes: { RejectForwarded: 1 }, failures: 1, failureRate: 1 },
+                },
+                destinations: {
+                    [r.dest1a]: { forwards: 2, failures: 2, failureRate: 1 },
+                    [r.dest1b]: { forwards: 2, failures: 0, failureRate: 0 },
+                    [r.dest2]: { forwards: 1, failures: 1, failureRate: 1 },
+                    [r.rejectDest2]: { forwards: 1, failures: 0, failureRate: 0 },
+                },
+            });
+        });
+
+        it('should count a failed retry as a failure but not as another message', async () => {
+            await DELIVERY_LOG.record({
+                time: '2025-03-01T13:00:00.000Z',
+                email: {},
+                user: 'user1',
+                action: 'AcceptForwarding',
+                outcome: 'RetryFailed',
+                attempts: [],
+            });
+            const response = await worker.fetch(request('GET',
+                '/stats?from=2025-03-01T00:00:00Z&to=2025-03-02T00:00:00Z'), environment, context);
+            expect(await response.json()).toMatchObject({
+                messages: 3,
+                users: {
+                    user1: { messages: 2, outcomes: { AcceptForwarded: 2, RetryFailed: 1 }, failures: 1, failureRate: 0.5 },
+                },
+            });
+        });
+
+        it('should default to the last day', async () => {
+            environment.now = () => new Date('2025-03-03T13:00:00.000Z');
+            const response = await worker.fetch(request('GET', '/stats'), environment, context);
+            expect(await response.json()).toMatchObject({
+                from: '2025-03-02T13:00:00.000Z',
+                to: '2025-03-03T13:00:00.000Z',
+                messages: 1,
+                users: { user1: { messages: 1 } },
+            });
+        });
+    });
+
+    describe('Invalid requests', () => {
+        it.each([
+            ['GET', '/stats?from=yesterday', 400],
+            ['GET', '/stats?to=2025-13-01', 400],
+            ['POST', '/stats', 405],
+        ])('%s %s should respond %i', async (method, path, status) => {
+            const response = await worker.fetch(request(method, path), environment, context);
+            expect(response.status).toBe(status);
+        });
+
+        it('should respond 404 without a delivery log', async () => {
+            const response = await worker.fetch(request('GET', '/stats'), { ...TEST, MAP }, context);
+            expect(response.status).toBe(404);
+        });
+
+        it('should require authorization', async () => {
+            const response = await worker.fetch(new Request(`${r.url}/stats`), environment, context);
+            expect(response.status).toBe(401);
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// JSON document conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - stored values are JSON documents instead of separator-delimited text
+//
+describe('Email forwarding: JSON documents', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        dest1a: 'user1a@email.com',
+        dest1b: 'user1b@email.com',
+        dest2: 'user2@email.com',
+        shopDest1: 'user1+shop@email.com',
+        rejectDest1: 'user1+spam@email.com',
+        rejectReason: 'common reject reason',
+        rejectReason2: ': reject reason 2',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('Stored documents', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', JSON.stringify({ reject: r.rejectReason }));
+        MAP.set('@USERS', JSON.stringify({ users: ['user3', 'user4'] }));
+        MAP.set('@DESTINATION', JSON.stringify({ destinations: ['@email.com'] }));
+        MAP.set('user1', JSON.stringify({
+            destinations: [[r.dest1, r.dest1a], r.dest1b],
+            reject: [r.rejectDest1],
+            subaddresses: ['shop', 'news'],
+            headers: { 'X-Forwarded-For-User': 'user1' },
+        }));
+        MAP.set('user1+shop', JSON.stringify({
+            destinations: [r.shopDest1],
+            headers: { 'X-Forwarded-For-User': 'user1 shopping' },
+            expires: '2999-01-01T00:00:00Z',
+        }));
+        MAP.set('user2', JSON.stringify({ destinations: r.dest2, reject: r.rejectReason2 }));
+        MAP.set('user2+', JSON.stringify({ subaddresses: '+*' }));
+        MAP.set('user5', '{ "destinations": [');
+        const environment = { ...TEST, MAP };
+
+        const headers = (value, fail = false) => new Headers({
+            'X-Forwarded-For-User': value,
+            [TEST.CUSTOM_HEADER]: fail ? TEST.CUSTOM_HEADER_FAIL : TEST.CUSTOM_HEADER_PASS,
+        });
+
+        it('user1@domain.com should forward to two destinations with headers', async () => {
+            message.to = 'user1@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, headers('user1'));
+            expect(forward).toHaveBeenCalledWith(r.dest1b, headers('user1'));
+            expect(forward).toHaveBeenCalledTimes(2);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1+shop@domain.com', r.shopDest1, headers('user1 shopping')],
+            ['user1+other@domain.com', r.rejectDest1, headers('user1', true)],
+            ['user2+news@domain.com', r.dest2, passHeaders],
+            ['user3@domain.com', 'user3@email.com', passHeaders],
+        ])('%s should forward to %s', async (to, dest, headers) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, headers);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user2@domain.com', 'user2' + r.rejectReason2],
+            ['user5@domain.com', r.rejectReason],
+        ])('%s should reject with "%s"', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        it('should result in the same destinations as the equivalent text', async () => {
+            const simulate = async (environment) => (await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'user1+news@domain.com' })), environment, context)).json();
+            const TEXT = new MemoryKV();
+            TEXT.set('user1', `${r.dest1}:${r.dest1a},${r.dest1b};${r.rejectDest1}`);
+            TEXT.set('user1+', 'shop,news');
+            const documentTrace = await simulate(environment);
+            const textTrace = await simulate({ ...TEST, MAP: TEXT });
+            expect(documentTrace.acceptMultiDestination).toEqual(textTrace.acceptMultiDestination);
+            expect(documentTrace.rejectMultiDestination).toEqual(textTrace.rejectMultiDestination);
+            expect(documentTrace).toMatchObject({
+                sources: { destination: 'MAP:user1', subaddresses: 'MAP:user1' },
+                messageSubaddressIsAllowed: true,
+                headers: { 'X-Forwarded-For-User': 'user1' },
+            });
+        });
+
+        it.each([
+            ['/keys/user6', { destinations: [[r.dest1, r.dest1a]], reject: 'reason, with: punctuation' }, 201],
+            ['/keys/user6%2Bshop', { destinations: [r.shopDest1], maxMessages: 10 }, 201],
+            ['/keys/%40SUBADDRESSES', { subaddresses: ['shop', 'news'] }, 201],
+            ['/keys/user6', { destinations: ['user6.email.com'] }, 400],
+            ['/keys/user6', { destinations: [`${r.dest1},${r.dest1a}`] }, 400],
+            ['/keys/user6', { destinations: [r.dest1], expires: '2999-01-01' }, 400],
+            ['/keys/user6', { destinations: [42] }, 400],
+            ['/keys/user6', { headers: { 'Subject': 'changed' } }, 400],
+            ['/keys/user6', { subaddresses: ['shop news'] }, 400],
+            ['/keys/user6%2Bshop', { maxMessages: 'ten' }, 400],
+            ['/keys/%40USERS', { destinations: [r.dest1] }, 400],
+        ])('PUT %s with %j should respond %i', async (path, document, status) => {
+            const response = await worker.fetch(request('PUT', path, JSON.stringify(document)), environment, context);
+            expect(response.status).toBe(status);
+        });
+
+        it.each([
+            ['{ "destinations": ['],
+            ['["user6@email.com"]'],
+        ])('PUT /keys/user6 with %s should respond 400', async (value) => {
+            const response = await worker.fetch(request('PUT', '/keys/user6', value), environment, context);
+            expect(response.status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// Domain conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - one worker serves several domains with keys scoped by domain
+//
+describe('Email forwarding: domain conditions', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+        USE_STORED_DOMAIN_CONFIGURATION: 'true',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        dest: 'catchall@email.com',
+        dest1b: 'user1b@email.com',
+        shopDest2: 'user2+shop@email.com',
+        rejectReasonB: 'b.com reject reason',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    const MAP = new MemoryKV();
+    MAP.set('@DESTINATION', r.dest);
+    MAP.set('@USERS', '*');
+    MAP.set('@a.com@DESTINATION', '+@email.com');
+    MAP.set('@b.com@USERS', 'user1');
+    MAP.set('@b.com@REJECT_TREATMENT', r.rejectReasonB);
+    MAP.set('user1', r.dest1);
+    MAP.set('user1@b.com', r.dest1b);
+    MAP.set('user2+shop@a.com', r.shopDest2);
+    const environment = { ...TEST, MAP };
+
+    describe('Scoped keys', () => {
+        it.each([
+            ['user1@a.com', r.dest1],
+            ['user1@b.com', r.dest1b],
+            ['user1@B.com', r.dest1b],
+            ['user3@a.com', 'user3+a.com@email.com'],
+            ['user3@c.com', r.dest],
+            ['user2+shop@a.com', r.shopDest2],
+            ['user2+shop@c.com', r.dest],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user3@b.com', r.rejectReasonB],
+        ])('%s should reject with "%s"', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+        });
+
+        it('should be ignored unless enabled', async () => {
+            message.to = 'user1@b.com';
+            await worker.email(message, { ...environment, USE_STORED_DOMAIN_CONFIGURATION: 'false' }, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+        });
+
+        it('+@ destinations should prepend only the user unless enabled', async () => {
+            const UNSCOPED = new MemoryKV();
+            UNSCOPED.set('@DESTINATION', '+@email.com');
+            UNSCOPED.set('@USERS', '*');
+            message.to = 'user3@a.com';
+            await worker.email(message, { ...TEST, USE_STORED_DOMAIN_CONFIGURATION: 'false', MAP: UNSCOPED }, context);
+            expect(forward).toHaveBeenCalledWith('user3+@email.com', passHeaders);
+        });
+
+        it.each([
+            ['user1@b.com', {
+                messageDomain: 'b.com',
+                sources: {
+                    destination: 'MAP:user1@b.com',
+                    rejectTreatment: 'MAP:@b.com@REJECT_TREATMENT',
+                    users: 'MAP:user1@b.com',
+                    subaddresses: 'environment:SUBADDRESSES',
+                },
+            }],
+            ['user3@a.com', {
+                messageDomain: 'a.com',
+                sources: {
+                    destination: 'MAP:@a.com@DESTINATION',
+                    rejectTreatment: 'environment:REJECT_TREATMENT',
+                    users: 'MAP:@USERS',
+                },
+                acceptMultiDestination: { validRedundant: [['user3+a.com@email.com']] },
+            }],
+        ])('simulating %s should explain the scoped keys', async (to, trace) => {
+            const response = await worker.fetch(request('POST', '/simulate', JSON.stringify({ to })), environment, context);
+            expect(await response.json()).toMatchObject(trace);
+        });
+
+        it('first use should record a scoped subaddress', async () => {
+            const FIRST_USE = new MemoryKV();
+            FIRST_USE.set('user1', r.dest1);
+            FIRST_USE.set('user1+', '?');
+            message.to = 'user1+news@a.com';
+            await worker.email(message, { ...environment, MAP: FIRST_USE }, context);
+            expect(await FIRST_USE.get('user1+news@a.com@SENDER_DOMAIN')).toBe('internet.com');
+            expect(await FIRST_USE.get('user1+news@SENDER_DOMAIN')).toBeNull();
+        });
+    });
+
+    describe('Administration', () => {
+        it.each([
+            ['user1@b.com', { scope: 'user', type: 'destination', domain: 'b.com' }],
+            ['@a.com@DESTINATION', { scope: 'global', type: 'destination', domain: 'a.com' }],
+            ['user2+shop@a.com', { scope: 'subaddress', type: 'destination', domain: 'a.com' }],
+        ])('reading %s should show its domain', async (key, keyType) => {
+            const response = await worker.fetch(request('GET', `/keys/${encodeURIComponent(key)}`), environment, context);
+            expect(await response.json()).toMatchObject({ key, ...keyType });
+        });
+
+        it.each([
+            ['user4@c.com@BLOCKED_SENDERS', '@spam.com', 201],
+            ['user4+@c.com', 'shop', 201],
+            ['@c.com@USERS', 'user4', 201],
+            ['user4@c.com', '+@email.com', 201],
+            ['@c.com@CONFIGURATION', '{}', 400],
+            ['user4@C.com', r.dest1, 400],
+            ['user4@BLOCKED_SENDERS@c.com', '@spam.com', 400],
+        ])('PUT %s with "%s" should respond %i', async (key, value, status) => {
+            const response = await worker.fetch(request('PUT', `/keys/${encodeURIComponent(key)}`, value), environment, context);
+            expect(response.status).toBe(status);
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            [[['user1@b.com', ';reason']], { USERS: '*' },
+                { severity: 'error', source: 'MAP:user1@b.com', issue: "User 'user1' has no destination" }],
+            [[['@b.com@USERS', '*'], ['@b.com@DESTINATION', '']], { DESTINATION: r.dest },
+                { severity: 'error', source: 'MAP:@b.com@USERS', issue: "All users are allowed but 'MAP:@b.com@DESTINATION' is empty" }],
+        ])('%j with %j should have issue %j', (storedEntries, environment, issue) => {
+            expect(configurationIssues(storedEntries, { USE_STORED_DOMAIN_CONFIGURATION: 'true', ...environment }))
+                .toContainEqual(issue);
+        });
+
+        it('scoped keys should be unused unless enabled', () => {
+            expect(configurationIssues([['user1@b.com', r.dest1]], {})).toContainEqual({
+                severity: 'warning', source: 'MAP:user1@b.com',
+                issue: 'Key is not used as stored domain configuration is disabled',
+            });
+        });
+    });
+});
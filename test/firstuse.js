@@ -0,0 +1,183 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// Subaddress first use conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - subaddresses are recorded with their sender domain on first use
+//
+describe('Email forwarding: subaddress first use', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    const message = {
+        from: undefined,
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+        message.from = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        rejectDest1: 'user1+spam@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('Trust on first use', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@SUBADDRESSES', '?');
+        MAP.set('user1', `${r.dest1};${r.rejectDest1}`);
+        MAP.set('user2', r.dest2);
+        MAP.set('user2+', '*');
+        const environment = { ...TEST, MAP };
+
+        it('first use should forward and record the sender domain', async () => {
+            message.to = 'user1+shop@domain.com';
+            message.from = 'orders@Shop.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(await MAP.get('user1+shop')).toBeNull();
+            expect(await MAP.get('user1+shop@SENDER_DOMAIN')).toBe('shop.com');
+        });
+
+        it.each([
+            ['user1+shop@domain.com', 'news@shop.com', r.dest1, passHeaders],
+            ['user1+shop@domain.com', 'spam@leaked.com', r.rejectDest1, failHeaders],
+            ['user1+other@domain.com', 'spam@leaked.com', r.dest1, passHeaders],
+            ['user2+shop@domain.com', 'spam@leaked.com', r.dest2, passHeaders],
+        ])('then %s from %s should forward to %s', async (to, from, dest, headers) => {
+            message.to = to;
+            message.from = from;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, headers);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('a failure to record first use should not fail the forwarded message', async () => {
+            const FAILING_MAP = new MemoryKV([...MAP]);
+            const put = vi.spyOn(FAILING_MAP, 'put').mockRejectedValue(new Error('KV PUT failed: 429 Too Many Requests'));
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            message.to = 'user1+news@domain.com';
+            message.from = 'news@paper.com';
+            await expect(worker.email(message, { ...environment, MAP: FAILING_MAP }, context)).resolves.toBeUndefined();
+            expect(put).toHaveBeenCalledWith('user1+news@SENDER_DOMAIN', 'paper.com');
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+            expect(setReject).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'stored value not updated',
+                key: 'user1+news@SENDER_DOMAIN',
+            }));
+        });
+
+        it('subaddresses of users without first use should not be recorded', async () => {
+            expect(await MAP.get('user2+shop')).toBeNull();
+            expect(await MAP.get('user2+shop@SENDER_DOMAIN')).toBeNull();
+        });
+
+        it('rejected first use should not be recorded', async () => {
+            message.to = 'user3+shop@domain.com';
+            message.from = 'orders@shop.com';
+            await worker.email(message, environment, context);
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+            expect(await MAP.get('user3+shop@SENDER_DOMAIN')).toBeNull();
+        });
+
+        it('recorded subaddresses should be rejected once the user is no longer allowed', async () => {
+            const USERS = new MemoryKV();
+            USERS.set('@REJECT_TREATMENT', r.rejectReason);
+            USERS.set('@USERS', 'user4');
+            USERS.set('@SUBADDRESSES', '?');
+            const usersEnvironment = { ...TEST, DESTINATION: r.dest1, MAP: USERS };
+            message.to = 'user4+shop@domain.com';
+            message.from = 'orders@shop.com';
+            await worker.email(message, usersEnvironment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+            expect(await USERS.get('user4+shop@SENDER_DOMAIN')).toBe('shop.com');
+            USERS.set('@USERS', '');
+            vi.clearAllMocks();
+            for (const to of ['user4@domain.com', 'user4+shop@domain.com']) {
+                message.to = to;
+                await worker.email(message, usersEnvironment, context);
+            }
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledTimes(2);
+        });
+
+        it('simulation should explain the first use without recording it', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'user1+new@domain.com', from: 'orders@shop.com' })), environment, context);
+            expect(await response.json()).toMatchObject({
+                messageSubaddressIsAllowed: true,
+                messageSubaddressIsFirstUse: true,
+                subaddressSenderDomain: null,
+                storedUpdatesOnAccept: { 'user1+new@SENDER_DOMAIN': 'shop.com' },
+            });
+            expect(await MAP.get('user1+new@SENDER_DOMAIN')).toBeNull();
+        });
+
+        it('simulation should explain a sender domain restriction', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'user1+shop@domain.com', from: 'spam@leaked.com' })), environment, context);
+            expect(await response.json()).toMatchObject({
+                messageSubaddressIsAllowed: false,
+                messageSubaddressIsFirstUse: false,
+                subaddressSenderDomain: 'shop.com',
+                action: 'RejectForwarding',
+            });
+        });
+
+        it.each([
+            ['/keys/%40SUBADDRESSES', '+?', 200],
+            ['/keys/user2%2B', '?', 200],
+            ['/keys/user2%2Bshop%40SENDER_DOMAIN', 'shop.com', 201],
+            ['/keys/user2%2Bshop%40SENDER_DOMAIN', 'orders@shop.com', 400],
+            ['/keys/user2%40SENDER_DOMAIN', 'shop.com', 400],
+        ])('PUT %s with "%s" should respond %i', async (path, value, status) => {
+            const response = await worker.fetch(request('PUT', path, value), environment, context);
+            expect(response.status).toBe(status);
+        });
+    });
+});
@@ -0,0 +1,180 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// Group conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - destinations reference stored groups of members
+//
+describe('Email forwarding: groups', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        dest3: 'user3@email.com',
+        dest4: 'user4@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('Group expansion', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@GROUP:sales', `${r.dest1},${r.dest2}`);
+        MAP.set('@GROUP:sales-eu', `${r.dest3},@GROUP:sales`);
+        MAP.set('@GROUP:loop', `${r.dest4},@GROUP:loop`);
+        MAP.set('sales', '@GROUP:sales');
+        MAP.set('sales-eu', `@GROUP:sales-eu,${r.dest1}`);
+        MAP.set('loop', '@GROUP:loop');
+        MAP.set('missing', `@GROUP:missing,${r.dest4}`);
+        MAP.set('escalate', `${r.dest4};@GROUP:sales`);
+        MAP.set('escalate+', '');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['sales@domain.com', [r.dest1, r.dest2]],
+            ['sales-eu@domain.com', [r.dest3, r.dest1, r.dest2]],
+            ['loop@domain.com', [r.dest4]],
+            ['missing@domain.com', [r.dest4]],
+        ])('%s should forward to %j', async (to, dests) => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            message.to = to;
+            await worker.email(message, environment, context);
+            dests.forEach(dest => expect(forward).toHaveBeenCalledWith(dest, passHeaders));
+            expect(forward).toHaveBeenCalledTimes(dests.length);
+        });
+
+        it('a rejected message should be forwarded to a group', async () => {
+            message.to = 'escalate+any@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, failHeaders);
+            expect(forward).toHaveBeenCalledWith(r.dest2, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(2);
+        });
+
+        it('simulation should show the expanded groups and deduped members', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'sales-eu@domain.com' })), environment, context);
+            expect(await response.json()).toMatchObject({
+                expandedGroups: ['@GROUP:sales-eu', '@GROUP:sales'],
+                acceptMultiDestination: {
+                    validRedundant: [[r.dest3], [r.dest1], [r.dest2]],
+                    duplicateSimple: [r.dest1],
+                },
+            });
+        });
+
+        it('forwards should be capped at MAX_FORWARDS', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            message.to = 'sales-eu@domain.com';
+            await worker.email(message, { ...environment, MAX_FORWARDS: '2' }, context);
+            expect(forward).toHaveBeenCalledWith(r.dest3, passHeaders);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(2);
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'too many forwards', destinations: [[r.dest2]],
+            }));
+        });
+
+        it.each([
+            [''],
+            ['0'],
+            ['-1'],
+            ['2.5'],
+            ['twenty'],
+        ])('an invalid MAX_FORWARDS of "%s" should be ignored', async (maxForwards) => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            message.to = 'sales-eu@domain.com';
+            await worker.email(message, { ...environment, MAX_FORWARDS: maxForwards }, context);
+            expect(forward).toHaveBeenCalledTimes(3);
+            expect(setReject).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith({
+                variable: 'MAX_FORWARDS',
+                issues: [`Maximum forwards '${maxForwards}' is not a positive integer, so 20 is used`],
+            });
+            expect(warn).not.toHaveBeenCalledWith(expect.objectContaining({ issue: 'too many forwards' }));
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            [[['@GROUP:a', '@GROUP:b'], ['@GROUP:b', `${r.dest1},@GROUP:a`]], 'error',
+                'MAP:@GROUP:a', "Groups '@GROUP:a > @GROUP:b > @GROUP:a' loop"],
+            [[['@GROUP:a', 'user1.email.com']], 'error',
+                'MAP:@GROUP:a', "Member 'user1.email.com' is invalidly formatted"],
+            [[['user1', '@GROUP:missing']], 'warning',
+                'MAP:user1', "Group '@GROUP:missing' is not stored"],
+        ])('%j should have %s at %s: %s', (storedEntries, severity, source, issue) => {
+            expect(configurationIssues(storedEntries, { DESTINATION: r.dest1 }))
+                .toContainEqual({ severity: severity, source: source, issue: issue });
+        });
+
+        it.each([
+            ['twenty', [{
+                severity: 'error',
+                source: 'environment:MAX_FORWARDS',
+                issue: "Maximum forwards 'twenty' is not a positive integer, so 20 is used",
+            }]],
+            ['5', []],
+        ])('MAX_FORWARDS "%s" should have issues %j', (maxForwards, expected) => {
+            expect(configurationIssues([], { DESTINATION: r.dest1, MAX_FORWARDS: maxForwards })
+                .filter(({ source }) => source === 'environment:MAX_FORWARDS')).toEqual(expected);
+        });
+
+        it.each([
+            ['/keys/%40GROUP%3Asales', 201],
+            ['/keys/%40domain.com%40GROUP%3Asales', 201],
+            ['/keys/%40GROUP%3A', 400],
+        ])('PUT %s should respond %i', async (path, status) => {
+            const response = await worker.fetch(request('PUT', path, `${r.dest1},${r.dest2}`),
+                { ...TEST, MAP: new MemoryKV() }, context);
+            expect(response.status).toBe(status);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+// In-memory stand-ins for the optional bindings of the worker used by tests
+//
+
+// An in-memory stand-in for a D1 database bound as DELIVERY_LOG, which the
+// worker uses as any other delivery log that records deliveries and returns
+// those of a time range
+export class MemoryDeliveryLog {
+    #deliveries = [];
+
+    async record(delivery) {
+        this.#deliveries.push(delivery);
+    }
+    async deliveries(from, to) {
+        return this.#deliveries.filter(delivery =>
+            Date.parse(delivery.time) >= from.getTime() && Date.parse(delivery.time) < to.getTime());
+    }
+};
+
+// An in-memory stand-in for a Cloudflare Queue bound as RETRY_QUEUE, whose
+// sent messages are received as a batch for the queue handler
+export class MemoryQueue {
+    #messages = [];
+
+    async send(body, options = {}) {
+        this.#messages.push({ body: structuredClone(body), delaySeconds: options.delaySeconds ?? 0 });
+    }
+    // Returns, and removes, the messages sent as a batch whose messages
+    // record whether they were acknowledged or retried
+    receive() {
+        return {
+            queue: 'retry',
+            messages: this.#messages.splice(0).map(({ body, delaySeconds }, index) => ({
+                id: String(index),
+                timestamp: new Date(),
+                body: body,
+                attempts: 1,
+                delaySeconds: delaySeconds,
+                wasAcknowledged: false,
+                wasRetried: false,
+                ack() { this.wasAcknowledged = true; },
+                retry() { this.wasRetried = true; },
+            })),
+        };
+    }
+};
@@ -0,0 +1,188 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// Subaddress lifetime conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - subaddress keys expire on a date or after a number of accepted messages
+//
+describe('Email forwarding: subaddress lifetimes', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        shopDest1: 'user1+shop@email.com',
+        rejectReason: 'common reject reason',
+        rejectReasonTrial: ': trial has ended',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('Expiry dates and message limits', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('user1', r.dest1);
+        MAP.set('user1+expired', `${r.shopDest1};;expires=2000-01-01`);
+        MAP.set('user1+trial', `;${r.rejectReasonTrial};expires=2000-01-01T00:00:00Z`);
+        MAP.set('user1+current', `${r.shopDest1};;expires=2999-01-01`);
+        MAP.set('user1+twice', `${r.shopDest1};;maxMessages=2`);
+        MAP.set('user1+both', `${r.shopDest1};;expires=2999-01-01, maxMessages=1`);
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1+current@domain.com', r.shopDest1],
+            ['user1+both@domain.com', r.shopDest1],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1+expired@domain.com', r.rejectReason],
+            ['user1+trial@domain.com', 'user1+trial' + r.rejectReasonTrial],
+            ['user1+both@domain.com', r.rejectReason],
+        ])('%s should reject with "%s"', async (to, reason) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        it('user1+twice@domain.com should forward twice and then reject', async () => {
+            message.to = 'user1+twice@domain.com';
+            for (let i = 0; i < 3; i++)
+                await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledTimes(2);
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+            expect(await MAP.get('user1+twice@ACCEPTED')).toBe('2');
+        });
+
+        it('a failure to count an accepted message should not fail the forwarded message', async () => {
+            const FAILING_MAP = new MemoryKV([['user1', r.dest1], ['user1+once', `${r.shopDest1};;maxMessages=1`]]);
+            const put = vi.spyOn(FAILING_MAP, 'put').mockRejectedValue(new Error('KV PUT failed: 429 Too Many Requests'));
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            message.to = 'user1+once@domain.com';
+            await expect(worker.email(message, { ...environment, MAP: FAILING_MAP }, context)).resolves.toBeUndefined();
+            expect(put).toHaveBeenCalledWith('user1+once@ACCEPTED', '1');
+            expect(forward).toHaveBeenCalledWith(r.shopDest1, passHeaders);
+            expect(setReject).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'stored value not updated',
+                key: 'user1+once@ACCEPTED',
+            }));
+        });
+
+        it('unlimited subaddresses should not count accepted messages', async () => {
+            message.to = 'user1+current@domain.com';
+            await worker.email(message, environment, context);
+            expect(await MAP.get('user1+current@ACCEPTED')).toBeNull();
+        });
+    });
+
+    describe('Remaining lifetime', () => {
+        const MAP = new MemoryKV();
+        MAP.set('user1', r.dest1);
+        MAP.set('user1+limited', `${r.shopDest1};;expires=2999-01-01,maxMessages=5`);
+        MAP.set('user1+limited@ACCEPTED', '3');
+        MAP.set('user1+unlimited', r.shopDest1);
+        const environment = { ...TEST, MAP };
+
+        it('simulation should show the remaining lifetime without counting', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'user1+limited@domain.com' })), environment, context);
+            const body = await response.json();
+            expect(body).toMatchObject({
+                messageSubaddressIsAllowed: true,
+                subaddressLifetime: {
+                    expires: '2999-01-01T00:00:00.000Z',
+                    maxMessages: 5,
+                    acceptedMessages: 3,
+                    remainingMessages: 2,
+                    hasExpired: false,
+                },
+                storedUpdatesOnAccept: { 'user1+limited@ACCEPTED': '4' },
+            });
+            expect(body.subaddressLifetime.remainingSeconds).toBeGreaterThan(0);
+            expect(await MAP.get('user1+limited@ACCEPTED')).toBe('3');
+        });
+
+        it('simulation should show no lifetime for unlimited subaddresses', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'user1+unlimited@domain.com' })), environment, context);
+            expect(await response.json()).toMatchObject({
+                subaddressLifetime: null,
+                storedUpdatesOnAccept: {},
+            });
+        });
+
+        it('reading a subaddress key should show its remaining lifetime', async () => {
+            const response = await worker.fetch(request('GET', '/keys/user1%2Blimited'), environment, context);
+            expect(await response.json()).toMatchObject({
+                scope: 'subaddress',
+                type: 'destination',
+                lifetime: { maxMessages: 5, acceptedMessages: 3, remainingMessages: 2 },
+            });
+        });
+
+        it.each([
+            ['/keys/user1%2Bnew', `${r.shopDest1};;expires=2999-01-01,maxMessages=10`, 201],
+            ['/keys/user1%2Bnew', `${r.shopDest1};;expires=someday`, 400],
+            ['/keys/user1%2Bnew', `${r.shopDest1};;maxMessages=-1`, 400],
+            ['/keys/user1%2Bnew', `${r.shopDest1};;forever`, 400],
+            ['/keys/user1%2Blimited%40ACCEPTED', '0', 200],
+            ['/keys/user1%2Blimited%40ACCEPTED', 'many', 400],
+            ['/keys/user1%40ACCEPTED', '0', 400],
+        ])('PUT %s with "%s" should respond %i', async (path, value, status) => {
+            const response = await worker.fetch(request('PUT', path, value), environment, context);
+            expect(response.status).toBe(status);
+        });
+    });
+});
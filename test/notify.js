@@ -0,0 +1,206 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// Administrator notification conditions where:
+// - message.forward mock throws an unrecoverable error for some destinations
+// - notifications are sent with a sendEmail mock
+// - notification state is kept in a MemoryKV bound as DESTINATION_STATE
+// - the time is given by a fake clock
+//
+describe('Email forwarding: administrator notifications', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        REJECT_TREATMENT: 'default reject reason',
+        UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE: 'Unrecoverable Forward Implementation Error',
+    };
+    let failingDestinations = [];
+    const message = {
+        from: 'sender@internet.com',
+        forward: undefined,
+        setReject: undefined,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+
+    // Reference test data
+    const r = {
+        admin: 'admin@email.com',
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        rejectDest: 'user+spam@email.com',
+        time: '2025-03-01T12:00:00.000Z',
+        later: (seconds) => new Date(Date.parse('2025-03-01T12:00:00.000Z') + seconds * 1000),
+    };
+
+    let forward;
+    let setReject;
+    let sendEmail;
+    let environment;
+    beforeEach(async () => {
+        message.to = 'user@domain.com';
+        failingDestinations = [];
+        forward = message.forward = vi.fn(async (to, headers) => {
+            if (failingDestinations.includes(to))
+                throw new Error(TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE);
+        });
+        setReject = message.setReject = vi.fn(reason => reason);
+        sendEmail = vi.fn(async () => { });
+        environment = {
+            ...TEST,
+            USERS: 'user',
+            DESTINATION: `${r.dest1}:${r.dest2}`,
+            REJECT_TREATMENT: r.rejectDest,
+            ADMIN_NOTIFY: r.admin,
+            SEND_EMAIL: {},
+            DESTINATION_STATE: new MemoryKV(),
+            sendEmail,
+            now: () => new Date(r.time),
+        };
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    const email = async () => await worker.email(message, environment, context);
+    const notifications = () => sendEmail.mock.calls.map(([, from, to, raw]) => ({ from, to, raw }));
+
+    describe('Notifying', () => {
+        it('should summarize the failed forwards and the action taken', async () => {
+            failingDestinations = [r.dest1, r.dest2];
+            await email();
+            expect(forward).toHaveBeenLastCalledWith(r.rejectDest, expect.anything());
+            expect(notifications()).toHaveLength(1);
+            const [{ from, to, raw }] = notifications();
+            expect(from).toBe('user@domain.com');
+            expect(to).toBe(r.admin);
+            expect(raw).toContain(`To: ${r.admin}\r\n`);
+            expect(raw).toContain('Subject: Forwarding failed for email to user@domain.com\r\n');
+            expect(raw).toContain('Auto-Submitted: auto-generated\r\n');
+            expect(raw).toContain('the action taken was RejectForwarded');
+            expect(raw).toContain('"messageId":"h9MTV7vNalV3"');
+            expect(raw).toContain(`AcceptForwarding to ${r.dest1}:${r.dest2}:\r\n`
+                + `- ${r.dest1} (unknown): ${TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE}\r\n`
+                + `- ${r.dest2} (unknown): ${TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE}\r\n`);
+        });
+
+        it('should be a MIME message whose ASCII text is not encoded', async () => {
+            failingDestinations = [r.dest1, r.dest2];
+            await email();
+            const [{ raw }] = notifications();
+            expect(raw).toContain('MIME-Version: 1.0\r\n'
+                + 'Content-Type: text/plain; charset=utf-8\r\n'
+                + 'Content-Transfer-Encoding: 7bit\r\n\r\n');
+        });
+
+        it('should encode non-ASCII text in base64', async () => {
+            message.forward = vi.fn(async () => { throw new Error('Adresse non vérifiée'); });
+            await email();
+            const [{ raw }] = notifications();
+            expect(raw).toContain('Content-Transfer-Encoding: base64\r\n\r\n');
+            const [, body] = raw.split('\r\n\r\n');
+            expect(body.trimEnd().split('\r\n').every(line => line.length <= 76)).toBe(true);
+            expect(new TextDecoder().decode(Uint8Array.from(atob(body.replace(/\r\n/g, '')), c => c.charCodeAt(0))))
+                .toContain(`- ${r.dest1} (unknown): Adresse non vérifiée\r\n`);
+        });
+
+        it('should list the failed reject forward of a direct reject', async () => {
+            failingDestinations = [r.dest1, r.dest2, r.rejectDest];
+            await email();
+            expect(setReject).toHaveBeenCalled();
+            const [{ raw }] = notifications();
+            expect(raw).toContain('the action taken was DirectRejected');
+            expect(raw).toContain(`RejectForwarding to ${r.rejectDest}:\r\n`);
+        });
+
+        it('should be sent from ADMIN_NOTIFY_FROM if set', async () => {
+            environment.ADMIN_NOTIFY_FROM = 'forwarding@domain.com';
+            failingDestinations = [r.dest1, r.dest2];
+            await email();
+            expect(notifications()[0].from).toBe('forwarding@domain.com');
+        });
+
+        it.each([
+            ['a successful failover', [r.dest1], {}],
+            ['a recoverable failure', [r.dest1, r.dest2], { RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP: '^Unrecoverable' }],
+            ['no ADMIN_NOTIFY', [r.dest1, r.dest2], { ADMIN_NOTIFY: '' }],
+        ])('should not be sent after %s', async (_, failing, configuration) => {
+            failingDestinations = failing;
+            environment = { ...environment, ...configuration };
+            await email().catch(() => { });
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should warn without a SEND_EMAIL binding', async () => {
+            environment.SEND_EMAIL = undefined;
+            failingDestinations = [r.dest1, r.dest2];
+            const warn = vi.spyOn(console, 'warn');
+            await email();
+            expect(sendEmail).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'notification without a SEND_EMAIL binding',
+            }));
+        });
+
+        it('should never fail the email when sending fails', async () => {
+            sendEmail.mockRejectedValue(new Error('send failed'));
+            failingDestinations = [r.dest1, r.dest2];
+            await email();
+            expect(forward).toHaveBeenLastCalledWith(r.rejectDest, expect.anything());
+        });
+    });
+
+    describe('Throttling', () => {
+        beforeEach(async () => {
+            failingDestinations = [r.dest1, r.dest2];
+            await email();
+            sendEmail.mockClear();
+        });
+
+        it('should suppress notifications of the same destinations within the interval', async () => {
+            environment.now = () => r.later(3599);
+            await email();
+            await email();
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should notify again once the interval ends, counting those suppressed', async () => {
+            await email();
+            environment.now = () => r.later(3600);
+            await email();
+            const [{ raw }] = notifications();
+            expect(raw).toContain(`- ${r.dest1}: 1 failures not notified since the last notification\r\n`);
+        });
+
+        it('should notify a newly failed destination', async () => {
+            environment.DESTINATION = `${r.dest1}:user3@email.com`;
+            failingDestinations = [r.dest1, 'user3@email.com'];
+            await email();
+            expect(notifications()).toHaveLength(1);
+        });
+
+        it('should use ADMIN_NOTIFY_INTERVAL_SECONDS', async () => {
+            environment.ADMIN_NOTIFY_INTERVAL_SECONDS = '60';
+            environment.DESTINATION = 'user3@email.com';
+            failingDestinations = ['user3@email.com'];
+            await email();
+            environment.now = () => r.later(60);
+            await email();
+            expect(notifications()).toHaveLength(2);
+        });
+    });
+});
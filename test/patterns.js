@@ -0,0 +1,206 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// User and subaddress pattern conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - users and subaddresses are globs or regular expressions
+//
+describe('Email forwarding: user and subaddress patterns', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest: 'user@email.com',
+        teamDest: 'team@email.com',
+        invoiceDest: 'accounts@email.com',
+        exactDest: 'team-lead@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('Patterns in user and subaddress lists', () => {
+        const environment = {
+            ...TEST,
+            USE_STORED_ADDRESS_CONFIGURATION: 'false',
+            USE_STORED_USER_CONFIGURATION: 'false',
+            DESTINATION: r.dest,
+            REJECT_TREATMENT: r.rejectReason,
+            USERS: 'team-*, invoice-[0-9]+, /^Ticket-\\d{4}$/, admin',
+            SUBADDRESSES: 'news-*, /^\\D+$/',
+        };
+
+        it.each([
+            ['team-sales@domain.com'],
+            ['Team-Support@domain.com'],
+            ['invoice-2024@domain.com'],
+            ['ticket-1234@domain.com'],
+            ['admin@domain.com'],
+            ['admin+news-daily@domain.com'],
+            ['admin+shop@domain.com'],
+        ])('%s should forward', async (to) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest, passHeaders);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['team@domain.com'],
+            ['invoice-@domain.com'],
+            ['invoice-20x4@domain.com'],
+            ['ticket-123@domain.com'],
+            ['administrator@domain.com'],
+            ['admin+shop1@domain.com'],
+        ])('%s should reject', async (to) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(r.rejectReason);
+        });
+    });
+
+    describe('Pattern keys', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@USERS', 'team-*');
+        MAP.set('@DESTINATION', r.dest);
+        MAP.set('@PATTERNS', 'invoice-[0-9]+, team-*');
+        MAP.set('team-*', r.teamDest);
+        MAP.set('invoice-[0-9]+', `${r.invoiceDest};: unknown invoice`);
+        MAP.set('team-lead', r.exactDest);
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['team-sales@domain.com', r.teamDest],
+            ['team-lead@domain.com', r.exactDest],
+            ['invoice-42@domain.com', r.invoiceDest],
+        ])('%s should forward to %s', async (to, dest) => {
+            message.to = to;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+        });
+
+        it('simulation should show the matching pattern', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'team-sales@domain.com' })), environment, context);
+            expect(await response.json()).toMatchObject({
+                messageUserPattern: 'team-*',
+                sources: { destination: 'MAP:team-*', users: 'MAP:team-*' },
+                messageUserIsAllowed: true,
+            });
+        });
+
+        it('simulation should show no pattern for exact users', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'team-lead@domain.com' })), environment, context);
+            expect(await response.json()).toMatchObject({
+                messageUserPattern: null,
+                sources: { destination: 'MAP:team-lead' },
+            });
+        });
+
+        it('pattern keys should be matched in the order of @PATTERNS', async () => {
+            const MAP = new MemoryKV();
+            MAP.set('@PATTERNS', 'team-a*, team-*');
+            MAP.set('team-*', r.teamDest);
+            MAP.set('team-a*', r.exactDest);
+            message.to = 'team-alpha@domain.com';
+            await worker.email(message, { ...TEST, MAP }, context);
+            expect(forward).toHaveBeenCalledWith(r.exactDest, passHeaders);
+        });
+
+        it('pattern keys should keep the local part with an @ destination', async () => {
+            const MAP = new MemoryKV();
+            MAP.set('@PATTERNS', 'team-*');
+            MAP.set('team-*', '@email.com');
+            message.to = 'team-a@domain.com';
+            await worker.email(message, { ...TEST, MAP }, context);
+            expect(forward).toHaveBeenCalledWith('team-a@email.com', passHeaders);
+        });
+    });
+
+    describe('Pattern keys in the administration API', () => {
+        it('PUT and DELETE should maintain @PATTERNS', async () => {
+            const MAP = new MemoryKV();
+            const environment = { ...TEST, MAP };
+            expect((await worker.fetch(request('PUT', '/keys/team-*', r.teamDest), environment, context)).status).toBe(201);
+            expect((await worker.fetch(request('PUT', '/keys/%2F%5Einvoice-%5Cd%2B%24%2F', r.invoiceDest), environment, context)).status).toBe(201);
+            expect(await MAP.get('@PATTERNS')).toBe('team-*,/^invoice-\\d+$/');
+            expect((await worker.fetch(request('DELETE', '/keys/team-*'), environment, context)).status).toBe(204);
+            expect(await MAP.get('@PATTERNS')).toBe('/^invoice-\\d+$/');
+        });
+
+        it.each([
+            ['/keys/team-%5B', 400],
+            ['/keys/%2F(%2F', 400],
+            ['/keys/team-*%40BLOCKED_SENDERS', 400],
+        ])('PUT %s should respond %i', async (path, status) => {
+            const response = await worker.fetch(request('PUT', path, r.teamDest), { ...TEST, MAP: new MemoryKV() }, context);
+            expect(response.status).toBe(status);
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            [[['@USERS', 'team-[a-z']], 'MAP:@USERS', "User pattern 'team-[a-z' is invalid"],
+            [[['user1+', '/(/']], 'MAP:user1+', "Subaddress pattern '/(/' is invalid"],
+            [[['@PATTERNS', 'team']], 'MAP:@PATTERNS', "Pattern 'team' is invalid"],
+        ])('%j should have error at %s: %s', (storedEntries, source, issue) => {
+            expect(configurationIssues(storedEntries, { DESTINATION: r.dest }))
+                .toContainEqual({ severity: 'error', source: source, issue: issue });
+        });
+
+        it('pattern keys not in @PATTERNS should have a warning', () => {
+            expect(configurationIssues([['team-*', r.teamDest]], {}))
+                .toContainEqual({
+                    severity: 'warning', source: 'MAP:team-*',
+                    issue: "Pattern is not in '@PATTERNS' so is never matched",
+                });
+        });
+    });
+});
@@ -0,0 +1,212 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// Rate limit conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - messages are counted in a MemoryKV bound as RATE_LIMIT_COUNTERS, by the
+//   isolate of each test's counters
+// - the time is fixed unless a test moves it
+//
+describe('Email forwarding: rate limits', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+        CONSOLE_LOG_ENABLED: 'true',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        rejectDest2: 'user2+throttled@email.com',
+        time: new Date('2025-03-01T12:00:30Z'),
+    };
+
+    let time;
+    let MAP;
+    let RATE_LIMIT_COUNTERS;
+    let environment;
+    beforeEach(async () => {
+        message.to = null;
+        message.from = 'sender@internet.com';
+        time = r.time;
+        MAP = new MemoryKV();
+        MAP.set('@RATE_LIMITS', 'sender=2/minute, senderDomain=3/hour, user=4/day;: too many messages');
+        MAP.set('user1', r.dest1);
+        MAP.set('user2', `${r.dest2};${r.rejectDest2}`);
+        RATE_LIMIT_COUNTERS = new MemoryKV();
+        environment = { ...TEST, MAP, RATE_LIMIT_COUNTERS, now: () => time };
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const email = async (from, to) => {
+        message.from = from;
+        message.to = to;
+        await worker.email(message, environment, context);
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('Limits', () => {
+        it('a sender should be limited per minute', async () => {
+            for (let i = 0; i < 3; i++)
+                await email('sender@internet.com', 'user1@domain.com');
+            expect(forward).toHaveBeenCalledTimes(2);
+            expect(setReject).toHaveBeenCalledWith('user1: too many messages');
+            time = new Date(r.time.getTime() + 60 * 1000);
+            await email('sender@internet.com', 'user1@domain.com');
+            expect(forward).toHaveBeenCalledTimes(3);
+        });
+
+        it('a sender domain should be limited per hour', async () => {
+            for (const from of ['a@internet.com', 'b@internet.com', 'c@internet.com', 'd@internet.com'])
+                await email(from, 'user1@domain.com');
+            expect(forward).toHaveBeenCalledTimes(3);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        it('a user should be limited per day across senders', async () => {
+            for (const from of ['a@one.com', 'b@two.com', 'c@three.com', 'd@four.com', 'e@five.com'])
+                await email(from, 'user1@domain.com');
+            await email('f@six.com', 'user2@domain.com');
+            expect(forward).toHaveBeenCalledTimes(5);
+            expect(forward).toHaveBeenLastCalledWith(r.dest2, expect.any(Headers));
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        it('a message over a limit should be reject forwarded', async () => {
+            for (let i = 0; i < 3; i++)
+                await email('sender@internet.com', 'user2@domain.com');
+            expect(forward).toHaveBeenCalledTimes(3);
+            expect(forward).toHaveBeenLastCalledWith(r.rejectDest2, expect.any(Headers));
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('messages which are not otherwise allowed should not be counted', async () => {
+            for (let i = 0; i < 3; i++)
+                await email('sender@internet.com', 'unknown@domain.com');
+            expect(RATE_LIMIT_COUNTERS.size).toBe(0);
+            await email('sender@internet.com', 'user1@domain.com');
+            expect(forward).toHaveBeenCalledWith(r.dest1, expect.any(Headers));
+        });
+
+        it('the throttle should be logged', async () => {
+            const log = vi.spyOn(console, 'log').mockImplementation(() => { });
+            for (let i = 0; i < 3; i++)
+                await email('sender@internet.com', 'user1@domain.com');
+            expect(log).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'Throttling',
+                rateLimits: [{ scope: 'sender', subject: 'sender@internet.com', maxMessages: 2, period: 'minute', messages: 2 }],
+            }));
+        });
+
+        it('a sender should still be limited when counts cannot be written', async () => {
+            const put = vi.spyOn(RATE_LIMIT_COUNTERS, 'put').mockRejectedValue(new Error('KV PUT failed: 429 Too Many Requests'));
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            for (let i = 0; i < 10; i++)
+                await email('sender@internet.com', 'user1@domain.com');
+            expect(forward).toHaveBeenCalledTimes(2);
+            expect(setReject).toHaveBeenCalledTimes(8);
+            expect(put).toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({ issue: 'rate limit not counted' }));
+        });
+
+        it('a count should be written at most once per second', async () => {
+            MAP.set('@RATE_LIMITS', 'user=100/day');
+            const put = vi.spyOn(RATE_LIMIT_COUNTERS, 'put');
+            for (let i = 0; i < 3; i++)
+                await email('sender@internet.com', 'user1@domain.com');
+            expect(put).toHaveBeenCalledTimes(1);
+            time = new Date(r.time.getTime() + 1000);
+            await email('sender@internet.com', 'user1@domain.com');
+            expect(put).toHaveBeenCalledTimes(2);
+            const { keys } = await RATE_LIMIT_COUNTERS.list({ prefix: 'user:user1@domain.com:day:' });
+            expect(keys).toEqual([{ name: expect.any(String), metadata: { messages: 4 } }]);
+        });
+
+        it('the counts written for other worker instances should be added', async () => {
+            const period = Math.floor(r.time.getTime() / 1000 / 60);
+            await RATE_LIMIT_COUNTERS.put(`sender:sender@internet.com:minute:${period}:other-instance`, '',
+                { metadata: { messages: 1 } });
+            for (let i = 0; i < 2; i++)
+                await email('sender@internet.com', 'user1@domain.com');
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        it('without RATE_LIMIT_COUNTERS there should be no limits', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            environment = { ...TEST, MAP, RATE_LIMITS: 'sender=1/minute' };
+            for (let i = 0; i < 3; i++)
+                await email('sender@internet.com', 'user1@domain.com');
+            expect(forward).toHaveBeenCalledTimes(3);
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'rate limits without a RATE_LIMIT_COUNTERS binding',
+            }));
+        });
+    });
+
+    describe('Simulation', () => {
+        it('should show the messages counted without counting', async () => {
+            await email('sender@internet.com', 'user1@domain.com');
+            const response = await worker.fetch(request('POST', '/simulate', JSON.stringify({
+                from: 'sender@internet.com', to: 'user1@domain.com',
+            })), environment, context);
+            expect(await response.json()).toMatchObject({
+                sources: { rateLimits: 'MAP:@RATE_LIMITS' },
+                rateLimits: [
+                    { scope: 'sender', subject: 'sender@internet.com', messages: 1 },
+                    { scope: 'senderDomain', subject: 'internet.com', messages: 1 },
+                    { scope: 'user', subject: 'user1@domain.com', messages: 1 },
+                ],
+                messageRateIsAllowed: true,
+            });
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            ['/keys/%40RATE_LIMITS', 'sender=10/minute, user=100/day;: too many messages', 201],
+            ['/keys/%40RATE_LIMITS', 'recipient=10/minute', 400],
+            ['/keys/%40RATE_LIMITS', 'sender=10/week', 400],
+            ['/keys/%40RATE_LIMITS', 'sender=many/minute', 400],
+            ['/keys/user1%40RATE_LIMITS', 'sender=10/minute', 400],
+        ])('PUT %s with "%s" should respond %i', async (path, value, status) => {
+            const response = await worker.fetch(request('PUT', path, value), { ...TEST, MAP: new MemoryKV() }, context);
+            expect(response.status).toBe(status);
+        });
+    });
+});
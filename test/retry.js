@@ -0,0 +1,269 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+import { MemoryDeliveryLog, MemoryQueue } from "./helpers/memory.js";
+
+// Retry queue conditions where:
+// - message.forward mock throws a recoverable error for some destinations
+// - retries are queued in a MemoryQueue bound as RETRY_QUEUE
+// - retries are sent with a sendEmail mock
+//
+describe('Email forwarding: retry queue', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        REJECT_TREATMENT: 'default reject reason',
+        UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE: 'Unrecoverable Forward Implementation Error',
+    };
+    const recoverableError = () => new Error(FIXED.RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE_1);
+    let failingDestinations = [];
+    const message = {
+        from: 'sender@internet.com',
+        forward: undefined,
+        setReject: undefined,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: 'Subject: hello\r\n\r\nbody',
+        rawSize: 999,
+    };
+
+    // Reference test data
+    const r = {
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        dest3: 'user3@email.com',
+        rejectDest: 'user+spam@email.com',
+        admin: 'admin@email.com',
+    };
+
+    let forward;
+    let setReject;
+    let RETRY_QUEUE;
+    let SEND_EMAIL;
+    let sendEmail;
+    let environment;
+    beforeEach(async () => {
+        message.to = 'user@domain.com';
+        message.rawSize = 999;
+        failingDestinations = [];
+        forward = message.forward = vi.fn(async (to, headers) => {
+            if (failingDestinations.includes(to))
+                throw recoverableError();
+        });
+        setReject = message.setReject = vi.fn(reason => reason);
+        RETRY_QUEUE = new MemoryQueue();
+        SEND_EMAIL = {};
+        sendEmail = vi.fn(async () => { });
+        environment = {
+            ...TEST,
+            USERS: 'user',
+            DESTINATION: `${r.dest1},${r.dest2}:${r.dest3}`,
+            REJECT_TREATMENT: r.rejectDest,
+            RETRY_QUEUE, SEND_EMAIL, sendEmail,
+        };
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    describe('Queuing retries', () => {
+        it('should queue only the redundant destinations with a recoverable error', async () => {
+            failingDestinations = [r.dest2, r.dest3];
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledTimes(3);
+            expect(forward).not.toHaveBeenCalledWith(r.rejectDest, expect.anything());
+            expect(setReject).not.toHaveBeenCalled();
+            const { messages } = RETRY_QUEUE.receive();
+            expect(messages).toHaveLength(1);
+            expect(messages[0].delaySeconds).toBe(60);
+            expect(messages[0].body).toMatchObject({
+                action: 'AcceptForwarding',
+                from: 'sender@internet.com',
+                to: 'user@domain.com',
+                headers: { [TEST.CUSTOM_HEADER.toLowerCase()]: TEST.CUSTOM_HEADER_PASS },
+                multiDestination: [[r.dest2, r.dest3]],
+                attempt: 2,
+            });
+            expect(new TextDecoder().decode(messages[0].body.raw)).toBe(message.raw);
+        });
+
+        it.each([
+            ['RETRY_QUEUE is not bound', { RETRY_QUEUE: undefined }, 999],
+            ['SEND_EMAIL is not bound', { SEND_EMAIL: undefined }, 999],
+            ['the message is too large to queue', {}, FIXED.RETRY_QUEUE_MAX_RAW_SIZE + 1],
+        ])('should throw as before if %s', async (_, configuration, size) => {
+            failingDestinations = [r.dest2, r.dest3];
+            message.rawSize = size;
+            await expect(worker.email(message, { ...environment, ...configuration }, context))
+                .rejects.toThrow(FIXED.RECOVERABLE_FORWARD_INTERFACE_ERROR_MESSAGE);
+            expect(RETRY_QUEUE.receive().messages).toHaveLength(0);
+        });
+
+        it('should throw as before if the retry cannot be queued', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => { });
+            vi.spyOn(RETRY_QUEUE, 'send').mockRejectedValue(new Error('queue unavailable'));
+            failingDestinations = [r.dest1];
+            await expect(worker.email(message, environment, context))
+                .rejects.toThrow(FIXED.RECOVERABLE_FORWARD_INTERFACE_ERROR_MESSAGE);
+        });
+    });
+
+    describe('Handling queued retries', () => {
+        const queueRetry = async () => {
+            await worker.email(message, environment, context);
+            const batch = RETRY_QUEUE.receive();
+            await worker.queue(batch, environment, context);
+            return batch;
+        };
+
+        it('should send only to the queued destinations with the custom header', async () => {
+            failingDestinations = [r.dest2, r.dest3];
+            const batch = await queueRetry();
+            expect(batch.messages[0].wasAcknowledged).toBe(true);
+            expect(sendEmail).toHaveBeenCalledTimes(1);
+            expect(sendEmail).toHaveBeenCalledWith(SEND_EMAIL, 'user@domain.com', r.dest2, expect.any(ReadableStream));
+            const raw = await new Response(sendEmail.mock.calls[0][3]).text();
+            expect(raw).toBe(`${TEST.CUSTOM_HEADER.toLowerCase()}: ${TEST.CUSTOM_HEADER_PASS}\r\n${message.raw}`);
+            expect(RETRY_QUEUE.receive().messages).toHaveLength(0);
+        });
+
+        it('should fail over to the next simple destination', async () => {
+            failingDestinations = [r.dest2, r.dest3];
+            sendEmail.mockRejectedValueOnce(recoverableError());
+            await queueRetry();
+            expect(sendEmail).toHaveBeenLastCalledWith(SEND_EMAIL, 'user@domain.com', r.dest3, expect.any(ReadableStream));
+            expect(RETRY_QUEUE.receive().messages).toHaveLength(0);
+        });
+
+        it('should queue another retry with a doubled delay until the maximum attempts', async () => {
+            vi.spyOn(console, 'info').mockImplementation(() => { });
+            const error = vi.spyOn(console, 'error').mockImplementation(() => { });
+            failingDestinations = [r.dest1];
+            sendEmail.mockRejectedValue(recoverableError());
+            await queueRetry();
+            let batch = RETRY_QUEUE.receive();
+            expect(batch.messages.map(({ body, delaySeconds }) => [body.attempt, delaySeconds])).toEqual([[3, 120]]);
+            for (const attempt of [3, 4]) {
+                await worker.queue(batch, environment, context);
+                batch = RETRY_QUEUE.receive();
+                expect(batch.messages.map(({ body }) => body.attempt)).toEqual([attempt + 1]);
+            }
+            await worker.queue(batch, environment, context);
+            expect(RETRY_QUEUE.receive().messages).toHaveLength(0);
+            expect(error).toHaveBeenLastCalledWith(expect.objectContaining({
+                attempt: 5,
+                status: 'FailureForwarding',
+            }));
+        });
+
+        it('should not queue another retry after an unrecoverable error', async () => {
+            failingDestinations = [r.dest1];
+            sendEmail.mockRejectedValue(new Error(TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE));
+            const batch = await queueRetry();
+            expect(batch.messages[0].wasAcknowledged).toBe(true);
+            expect(RETRY_QUEUE.receive().messages).toHaveLength(0);
+        });
+
+        describe('Failing finally', () => {
+            const failFinally = async () => {
+                vi.spyOn(console, 'info').mockImplementation(() => { });
+                vi.spyOn(console, 'error').mockImplementation(() => { });
+                failingDestinations = [r.dest2, r.dest3];
+                sendEmail.mockImplementation(async (binding, from, to) => {
+                    if (to !== r.admin)
+                        throw recoverableError();
+                });
+                environment.RETRY_MAX_ATTEMPTS = '2';
+                await queueRetry();
+            };
+
+            beforeEach(async () => {
+                environment.DESTINATION_STATE = new MemoryKV();
+            });
+
+            it('should record a failed delivery', async () => {
+                environment.DELIVERY_LOG = new MemoryDeliveryLog();
+                await failFinally();
+                const deliveries = await environment.DELIVERY_LOG.deliveries(new Date(0), new Date(8.64e15));
+                expect(deliveries.map(({ user, action, outcome }) => [user, action, outcome])).toEqual([
+                    ['user', 'AcceptForwarding', 'AcceptForwarded'],
+                    ['user', 'AcceptForwarding', 'RetryFailed'],
+                ]);
+                expect(deliveries[1].attempts).toEqual([expect.objectContaining({
+                    redundantDestination: [r.dest2, r.dest3],
+                    wasSuccessful: false,
+                })]);
+            });
+
+            it('should notify the administrator', async () => {
+                environment.ADMIN_NOTIFY = r.admin;
+                await failFinally();
+                expect(sendEmail).toHaveBeenLastCalledWith(SEND_EMAIL, 'user@domain.com', r.admin, expect.any(String));
+                const raw = sendEmail.mock.calls.at(-1)[3];
+                expect(raw).toContain('Forwarding an email failed after 2 attempts, and no further retry was queued.');
+                expect(raw).toContain(`AcceptForwarding to ${r.dest2}:${r.dest3}:`);
+            });
+
+            it('should not notify the administrator while retries remain', async () => {
+                environment.ADMIN_NOTIFY = r.admin;
+                environment.RETRY_MAX_ATTEMPTS = '3';
+                failingDestinations = [r.dest1];
+                sendEmail.mockRejectedValue(recoverableError());
+                await queueRetry();
+                expect(sendEmail).not.toHaveBeenCalledWith(SEND_EMAIL, expect.anything(), r.admin, expect.anything());
+            });
+        });
+
+        it('should fail finally, without retrying succeeded destinations, if another retry cannot be queued', async () => {
+            vi.spyOn(console, 'info').mockImplementation(() => { });
+            const error = vi.spyOn(console, 'error').mockImplementation(() => { });
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            environment.DELIVERY_LOG = new MemoryDeliveryLog();
+            environment.DESTINATION_STATE = new MemoryKV();
+            environment.ADMIN_NOTIFY = r.admin;
+            failingDestinations = [r.dest1, r.dest2, r.dest3];
+            await worker.email(message, environment, context);
+            const batch = RETRY_QUEUE.receive();
+            sendEmail.mockImplementation(async (binding, from, to) => {
+                if ([r.dest2, r.dest3].includes(to))
+                    throw recoverableError();
+            });
+            vi.spyOn(RETRY_QUEUE, 'send').mockRejectedValue(new Error('queue unavailable'));
+            await worker.queue(batch, environment, context);
+            expect(batch.messages[0].wasAcknowledged).toBe(true);
+            expect(batch.messages[0].wasRetried).toBe(false);
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({
+                issue: 'retry not queued',
+                errorMessage: 'queue unavailable',
+            }));
+            expect(error).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'FailureForwarding' }));
+            const deliveries = await environment.DELIVERY_LOG.deliveries(new Date(0), new Date(8.64e15));
+            expect(deliveries.map(({ outcome }) => outcome)).toEqual(['AcceptForwarded', 'RetryFailed']);
+            expect(sendEmail).toHaveBeenLastCalledWith(SEND_EMAIL, 'user@domain.com', r.admin, expect.any(String));
+            expect(sendEmail.mock.calls.at(-1)[3]).toContain(`AcceptForwarding to ${r.dest2}:${r.dest3}:`);
+            expect(sendEmail.mock.calls.at(-1)[3]).not.toContain(`AcceptForwarding to ${r.dest1}`);
+        });
+
+        it('should retry the queued message if its retry throws', async () => {
+            vi.spyOn(console, 'error').mockImplementation(() => { });
+            failingDestinations = [r.dest1];
+            await worker.email(message, environment, context);
+            const batch = RETRY_QUEUE.receive();
+            environment.forwardToRedundantDestination = vi.fn(async () => { throw new Error('unexpected'); });
+            await worker.queue(batch, environment, context);
+            expect(batch.messages[0].wasAcknowledged).toBe(false);
+            expect(batch.messages[0].wasRetried).toBe(true);
+        });
+    });
+});
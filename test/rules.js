@@ -0,0 +1,164 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// Routing rule conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - rules match the message's headers
+//
+describe('Email forwarding: routing rules', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+        USE_STORED_RULES: 'true',
+    };
+    let mockHeaders = {};
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => ({
+                'Message-ID': 'h9MTV7vNalV3',
+                'Date': 'Wed, 30 Oct 2024 15:30:00 +0000',
+                ...mockHeaders,
+            })[headerName] ?? null
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+        mockHeaders = {};
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        newsDest: 'news@email.com',
+        invoiceDest: 'accounts@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('First matching rule', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('user1', r.dest1);
+        MAP.set('@RULES', JSON.stringify([
+            { name: 'lists', conditions: [{ header: 'List-Id', contains: 'newsletter' }], destinations: [r.newsDest] },
+            {
+                name: 'spam', conditions: [{ header: 'Subject', regex: '^\\[spam\\]' }],
+                accept: false, reject: ': looks like spam',
+            },
+            { conditions: [{ header: 'X-Priority', equals: '1' }], customHeader: 'urgent' },
+        ]));
+        MAP.set('user1@RULES', JSON.stringify([
+            {
+                name: 'invoices',
+                conditions: [{ header: 'From', contains: '@shop.com' }, { header: 'Subject', contains: 'invoice' }],
+                destinations: [r.invoiceDest],
+            },
+        ]));
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            [{}, r.dest1, TEST.CUSTOM_HEADER_PASS],
+            [{ 'List-Id': 'Weekly Newsletter <news.shop.com>' }, r.newsDest, TEST.CUSTOM_HEADER_PASS],
+            [{ 'From': 'Shop <orders@shop.com>', 'Subject': 'Your Invoice' }, r.invoiceDest, TEST.CUSTOM_HEADER_PASS],
+            [{ 'From': 'Shop <orders@shop.com>', 'Subject': 'Your order' }, r.dest1, TEST.CUSTOM_HEADER_PASS],
+            [{ 'From': 'orders@shop.com', 'Subject': 'Invoice', 'List-Id': 'newsletter' }, r.invoiceDest, TEST.CUSTOM_HEADER_PASS],
+            [{ 'X-Priority': ' 1 ' }, r.dest1, 'urgent'],
+        ])('user1@domain.com with headers %j should forward to %s with header %s', async (headers, dest, headerValue) => {
+            mockHeaders = headers;
+            message.to = 'user1@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, new Headers({ [TEST.CUSTOM_HEADER]: headerValue }));
+            expect(forward).toHaveBeenCalledTimes(1);
+        });
+
+        it('a rule should reject with its reject treatment', async () => {
+            mockHeaders = { 'Subject': '[SPAM] cheap watches' };
+            message.to = 'user1@domain.com';
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith('user1: looks like spam');
+        });
+
+        it('rules should not be loaded unless enabled', async () => {
+            mockHeaders = { 'List-Id': 'newsletter' };
+            message.to = 'user1@domain.com';
+            await worker.email(message, { ...environment, USE_STORED_RULES: 'false' }, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+        });
+
+        it('simulation should show the matching rule', async () => {
+            const response = await worker.fetch(request('POST', '/simulate', JSON.stringify({
+                to: 'user1@domain.com', headers: { 'List-Id': 'newsletter' },
+            })), environment, context);
+            expect(await response.json()).toMatchObject({
+                rule: { source: 'MAP:@RULES[0]', name: 'lists' },
+                messageRuleIsAllowed: true,
+                sources: { destination: 'MAP:@RULES[0]' },
+                acceptMultiDestination: { validRedundant: [[r.newsDest]] },
+            });
+        });
+
+        it('simulation should show no rule if none matches', async () => {
+            const response = await worker.fetch(request('POST', '/simulate', JSON.stringify({
+                to: 'user1@domain.com',
+            })), environment, context);
+            expect(await response.json()).toMatchObject({
+                rule: null,
+                customHeaderValue: null,
+                sources: { destination: 'MAP:user1' },
+            });
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            ['{"conditions": []}', 'JSON document is not an array'],
+            ['[{"conditions": []}]', "Field '[0].conditions' is not a non-empty array"],
+            ['[{"conditions": [{"header": "Subject", "matches": "x"}]}]',
+                "Field '[0].conditions[0]' is not a header or authentication method with one of the operators 'equals', 'contains', 'regex'"],
+            ['[{"conditions": [{"header": "Subject", "regex": "("}]}]',
+                "Field '[0].conditions[0].regex' is an invalid regular expression"],
+            ['[{"conditions": [{"header": "Subject", "equals": "x"}], "forward": true}]',
+                "Field '[0].forward' is not supported"],
+            ['[{"conditions": [{"header": "Subject", "equals": "x"}], "destinations": ["news.email.com"]}]',
+                "Destination 'news.email.com' is invalidly formatted"],
+        ])('PUT /keys/@RULES with %s should respond 400 with "%s"', async (value, issue) => {
+            const response = await worker.fetch(request('PUT', '/keys/%40RULES', value),
+                { ...TEST, MAP: new MemoryKV() }, context);
+            expect(response.status).toBe(400);
+            expect((await response.json()).issues).toContain(issue);
+        });
+
+        it('rules keys should have a warning if rules are disabled', () => {
+            expect(configurationIssues([['@RULES', '[]']], { DESTINATION: r.dest1 }))
+                .toContainEqual({ severity: 'warning', source: 'MAP:@RULES', issue: 'Key is not used as stored rules are disabled' });
+        });
+    });
+});
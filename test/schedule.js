@@ -0,0 +1,152 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// Scheduled destination conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - the clock is faked by overriding now()
+//
+describe('Email forwarding: scheduled destinations', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dayDest: 'day@email.com',
+        nightDest: 'night@email.com',
+        weekendDest: 'weekend@email.com',
+        defaultDest: 'oncall@email.com',
+        shopDest: 'shop@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    const schedule = {
+        destinations: [r.defaultDest],
+        schedule: [
+            { days: 'mon-fri', times: '09:00-17:00', destinations: [r.dayDest] },
+            { days: 'mon-fri', times: '22:00-06:00', destinations: [r.nightDest] },
+            { days: 'sat,sun', destinations: [r.weekendDest] },
+        ],
+    };
+
+    describe('Time windows', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('oncall', JSON.stringify(schedule));
+        MAP.set('tokyo', JSON.stringify({ ...schedule, timeZone: 'Asia/Tokyo' }));
+        MAP.set('oncall+shop', JSON.stringify({
+            destinations: [r.shopDest],
+            schedule: [{ days: 'mon', destinations: [r.dayDest] }],
+        }));
+        const environment = { ...TEST, MAP };
+        const at = date => ({ ...environment, now: () => new Date(date) });
+
+        it.each([
+            // Wednesday
+            ['oncall@domain.com', '2025-01-08T12:00:00Z', {}, r.dayDest],
+            ['oncall@domain.com', '2025-01-08T17:00:00Z', {}, r.defaultDest],
+            ['oncall@domain.com', '2025-01-08T23:30:00Z', {}, r.nightDest],
+            // Saturday morning, after Friday night
+            ['oncall@domain.com', '2025-01-11T05:59:00Z', {}, r.nightDest],
+            ['oncall@domain.com', '2025-01-11T06:00:00Z', {}, r.weekendDest],
+            // Monday morning, after Sunday night
+            ['oncall@domain.com', '2025-01-13T05:00:00Z', {}, r.defaultDest],
+            ['oncall@domain.com', '2025-01-08T15:00:00Z', { SCHEDULE_TIME_ZONE: 'America/New_York' }, r.dayDest],
+            ['oncall@domain.com', '2025-01-08T12:00:00Z', { SCHEDULE_TIME_ZONE: 'America/New_York' }, r.defaultDest],
+            ['oncall@domain.com', '2025-01-08T08:00:00Z', { SCHEDULE_TIME_ZONE: 'America/New_York' }, r.nightDest],
+            ['tokyo@domain.com', '2025-01-08T01:00:00Z', {}, r.dayDest],
+            ['tokyo@domain.com', '2025-01-08T14:00:00Z', {}, r.nightDest],
+            ['oncall+shop@domain.com', '2025-01-13T12:00:00Z', {}, r.dayDest],
+            ['oncall+shop@domain.com', '2025-01-08T12:00:00Z', {}, r.shopDest],
+        ])('%s at %s with %j should forward to %s', async (to, date, configuration, dest) => {
+            message.to = to;
+            await worker.email(message, { ...at(date), ...configuration }, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+        });
+
+        it('simulation should show the schedule window', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'oncall@domain.com' })), at('2025-01-08T23:30:00Z'), context);
+            expect(await response.json()).toMatchObject({
+                sources: { destination: 'MAP:oncall.schedule[1]' },
+                scheduleWindow: { source: 'MAP:oncall.schedule[1]', timeZone: 'UTC' },
+                acceptMultiDestination: { validRedundant: [[r.nightDest]] },
+            });
+        });
+
+        it('simulation should show no schedule window outside the windows', async () => {
+            const response = await worker.fetch(request('POST', '/simulate',
+                JSON.stringify({ to: 'oncall@domain.com' })), at('2025-01-08T18:00:00Z'), context);
+            expect(await response.json()).toMatchObject({
+                sources: { destination: 'MAP:oncall' },
+                scheduleWindow: null,
+            });
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            [{ schedule: [{ days: 'mon-fry', destinations: [r.dayDest] }] },
+                "Field 'schedule[0].days' has invalid days 'mon-fry'"],
+            [{ schedule: [{ times: '9:00-17:00', destinations: [r.dayDest] }] },
+                "Field 'schedule[0].times' has invalid times '9:00-17:00'"],
+            [{ schedule: [{ times: '09:00-09:00', destinations: [r.dayDest] }] },
+                "Field 'schedule[0].times' has invalid times '09:00-09:00'"],
+            [{ schedule: [{ days: 'mon' }] },
+                "Field 'schedule[0].destinations' is empty"],
+            [{ schedule: [{ destinations: ['day.email.com'] }] },
+                "Destination 'day.email.com' is invalidly formatted"],
+            [{ schedule: [{ destinations: [r.dayDest] }], timeZone: 'Mars/Olympus_Mons' },
+                "Field 'timeZone' has an unsupported time zone 'Mars/Olympus_Mons'"],
+        ])('PUT of %j should respond 400 with "%s"', async (document, issue) => {
+            const response = await worker.fetch(request('PUT', '/keys/oncall', JSON.stringify(document)),
+                { ...TEST, MAP: new MemoryKV() }, context);
+            expect(response.status).toBe(400);
+            expect((await response.json()).issues).toContain(issue);
+        });
+    });
+});
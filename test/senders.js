@@ -0,0 +1,156 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, configurationIssues } from "./worker.js";
+
+// Sender conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - the message's sender is blocked or allowed globally or per user
+//
+describe('Email forwarding: sender conditions', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        REJECT_TREATMENT: 'default reject reason'
+    };
+    const message = {
+        from: undefined,
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+        message.from = null;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        rejectDest2: 'user2+spam@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    describe('Environment variables', () => {
+        const environment = {
+            ...TEST,
+            USERS: 'user1',
+            DESTINATION: r.dest1,
+            BLOCKED_SENDERS: 'spammer@spam.com, @junk.com, *.bulk.com, news*@*',
+        };
+
+        it.each([
+            ['user1@domain.com', 'friend@internet.com', r.dest1],
+            ['user1@domain.com', 'friend@spam.com', r.dest1],
+            ['user1@domain.com', 'friend@notjunk.com', r.dest1],
+            ['user1@domain.com', 'friend@bulk.com', r.dest1],
+        ])('%s from %s should forward to %s', async (to, from, dest) => {
+            message.to = to;
+            message.from = from;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1@domain.com', 'spammer@spam.com', environment.REJECT_TREATMENT],
+            ['user1@domain.com', 'SPAMMER@SPAM.COM', environment.REJECT_TREATMENT],
+            ['user1@domain.com', 'anyone@junk.com', environment.REJECT_TREATMENT],
+            ['user1@domain.com', 'anyone@mail.bulk.com', environment.REJECT_TREATMENT],
+            ['user1@domain.com', 'newsletter@internet.com', environment.REJECT_TREATMENT],
+        ])('%s from %s should reject with "%s"', async (to, from, reason) => {
+            message.to = to;
+            message.from = from;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('KV globals and users', () => {
+        const MAP = new Map();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@BLOCKED_SENDERS', 'internet.com');
+        MAP.set('user1', r.dest1);
+        MAP.set('user2', `${r.dest2};${r.rejectDest2}`);
+        MAP.set('user2@BLOCKED_SENDERS', '');
+        MAP.set('user2@ALLOWED_SENDERS', 'friend@internet.com,@family.com');
+        const environment = { ...TEST, USE_STORED_SENDERS: 'true', MAP };
+
+        it.each([
+            ['user1@domain.com', 'friend@family.com', r.dest1],
+            ['user2@domain.com', 'friend@internet.com', r.dest2],
+            ['user2+subA@domain.com', 'sibling@family.com', r.dest2],
+        ])('%s from %s should forward to %s', async (to, from, dest) => {
+            message.to = to;
+            message.from = from;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, passHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user2@domain.com', 'stranger@internet.com', r.rejectDest2],
+            ['user2@domain.com', 'friend@family.org', r.rejectDest2],
+        ])('%s from %s should reject forward to %s', async (to, from, dest) => {
+            message.to = to;
+            message.from = from;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(dest, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1@domain.com', 'friend@internet.com', r.rejectReason],
+        ])('%s from %s should direct reject with reason \'%s\'', async (to, from, reason) => {
+            message.to = to;
+            message.from = from;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+            expect(setReject).toHaveBeenCalledTimes(1);
+        });
+
+        it('should be ignored unless enabled', async () => {
+            message.to = 'user1@domain.com';
+            message.from = 'friend@internet.com';
+            await worker.email(message, { ...environment, USE_STORED_SENDERS: DEFAULTS.USE_STORED_SENDERS }, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+        });
+
+        it('should warn that stored senders are not used unless enabled', () => {
+            expect(configurationIssues([['@BLOCKED_SENDERS', 'internet.com']], {})).toContainEqual({
+                severity: 'warning',
+                source: 'MAP:@BLOCKED_SENDERS',
+                issue: 'Key is not used as stored senders are disabled',
+            });
+        });
+    });
+});
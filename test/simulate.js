@@ -0,0 +1,163 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV } from "./worker.js";
+
+// Routing simulation conditions where:
+// - nothing is forwarded or rejected
+//
+describe('Routing simulation', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+    };
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        user1: 'user1',
+        dest: 'user@email.com',
+        dest1: 'user1@email.com',
+        rejectDest2: 'user2+spam@email.com',
+        rejectReason: 'common reject reason',
+        rejectReason1: ': reject reason 1',
+    };
+
+    const simulate = (body, environment) =>
+        worker.fetch(new Request(`${r.url}/simulate`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: JSON.stringify(body),
+        }), environment, context);
+
+    describe('Decision trace', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@SUBADDRESSES', 'subA');
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set(r.user1, `${r.dest1};${r.rejectReason1}`);
+        MAP.set('user2', `;${r.rejectDest2}`);
+        MAP.set('user2+', '*');
+        MAP.set('user2@BLOCKED_SENDERS', '@internet.com');
+        const environment = { ...TEST, DESTINATION: r.dest, USERS: 'user3', USE_STORED_SENDERS: 'true', MAP };
+
+        it.each([
+            ['user1+subA@domain.com', {
+                messageUser: 'user1',
+                messageSubaddress: 'suba',
+                sources: {
+                    destination: 'MAP:user1',
+                    rejectTreatment: 'MAP:user1',
+                    subaddresses: 'MAP:@SUBADDRESSES',
+                    users: 'MAP:user1',
+                },
+                messageUserIsAllowed: true,
+                messageSubaddressIsAllowed: true,
+                acceptMultiDestination: {
+                    validRedundant: [[r.dest1]],
+                    validSimple: [r.dest1],
+                    invalidSimple: [],
+                    duplicateSimple: [],
+                },
+                rejectReason: 'user1+subA' + r.rejectReason1,
+                action: 'AcceptForwarding',
+            }],
+            ['user1+subB@domain.com', {
+                messageSubaddressIsAllowed: false,
+                rejectReason: 'user1+subB' + r.rejectReason1,
+                action: 'DirectRejecting',
+            }],
+            ['user2+anything@domain.com', {
+                sources: {
+                    destination: 'environment:DESTINATION',
+                    rejectTreatment: 'MAP:user2',
+                    subaddresses: 'MAP:user2+',
+                    users: 'MAP:user2',
+                    blockedSenders: 'MAP:user2@BLOCKED_SENDERS',
+                    allowedSenders: 'environment:ALLOWED_SENDERS',
+                },
+                messageUserIsAllowed: true,
+                messageSubaddressIsAllowed: true,
+                messageSenderIsAllowed: false,
+                acceptMultiDestination: { validRedundant: [[r.dest]] },
+                rejectMultiDestination: { validRedundant: [[r.rejectDest2]] },
+                action: 'RejectForwarding',
+            }],
+            ['user3@domain.com', {
+                sources: {
+                    destination: 'environment:DESTINATION',
+                    rejectTreatment: 'MAP:@REJECT_TREATMENT',
+                    subaddresses: 'MAP:@SUBADDRESSES',
+                    users: 'environment:USERS',
+                },
+                messageUserIsAllowed: true,
+                action: 'AcceptForwarding',
+            }],
+            ['user4@domain.com', {
+                messageUserIsAllowed: false,
+                rejectMultiDestination: { validRedundant: [] },
+                rejectReason: r.rejectReason,
+                action: 'DirectRejecting',
+            }],
+        ])('%s should be explained', async (to, trace) => {
+            const response = await simulate({ to, from: 'random@internet.com' }, environment);
+            expect(response.status).toBe(200);
+            const body = await response.json();
+            expect(body).toMatchObject(trace);
+            expect(body.email).toMatchObject({ from: 'random@internet.com', to });
+            expect(body).not.toHaveProperty('configuration');
+        });
+
+        it('uses defaults when not otherwise configured', async () => {
+            const response = await simulate({ to: 'user1@domain.com' }, { ADMIN_TOKEN: TEST.ADMIN_TOKEN });
+            expect(await response.json()).toMatchObject({
+                sources: {
+                    destination: 'default:DESTINATION',
+                    rejectTreatment: 'default:REJECT_TREATMENT',
+                    subaddresses: 'default:SUBADDRESSES',
+                    users: 'default:USERS',
+                },
+                messageUserIsAllowed: false,
+                rejectReason: 'user1' + DEFAULTS.REJECT_TREATMENT,
+                action: 'DirectRejecting',
+            });
+        });
+    });
+
+    describe('Invalid requests', () => {
+        const environment = { ...TEST };
+
+        it.each([
+            [{}],
+            [{ to: 'user1' }],
+            [{ to: 42 }],
+            [{ to: 'user1@domain.com', from: 42 }],
+            [{ to: 'user1@domain.com', from: null }],
+            [{ to: 'user1@domain.com', headers: 'x' }],
+            [{ to: 'user1@domain.com', headers: null }],
+            [{ to: 'user1@domain.com', headers: ['x'] }],
+            [{ to: 'user1@domain.com', headers: { Subject: 42 } }],
+            [{ to: 'user1@domain.com', size: 'large' }],
+            [{ to: 'user1@domain.com', size: -1 }],
+        ])('%j should respond bad request', async (body) => {
+            const response = await simulate(body, environment);
+            expect(response.status).toBe(400);
+        });
+
+        it('GET should not be allowed', async () => {
+            const response = await worker.fetch(new Request(`${r.url}/simulate`, {
+                headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            }), environment, context);
+            expect(response.status).toBe(405);
+        });
+
+        it('should require authorization', async () => {
+            const response = await worker.fetch(new Request(`${r.url}/simulate`, {
+                method: 'POST',
+                body: JSON.stringify({ to: 'user1@domain.com' }),
+            }), environment, context);
+            expect(response.status).toBe(401);
+        });
+    });
+});
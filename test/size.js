@@ -0,0 +1,165 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+
+// Message size conditions where:
+// - message.forward mock doesn't throw any exceptions
+// - the message's rawSize is set per test
+//
+describe('Email forwarding: maximum message size', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        ADMIN_TOKEN: 'secret-admin-token',
+        REJECT_TREATMENT: 'default reject reason',
+        USE_STORED_MAX_SIZE: 'true',
+    };
+    const message = {
+        from: 'sender@internet.com',
+        forward: (to, headers) => JSON.stringify({ to, headers }),
+        setReject: (reason) => reason,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+    const forward = vi.spyOn(message, 'forward');
+    const setReject = vi.spyOn(message, 'setReject');
+
+    beforeEach(async () => {
+        message.to = null;
+        message.rawSize = 999;
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.resetAllMocks();
+    });
+
+    const failHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_FAIL });
+    const passHeaders = new Headers({ [TEST.CUSTOM_HEADER]: TEST.CUSTOM_HEADER_PASS });
+
+    // Reference test data
+    const r = {
+        url: 'https://email.domain.com',
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        rejectDest2: 'user2+large@email.com',
+        rejectReason: 'common reject reason',
+    };
+
+    const request = (method, path, body) =>
+        new Request(`${r.url}${path}`, {
+            method: method,
+            headers: { Authorization: `Bearer ${TEST.ADMIN_TOKEN}` },
+            body: body,
+        });
+
+    describe('Rejecting large messages', () => {
+        const MAP = new MemoryKV();
+        MAP.set('@REJECT_TREATMENT', r.rejectReason);
+        MAP.set('@MAX_SIZE', '1KB;: message too large');
+        MAP.set('user1', r.dest1);
+        MAP.set('user2', `${r.dest2};${r.rejectDest2}`);
+        MAP.set('user3', r.dest1);
+        MAP.set('user3@MAX_SIZE', '2MB');
+        MAP.set('user4', r.dest1);
+        MAP.set('user4@MAX_SIZE', '');
+        const environment = { ...TEST, MAP };
+
+        it.each([
+            ['user1@domain.com', 1024],
+            ['user3@domain.com', 2 * 1024 * 1024],
+            ['user4@domain.com', 50 * 1024 * 1024],
+        ])('%s of %i bytes should forward', async (to, size) => {
+            message.to = to;
+            message.rawSize = size;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.dest1, passHeaders);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['user1@domain.com', 1025, 'user1: message too large'],
+            ['user3@domain.com', 2 * 1024 * 1024 + 1, r.rejectReason],
+        ])('%s of %i bytes should reject with "%s"', async (to, size, reason) => {
+            message.to = to;
+            message.rawSize = size;
+            await worker.email(message, environment, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(reason);
+        });
+
+        it('a large message should reject forward to the reject destination', async () => {
+            message.to = 'user2@domain.com';
+            message.rawSize = 4096;
+            await worker.email(message, environment, context);
+            expect(forward).toHaveBeenCalledWith(r.rejectDest2, failHeaders);
+            expect(forward).toHaveBeenCalledTimes(1);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('environment MAX_SIZE should apply without a stored value', async () => {
+            const MAP = new MemoryKV();
+            MAP.set('user1', r.dest1);
+            message.to = 'user1@domain.com';
+            message.rawSize = 101;
+            await worker.email(message, { ...TEST, MAP, MAX_SIZE: '100' }, context);
+            expect(forward).not.toHaveBeenCalled();
+            expect(setReject).toHaveBeenCalledWith(TEST.REJECT_TREATMENT);
+        });
+
+        it('simulation should show the maximum size and its configuration', async () => {
+            const response = await worker.fetch(request('POST', '/simulate', JSON.stringify({
+                to: 'user3@domain.com', size: 4096,
+            })), environment, context);
+            expect(await response.json()).toMatchObject({
+                maxSize: 2 * 1024 * 1024,
+                messageSizeIsAllowed: true,
+                sources: { maxSize: 'MAP:user3@MAX_SIZE' },
+            });
+        });
+
+        it('simulation without a size should allow any maximum size', async () => {
+            const response = await worker.fetch(request('POST', '/simulate', JSON.stringify({
+                to: 'user1@domain.com',
+            })), environment, context);
+            expect(await response.json()).toMatchObject({
+                maxSize: 1024,
+                messageSizeIsAllowed: true,
+                sources: { maxSize: 'MAP:@MAX_SIZE' },
+            });
+        });
+    });
+
+    describe('Validation', () => {
+        it.each([
+            ['/keys/%40MAX_SIZE', '10MB;: message too large', 201],
+            ['/keys/%40MAX_SIZE', '512 kb', 201],
+            ['/keys/%40MAX_SIZE', '10GB', 400],
+            ['/keys/%40MAX_SIZE', '1.5MB', 400],
+            ['/keys/user1%40MAX_SIZE', '', 201],
+            ['/keys/user1%40MAX_SIZE', 'large', 400],
+        ])('PUT %s with "%s" should respond %i', async (path, value, status) => {
+            const response = await worker.fetch(request('PUT', path, value), { ...TEST, MAP: new MemoryKV() }, context);
+            expect(response.status).toBe(status);
+        });
+
+        it('should warn that stored sizes are not used unless enabled', () => {
+            expect(configurationIssues([['user1@MAX_SIZE', '10MB']], {})).toContainEqual({
+                severity: 'warning',
+                source: 'MAP:user1@MAX_SIZE',
+                issue: 'Key is not used as stored maximum sizes are disabled',
+            });
+        });
+    });
+});
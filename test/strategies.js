@@ -0,0 +1,230 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, MemoryKV, configurationIssues } from "./worker.js";
+import { MemoryDeliveryLog } from "./helpers/memory.js";
+
+// Failover strategy conditions where:
+// - message.forward mock throws an unrecoverable error for some destinations
+// - destination state is kept in a MemoryKV bound as DESTINATION_STATE
+//
+describe('Email forwarding: failover strategies', () => {
+    const context = {};
+    const TEST = {
+        ...DEFAULTS,
+        REJECT_TREATMENT: 'default reject reason',
+        UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE: 'Unrecoverable Forward Implementation Error',
+    };
+    let failingDestinations = [];
+    const message = {
+        from: 'sender@internet.com',
+        forward: undefined,
+        setReject: undefined,
+        to: undefined,
+        headers: {
+            get: (headerName) => {
+                const mockHeaders = {
+                    'Message-ID': 'h9MTV7vNalV3',
+                    'Date': 'Wed, 30 Oct 2024 15:30:00 +0000'
+                };
+                return mockHeaders[headerName];
+            }
+        },
+        raw: null,
+        rawSize: 999,
+    };
+
+    // Reference test data
+    const r = {
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+        dest3: 'user3@email.com',
+    };
+
+    let forward;
+    let setReject;
+    let DESTINATION_STATE;
+    beforeEach(async () => {
+        message.to = 'user@domain.com';
+        failingDestinations = [];
+        forward = message.forward = vi.fn(async (to, headers) => {
+            if (failingDestinations.includes(to))
+                throw new Error(TEST.UNRECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE);
+        });
+        setReject = message.setReject = vi.fn(reason => reason);
+        DESTINATION_STATE = new MemoryKV();
+    });
+
+    afterEach(async () => {
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    const email = async (destination, environment = {}) =>
+        await worker.email(message,
+            { ...TEST, USERS: 'user', DESTINATION: destination, DESTINATION_STATE, ...environment },
+            context);
+    const forwardedTo = () => forward.mock.calls.map(([to]) => to);
+
+    describe('Sequential', () => {
+        it('should attempt the destinations in their given order', async () => {
+            failingDestinations = [r.dest1];
+            await email(`${r.dest1}:${r.dest2}:${r.dest3}`);
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2]);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Round-robin', () => {
+        it('should start each message at the next destination', async () => {
+            for (let m = 0; m < 4; m++)
+                await email(`round-robin(${r.dest1}:${r.dest2}:${r.dest3})`);
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2, r.dest3, r.dest1]);
+        });
+
+        it('should fail over to the following destinations', async () => {
+            failingDestinations = [r.dest2, r.dest3];
+            await email(`round-robin(${r.dest1}:${r.dest2}:${r.dest3})`);
+            forward.mockClear();
+            await email(`round-robin(${r.dest1}:${r.dest2}:${r.dest3})`);
+            expect(forwardedTo()).toEqual([r.dest2, r.dest3, r.dest1]);
+            expect(setReject).not.toHaveBeenCalled();
+        });
+
+        it('should rotate without a DESTINATION_STATE binding', async () => {
+            const destination = `round-robin(${r.dest1}:${r.dest2})`;
+            await email(destination, { DESTINATION_STATE: undefined });
+            await email(destination, { DESTINATION_STATE: undefined });
+            expect(new Set(forwardedTo())).toEqual(new Set([r.dest1, r.dest2]));
+        });
+
+        it('should keep the rotation in the destination state', async () => {
+            await email(`round-robin(${r.dest1}:${r.dest2}:${r.dest3})`);
+            expect(await DESTINATION_STATE.get(`roundRobin:${r.dest1} ${r.dest2} ${r.dest3}`)).toBe('1');
+        });
+
+        it('should still forward in turn if the rotation cannot be written', async () => {
+            await DESTINATION_STATE.put(`roundRobin:${r.dest1} ${r.dest2} ${r.dest3}`, '2');
+            vi.spyOn(DESTINATION_STATE, 'put').mockRejectedValue(new Error('KV PUT failed: 429 Too Many Requests'));
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+            await email(`round-robin(${r.dest1}:${r.dest2}:${r.dest3})`);
+            expect(forwardedTo()).toEqual([r.dest3]);
+            expect(setReject).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith(expect.objectContaining({ issue: 'round-robin state not updated' }));
+        });
+    });
+
+    describe('Weighted', () => {
+        it.each([
+            [0.0, [r.dest1, r.dest2]],
+            [0.7, [r.dest1, r.dest2]],
+            [0.8, [r.dest2, r.dest1]],
+        ])('a random %d should draw %j', async (random, order) => {
+            vi.spyOn(Math, 'random').mockReturnValue(random);
+            failingDestinations = [r.dest1, r.dest2];
+            await email(`weighted(${r.dest1}*3:${r.dest2})`);
+            expect(forwardedTo()).toEqual(order);
+        });
+
+        it('should weigh destinations without a weight as 1', async () => {
+            vi.spyOn(Math, 'random').mockReturnValue(0.6);
+            await email(`weighted(${r.dest1}:${r.dest2})`);
+            expect(forwardedTo()).toEqual([r.dest2]);
+        });
+    });
+
+    describe('First-healthy', () => {
+        it('should attempt destinations marked as failing last', async () => {
+            failingDestinations = [r.dest1];
+            await email(`first-healthy(${r.dest1}:${r.dest2})`);
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2]);
+            expect(await DESTINATION_STATE.get(`failing:${r.dest1}`)).not.toBeNull();
+            forward.mockClear();
+            await email(`first-healthy(${r.dest1}:${r.dest2})`);
+            expect(forwardedTo()).toEqual([r.dest2]);
+        });
+
+        it('should attempt a destination again once its mark expires', async () => {
+            const now = Date.now();
+            failingDestinations = [r.dest1];
+            await email(`first-healthy(${r.dest1}:${r.dest2})`, { DESTINATION_FAILING_SECONDS: '60' });
+            failingDestinations = [];
+            forward.mockClear();
+            vi.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+            await email(`first-healthy(${r.dest1}:${r.dest2})`);
+            expect(forwardedTo()).toEqual([r.dest1]);
+        });
+
+        it.each([
+            [`${r.dest1}:${r.dest2}`],
+            [`weighted(${r.dest1}:${r.dest2})`],
+        ])('%s should not mark failing destinations', async (destination) => {
+            vi.spyOn(Math, 'random').mockReturnValue(0);
+            failingDestinations = [r.dest1];
+            await email(destination);
+            expect(forwardedTo()).toEqual([r.dest1, r.dest2]);
+            expect(await DESTINATION_STATE.get(`failing:${r.dest1}`)).toBeNull();
+        });
+
+        it('should unmark a failing destination once a forward to it succeeds', async () => {
+            await DESTINATION_STATE.put(`failing:${r.dest1}`, 'marked');
+            failingDestinations = [r.dest2];
+            await email(`first-healthy(${r.dest1}:${r.dest2})`);
+            expect(forwardedTo()).toEqual([r.dest2, r.dest1]);
+            expect(await DESTINATION_STATE.get(`failing:${r.dest1}`)).toBeNull();
+        });
+    });
+
+    describe('Multiple redundant destinations', () => {
+        it('should order each redundant destination by its own strategy', async () => {
+            await DESTINATION_STATE.put(`roundRobin:${r.dest2} ${r.dest3}`, '1');
+            await email(`${r.dest1},round-robin(${r.dest2}:${r.dest3})`);
+            expect(forwardedTo()).toEqual([r.dest1, r.dest3]);
+        });
+
+        it('should record the strategy in the delivery log', async () => {
+            const DELIVERY_LOG = new MemoryDeliveryLog();
+            await email(`${r.dest1},first-healthy(${r.dest2}:${r.dest3})`, { DELIVERY_LOG });
+            const [delivery] = await DELIVERY_LOG.deliveries(new Date(0), new Date(Date.now() + 1000));
+            expect(delivery.attempts.map(({ strategy }) => strategy)).toEqual(['sequential', 'first-healthy']);
+        });
+    });
+
+    describe('Stored documents', () => {
+        it('should forward to a redundant destination object', async () => {
+            vi.spyOn(Math, 'random').mockReturnValue(0.9);
+            const MAP = new MemoryKV();
+            MAP.set('user', JSON.stringify({
+                destinations: [{ strategy: 'weighted', addresses: [r.dest1, r.dest2], weights: { [r.dest1]: 3 } }],
+            }));
+            await worker.email(message, { ...TEST, DESTINATION_STATE, MAP }, context);
+            expect(forwardedTo()).toEqual([r.dest2]);
+        });
+    });
+
+    describe('Validation', () => {
+        const errors = (storedEntries, environment) =>
+            configurationIssues(storedEntries, environment)
+                .filter(issue => issue.severity === 'error')
+                .map(({ source, issue }) => [source, issue]);
+
+        it.each([
+            [[['user1', `round-robin(${r.dest1}:${r.dest2})`]], {}],
+            [[['user1', `weighted(${r.dest1}*2:${r.dest2}*5),first-healthy(${r.dest3})`]], {}],
+            [[['user1', JSON.stringify({ destinations: [{ strategy: 'round-robin', addresses: [r.dest1, r.dest2] }] })]], {}],
+        ])('%j with %j should have no errors', (storedEntries, environment) => {
+            expect(errors(storedEntries, environment)).toEqual([]);
+        });
+
+        it.each([
+            [[['user1', `fastest(${r.dest1}:${r.dest2})`]], {},
+                ['MAP:user1', `Destination 'fastest(${r.dest1}:${r.dest2})' is invalidly formatted`]],
+            [[['user1', `round-robin(${r.dest1}:missingdomain)`]], {},
+                ['MAP:user1', "Destination 'missingdomain' is invalidly formatted"]],
+            [[['user1', JSON.stringify({ destinations: [{ addresses: [r.dest1], order: 'random' }] })]], {},
+                ['MAP:user1', "Field 'destinations.order' is not supported"]],
+        ])('%j with %j should have error %j', (storedEntries, environment, error) => {
+            expect(errors(storedEntries, environment)).toContainEqual(error);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, test, vi } from 'vitest';
+
+// Specifing the file allows vitest to detect changes in the source files in watch mode:
+import worker, { FIXED, DEFAULTS, configurationIssues } from "./worker.js";
+import { kvEntries, validationReport, wranglerVars } from "../validate.js";
+
+// Offline configuration validation conditions where:
+// - the KV namespace is given as [key, value] entries, or as the text of a
+//   KV dump to the command
+//
+describe('Configuration validation', () => {
+
+    // Reference test data
+    const r = {
+        dest1: 'user1@email.com',
+        dest2: 'user2@email.com',
+    };
+
+    const errors = (storedEntries, environment) =>
+        configurationIssues(storedEntries, environment)
+            .filter(issue => issue.severity === 'error')
+            .map(({ source, issue }) => [source, issue]);
+
+    describe('Valid configurations', () => {
+        it.each([
+            [[], { USERS: 'user1', DESTINATION: r.dest1 }],
+            [[['user1', r.dest1], ['user1+', 'shop'], ['user1+news', `${r.dest1};;maxMessages=5`]], {}],
+            [[['@DESTINATION', '@email.com'], ['@USERS', '*']], {}],
+            [[['user2', JSON.stringify({ destinations: [r.dest2] })]], {}],
+        ])('%j with %j should have no errors', (storedEntries, environment) => {
+            expect(errors(storedEntries, environment)).toEqual([]);
+        });
+    });
+
+    describe('Invalid configurations', () => {
+        it.each([
+            [[['user1', `${r.dest1},${r.dest1}`]], {},
+                ['MAP:user1', `Destination '${r.dest1}' is a duplicate`]],
+            [[['user1', 'user1.email.com']], {},
+                ['MAP:user1', "Destination 'user1.email.com' is invalidly formatted"]],
+            [[], { DESTINATION: 'user1.email.com' },
+                ['environment:DESTINATION', "Destination 'user1.email.com' is invalidly formatted"]],
+            [[['user1', ';reject reason']], {},
+                ['MAP:user1', "User 'user1' has no destination"]],
+            [[['user1+shop', ';reject reason']], {},
+                ['MAP:user1+shop', "Subaddress 'user1+shop' has no destination"]],
+            [[], { USERS: 'user1' },
+                ['environment:USERS', "User 'user1' has no destination"]],
+            [[['user1+', 'shop']], { DESTINATION: r.dest1 },
+                ['MAP:user1+', "Subaddresses of user 'user1' can never match as the user is not allowed"]],
+            [[['@SUBADDRESSES', 'shop news']], {},
+                ['MAP:@SUBADDRESSES', "Subaddress 'shop news' can never match"]],
+            [[['@CONFIGURATION', JSON.stringify({ DESTINATION: 'user1.email.com' })]],
+                { USE_STORED_BUNDLED_ADDRESS_CONFIGURATION: 'true' },
+                ['MAP:@CONFIGURATION', "Destination 'user1.email.com' is invalidly formatted"]],
+            [[['@CONFIGURATION', JSON.stringify({ DESTINATION: '' })], ['@USERS', '*']],
+                { USE_STORED_BUNDLED_ADDRESS_CONFIGURATION: 'true', USERS: 'user1' },
+                ['environment:USERS', "User 'user1' has no destination"]],
+            [[], { FORMAT_REJECT_SEPARATOR: ',' },
+                ['default:FORMAT_REDUNDANT_ADDRESS_SEPARATOR', "Separator ',' is also FORMAT_REJECT_SEPARATOR"]],
+            [[], { STORED_CONFIGURATION_KV_CACHE_TTL: 'ten' },
+                ['environment:STORED_CONFIGURATION_KV_CACHE_TTL', "Cache TTL 'ten' is not a positive number of seconds"]],
+            [[], { FORMAT_LOCAL_PART_SEPARATOR: '.' },
+                ['environment:FORMAT_LOCAL_PART_SEPARATOR', "Separator '.' is empty, '*', '@' or used in users, subaddresses or domains"]],
+        ])('%j with %j should have error %j', (storedEntries, environment, error) => {
+            expect(errors(storedEntries, environment)).toContainEqual(error);
+        });
+
+        it.each([
+            [[['@USERS', '*']], {},
+                [['MAP:@USERS', "All users are allowed but 'default:DESTINATION' is empty"]]],
+            [[], { USERS: '*' },
+                [['environment:USERS', "All users are allowed but 'default:DESTINATION' is empty"]]],
+        ])('%j with %j should have only errors %j', (storedEntries, environment, expectedErrors) => {
+            expect(errors(storedEntries, environment)).toEqual(expectedErrors);
+        });
+    });
+
+    describe('Warnings', () => {
+        it.each([
+            [[['User1', r.dest1]], {}, { source: 'MAP:User1', issue: 'Key is never used' }],
+            [[['@USERS', 'user1']], { USE_STORED_ADDRESS_CONFIGURATION: 'false', DESTINATION: r.dest1 },
+                { source: 'MAP:@USERS', issue: 'Key is not used as stored address configuration is disabled' }],
+            [[['@DESTINATION', r.dest1]], { USE_STORED_BUNDLED_ADDRESS_CONFIGURATION: 'true' },
+                { source: 'MAP:@DESTINATION', issue: 'Key is not used as stored address configuration is bundled' }],
+            [[], { STORED_CONFIGURATION_KV_CACHE_TTL: '30' },
+                { source: 'environment:STORED_CONFIGURATION_KV_CACHE_TTL', issue: "Cache TTL '30' is used as 60 seconds" }],
+            [[], { FORMAT_REJECT_SEPARATOR: '!' },
+                { source: 'environment:FORMAT_REJECT_SEPARATOR', issue: "Separator '!' is not a space or one of '\"(),:;<>[\\]'" }],
+        ])('%j with %j should have warning %j', (storedEntries, environment, warning) => {
+            expect(configurationIssues(storedEntries, environment))
+                .toContainEqual({ severity: 'warning', ...warning });
+        });
+    });
+
+    describe('Command', () => {
+        const toml = '[vars]\nUSERS = "user1"\nDESTINATION = \'user1@email.com\'\n\n[observability]\nenabled = true\n';
+
+        it.each([
+            ['an object', '{"user1": "user1@email.com"}', [['user1', 'user1@email.com']]],
+            ['key and value entries', '[{"key": "user1", "value": "user1@email.com"}]', [['user1', 'user1@email.com']]],
+            ['key names', '[{"name": "user1"}]', [['user1', undefined]]],
+        ])('should read a KV dump of %s', (_, dump, entries) => {
+            expect(kvEntries(JSON.parse(dump))).toEqual(entries);
+        });
+
+        it('should read only the "[vars]" section of wrangler.toml', () => {
+            expect(wranglerVars(toml)).toEqual({ USERS: 'user1', DESTINATION: r.dest1 });
+        });
+
+        it('should exit 0 with only warnings', () => {
+            expect(validationReport('[{"name": "User1"}]', toml)).toEqual({
+                lines: [
+                    'warning: MAP:User1: Key is never used',
+                    '1 keys validated with 0 errors and 1 warnings',
+                ],
+                exitCode: 0,
+            });
+        });
+
+        it('should exit 1 with errors', () => {
+            expect(validationReport('{"@USERS": "*"}', undefined)).toEqual({
+                lines: [
+                    "error: MAP:@USERS: All users are allowed but 'default:DESTINATION' is empty",
+                    '1 keys validated with 1 errors and 0 warnings',
+                ],
+                exitCode: 1,
+            });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Usage: node validate.js kv-dump.json [wrangler.toml]
+// Description:
+// Validate the configuration of the worker offline, i.e. the values of an
+// exported KV namespace bound as `MAP` along with the "[vars]" section of
+// wrangler.toml (wrangler.toml by default, if it exists).
+// The KV dump is a JSON array of either
+// - {"key": ..., "value": ...} entries, as used by `wrangler kv bulk put`, or
+// - {"name": ...} entries, as output by `wrangler kv key list`, whose values
+//   are then unknown and so only their keys are validated,
+// or a JSON object of keys and values.
+// Issues are reported one per line, and the exit code is 1 if any issue is an
+// error, so that the validation can gate deploys.
+//
+import { existsSync, readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { configurationIssues } from './worker.js';
+
+// Returns the entries of a KV dump as [key, value] pairs
+export function kvEntries(dump) {
+    if (!Array.isArray(dump))
+        return Object.entries(dump);
+    return dump.map(entry => [entry.key ?? entry.name, entry.value]);
+}
+
+// Returns the variables of the "[vars]" section of a wrangler.toml file,
+// supporting only the `NAME = "value"` and `NAME = 'value'` forms used for
+// environment variables by build.sh
+export function wranglerVars(toml) {
+    const vars = {};
+    let inVars = false;
+    for (const line of toml.split(/\r?\n/).map(s => s.trim())) {
+        if (line.startsWith('['))
+            inVars = line === '[vars]';
+        const match = inVars && line.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*("(?:[^"\\]|\\.)*"|'[^']*')\s*(?:#.*)?$/);
+        if (match)
+            vars[match[1]] = match[2].startsWith('"')
+                ? JSON.parse(match[2])
+                : match[2].slice(1, -1);
+    }
+    return vars;
+}
+
+// Returns the lines reporting the issues of the configuration in the text of
+// a KV dump and of a wrangler.toml file (if any), and the exit code
+export function validationReport(dumpText, wranglerText) {
+    const entries = kvEntries(JSON.parse(dumpText));
+    const environment = wranglerText !== undefined ? wranglerVars(wranglerText) : {};
+    // Keys without values in the dump are only validated as keys
+    const issues = configurationIssues(
+        entries.filter(([, value]) => typeof value === 'string'),
+        environment
+    );
+    entries.filter(([, value]) => typeof value !== 'string')
+        .forEach(([key]) => issues.push(...configurationIssues([[key, '']], environment)
+            .filter(issue => issue.source === `MAP:${key}` && issue.issue === 'Key is never used')));
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    return {
+        lines: [
+            ...issues.map(issue => `${issue.severity}: ${issue.source}: ${issue.issue}`),
+            `${entries.length} keys validated with ${errors} errors and ${issues.length - errors} warnings`,
+        ],
+        exitCode: errors > 0 ? 1 : 0,
+    };
+}
+
+// Validates the files given as arguments, unless imported (e.g. by tests)
+if (process.argv[1] !== undefined && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const [dumpFile, wranglerFile] = process.argv.slice(2);
+    if (dumpFile === undefined) {
+        console.error('Usage: node validate.js kv-dump.json [wrangler.toml]');
+        process.exit(2);
+    }
+    const { lines, exitCode } = validationReport(
+        readFileSync(dumpFile, 'utf8'),
+        wranglerFile !== undefined || existsSync('wrangler.toml')
+            ? readFileSync(wranglerFile ?? 'wrangler.toml', 'utf8')
+            : undefined
+    );
+    lines.forEach(line => console.log(line));
+    process.exit(exitCode);
+}
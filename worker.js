@@ -37,10 +37,161 @@ export const FIXED = {
     // Interface error messages thrown
     RECOVERABLE_FORWARD_INTERFACE_ERROR_MESSAGE: 'Recoverable Forward Failure',
 
+    // Categories of the errors caught when forwarding to a simple destination
+    // and the action taken by default for each:
+    // - next: attempt the next simple destination of the redundant
+    //   destination
+    // - skip: skip the rest of the redundant destination
+    // - throw: skip the rest of the redundant destination and throw so that
+    //   the sender retries (unless the forward is queued to be retried)
+    // - reject: skip the rest of the redundant destination and "reject" the
+    //   message, even if other redundant destinations had recoverable errors
+    ERROR_CATEGORY_ACTIONS: {
+        'recoverable': 'next',
+        'unverified-destination': 'next',
+        'rate-limited': 'throw',
+        'permanent': 'next',
+        'unknown': 'next',
+    },
+    ERROR_ACTIONS: ['next', 'skip', 'throw', 'reject'],
+    // Categories of errors after which the sender may retry successfully
+    RECOVERABLE_ERROR_CATEGORIES: ['recoverable', 'rate-limited'],
+    // Errors classified after the configured error classification and
+    // RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP, which are handled as
+    // any other unrecoverable error by default (rate-limited errors are only
+    // classified by configured patterns, as they make the sender retry)
+    ERROR_CLASSIFICATION: [
+        { regExp: /destination address (is )?not verified/i, category: 'unverified-destination' },
+    ],
+    // Stored global error classification, which is not bundled
+    STORED_ERROR_CLASSIFICATION_KEY: '@ERROR_CLASSIFICATION',
+    STORED_ERROR_CLASSIFICATION_FIELDS: ['pattern', 'category', 'action'],
+
     // Matches if starts with a non-alphanumeric
     startsWithNonAlphanumericRegExp: /^[^A-Z0-9]/i,
 
-    // Prepends to the base with prepend if the regexp matches
+    // Stored global configuration keys and the type of their values
+    STORED_GLOBAL_KEY_TYPES: {
+        '@DESTINATION': 'destination',
+        '@REJECT_TREATMENT': 'rejectTreatment',
+        '@SUBADDRESSES': 'subaddresses',
+        '@USERS': 'users',
+        '@BLOCKED_SENDERS': 'senders',
+        '@ALLOWED_SENDERS': 'senders',
+        '@REJECT_AUTHENTICATION_FAILURES': 'authentication',
+        '@MAX_SIZE': 'size',
+        '@RATE_LIMITS': 'rateLimits',
+        '@CONFIGURATION': 'bundle',
+    },
+    // Stored user and subaddress configuration key suffixes, following the
+    // user or the user and subaddress, and the type of their values
+    STORED_SETTING_KEY_TYPES: {
+        user: {
+            '@ALIAS': 'alias',
+            '@RULES': 'rules',
+            '@REJECT_AUTHENTICATION_FAILURES': 'authentication',
+            '@MAX_SIZE': 'size',
+            '@BLOCKED_SENDERS': 'senders',
+            '@ALLOWED_SENDERS': 'senders',
+            '@AUTO_REPLY': 'autoReply',
+        },
+        subaddress: {
+            '@ACCEPTED': 'acceptedMessages',
+            '@SENDER_DOMAIN': 'senderDomain',
+        },
+    },
+    // Maximum number of stored values (including missing ones) cached in an
+    // isolate's memory per KV namespace, beyond which the least recently
+    // cached are forgotten
+    STORED_VALUE_CACHE_MAX_ENTRIES: 1000,
+    // Stored index of the pattern user keys, in the order in which they
+    // are matched
+    STORED_PATTERNS_KEY: '@PATTERNS',
+    // Maximum number of aliases followed from a user to its canonical user
+    MAX_ALIAS_CHAIN_LENGTH: 8,
+    // Stored group keys, e.g. '@GROUP:sales', which are also the references
+    // to groups in destinations
+    STORED_GROUP_KEY_PREFIX: '@GROUP:',
+    // Stored global routing rules, which are not bundled
+    STORED_RULES_KEY: '@RULES',
+    STORED_RULE_FIELDS: ['name', 'conditions', 'destinations', 'reject', 'customHeader', 'accept'],
+    RULE_CONDITION_OPERATORS: ['equals', 'contains', 'regex'],
+    // Authentication methods whose results are parsed from the message's
+    // headers, in the order of the headers in which they are looked for
+    AUTHENTICATION_METHODS: ['spf', 'dkim', 'dmarc'],
+    AUTHENTICATION_RESULTS_HEADERS: ['Authentication-Results', 'ARC-Authentication-Results'],
+    groupReferenceRegExp: /@GROUP:[A-Za-z0-9._-]+/g,
+    // What rate limits count messages by, and the seconds of their periods
+    RATE_LIMIT_SCOPES: ['sender', 'senderDomain', 'user'],
+    RATE_LIMIT_PERIODS: { minute: 60, hour: 60 * 60, day: 24 * 60 * 60 },
+    // The seconds between writes of an isolate's count of a rate limit, as KV
+    // allows each key to be written about once per second
+    RATE_LIMIT_COUNT_WRITE_SECONDS: 1,
+    // Fields of stored auto-replies, and the days after which a sender is
+    // replied to again by default
+    STORED_AUTO_REPLY_FIELDS: ['subject', 'body', 'start', 'end', 'intervalDays'],
+    AUTO_REPLY_DEFAULT_INTERVAL_DAYS: 7,
+    // Precedences of messages which are never replied to, as are those with
+    // an Auto-Submitted header other than 'no' or with a List-Id header, to
+    // avoid loops
+    AUTO_REPLY_SKIPPED_PRECEDENCES: ['bulk', 'list', 'junk'],
+
+    // Fields of stored JSON documents, which are an alternative to the text
+    // values of stored keys, by the scope and type of the key
+    STORED_DOCUMENT_FIELDS: {
+        'global:destination': ['destinations'],
+        'global:rejectTreatment': ['reject'],
+        'global:subaddresses': ['subaddresses'],
+        'global:users': ['users'],
+        'global:senders': ['senders'],
+        'user:destination': ['destinations', 'reject', 'subaddresses', 'headers', 'schedule', 'timeZone'],
+        'user:subaddresses': ['subaddresses'],
+        'user:senders': ['senders'],
+        'subaddress:destination': ['destinations', 'reject', 'headers', 'expires', 'maxMessages',
+            'schedule', 'timeZone'],
+    },
+    STORED_SCHEDULE_WINDOW_FIELDS: ['days', 'times', 'destinations'],
+    // Days of the week in the order of Date.prototype.getDay()
+    SCHEDULE_DAYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+
+    // Matches the administration API path for stored configuration keys,
+    // capturing the URL-encoded key if present
+    ADMIN_KEYS_PATH_REGEXP: /^\/keys(?:\/(.+))?$/,
+    // Strategies ordering the simple destinations of a redundant destination,
+    // which is wrapped in its strategy unless sequential, e.g.
+    // 'round-robin(user1@email.com:user2@email.com)', where the destinations
+    // of the weighted strategy may be followed by a weight, e.g.
+    // 'weighted(user1@email.com*3:user2@email.com)'
+    REDUNDANT_DESTINATION_STRATEGIES: ['sequential', 'round-robin', 'weighted', 'first-healthy'],
+    redundantDestinationStrategyRegExp: /^([a-z-]+)\((.*)\)$/s,
+    weightedDestinationRegExp: /^(.*?)\s*\*\s*([1-9]\d*)$/,
+    STORED_REDUNDANT_DESTINATION_FIELDS: ['strategy', 'addresses', 'weights'],
+
+    // The largest message whose forward is queued to be retried, leaving room
+    // within the 128 KB limit of a queued message for its other attributes
+    RETRY_QUEUE_MAX_RAW_SIZE: 120 * 1024,
+    // The longest delay of a queued message, in seconds
+    RETRY_QUEUE_MAX_DELAY: 12 * 60 * 60,
+
+    // The time range of statistics if not given, in milliseconds
+    ADMIN_STATS_DEFAULT_RANGE: 24 * 60 * 60 * 1000,
+
+    // Statements creating the table of a D1 database bound as DELIVERY_LOG,
+    // with each delivery as a JSON record by time in milliseconds
+    DELIVERY_LOG_SCHEMA: [
+        'CREATE TABLE IF NOT EXISTS deliveries (time INTEGER NOT NULL, user TEXT NOT NULL, record TEXT NOT NULL)',
+        'CREATE INDEX IF NOT EXISTS deliveries_time ON deliveries (time)',
+    ],
+    // The outcome of delivering a message for each action first attempted
+    DELIVERY_ACTION_OUTCOMES: {
+        AcceptForwarding: 'AcceptForwarded',
+        RejectForwarding: 'RejectForwarded',
+        DirectRejecting: 'DirectRejected',
+    },
+
+    // Prepends to the base with prepend if the regexp matches, or if the
+    // base starts with the test string, which is first removed from the base
+    // if replacesTest
     prepend(base, prependConditions) {
         for (const prependCondition of prependConditions) {
             const shouldPrepend =
@@ -49,19 +200,27 @@ export const FIXED = {
                 || prependCondition.test instanceof RegExp
                 && prependCondition.test.test(base);
             if (shouldPrepend)
-                return prependCondition.prepend + base;
+                return prependCondition.prepend
+                    + (prependCondition.replacesTest ? base.slice(prependCondition.test.length) : base);
         }
         return base;
     }
 };
 
 class RedundantDestinationResult {
-    constructor(wasSuccessful, hadRecoverableError, successfulDestination, errorMessages, errors) {
+    constructor(wasSuccessful, hadRecoverableError, successfulDestination, errorMessages, errors, strategy,
+        errorCategories, wasRejected) {
         this.wasSuccessful = wasSuccessful;
         this.hadRecoverableError = hadRecoverableError;
         this.successfulDestination = successfulDestination;
         this.errorMessages = errorMessages;
         this.errors = errors;
+        // The strategy which ordered the simple destinations attempted
+        this.strategy = strategy;
+        // The category of each error
+        this.errorCategories = errorCategories;
+        // Whether an error's action was to reject the message
+        this.wasRejected = wasRejected;
     }
 };
 
@@ -83,8 +242,95 @@ export const DEFAULTS = {
     USE_STORED_ADDRESS_CONFIGURATION: "true",
     USE_STORED_USER_CONFIGURATION: "true",
 
+    // Control whether the stored address configuration will be loaded from
+    // the single `@CONFIGURATION` key, a JSON object of configuration names
+    // and values (e.g. {"DESTINATION": "...", "USERS": "..."}), instead of
+    // one key per configuration name
+    USE_STORED_BUNDLED_ADDRESS_CONFIGURATION: "false",
+
+    // Control whether stored configuration scoped to the domain of the
+    // message will be loaded, e.g. `user@domain.com` or
+    // `@domain.com@DESTINATION`, before falling back to the unscoped
+    // configuration, e.g. `user` or `@DESTINATION`
+    USE_STORED_DOMAIN_CONFIGURATION: "false",
+
+    // Control whether the stored routing rules, matching the message's
+    // headers, will be loaded from the `@RULES` and `user@RULES` keys
+    USE_STORED_RULES: "false",
+
+    // Control whether the stored blocked and allowed senders will be loaded
+    // from the `@BLOCKED_SENDERS`, `@ALLOWED_SENDERS`, `user@BLOCKED_SENDERS`
+    // and `user@ALLOWED_SENDERS` keys, rather than only BLOCKED_SENDERS and
+    // ALLOWED_SENDERS
+    USE_STORED_SENDERS: "false",
+
+    // Control whether the stored maximum message size will be loaded from the
+    // `@MAX_SIZE` and `user@MAX_SIZE` keys, rather than only MAX_SIZE
+    USE_STORED_MAX_SIZE: "false",
+
+    // If true, then error message patterns and their categories will be
+    // loaded from the `@ERROR_CLASSIFICATION` key, and matched before those
+    // of ERROR_CLASSIFICATION
+    USE_STORED_ERROR_CLASSIFICATION: "false",
+
+    // Control whether the auto-reply of the user, sent to the sender of each
+    // accepted message, will be loaded from the `user@AUTO_REPLY` key (which
+    // also requires DESTINATION_STATE to be bound)
+    USE_STORED_AUTO_REPLY: "false",
+
+    // Control how long, in seconds, stored address and user configuration
+    // will be cached
+    // - in memory, within an isolate, if not "0", and
+    // - by Cloudflare KV, as its `cacheTtl` (at least 60), if not ""
+    //
+    STORED_CONFIGURATION_CACHE_TTL: "0",
+    STORED_CONFIGURATION_KV_CACHE_TTL: "",
+
     CONSOLE_LOG_ENABLED: "false",
 
+    // Bearer token required by the administration API, which is disabled
+    // if empty. Should be configured as a secret.
+    ADMIN_TOKEN: "",
+
+    // Maximum number of redundant destinations to which an email is
+    // forwarded, once groups are expanded, beyond which they are dropped
+    // (the default is used if it is not a positive integer)
+    MAX_FORWARDS: "20",
+
+    // Control how forwards which failed with a recoverable error are retried
+    // if a Cloudflare Queue is bound as RETRY_QUEUE, and a send_email binding
+    // as SEND_EMAIL, instead of the sender being asked to retry: the number
+    // of attempts, including the first, and the seconds before the first
+    // retry, which are doubled for each later retry
+    RETRY_MAX_ATTEMPTS: "5",
+    RETRY_DELAY_SECONDS: "60",
+
+    // How long, in seconds (at least 60), a simple destination of the
+    // first-healthy strategy is marked as failing once a forward to it fails,
+    // during which it is attempted last. Marks, and the rotation of the
+    // round-robin strategy, are kept in the KV namespace bound as
+    // DESTINATION_STATE, or otherwise only in the memory of each isolate
+    DESTINATION_FAILING_SECONDS: "300",
+
+    // The number of consecutive failed forwards to a simple destination which
+    // opens its circuit, so that it is skipped for CIRCUIT_COOLDOWN_SECONDS
+    // (at least 60) before a forward to it is attempted again to probe whether
+    // it has recovered (0 to never open circuits). Circuits are kept along
+    // with the other destination state
+    CIRCUIT_FAILURE_THRESHOLD: "0",
+    CIRCUIT_COOLDOWN_SECONDS: "300",
+
+    // An address to which a summary of each email whose forward failed,
+    // without the sender being asked to retry, is sent with the send_email
+    // binding SEND_EMAIL, from ADMIN_NOTIFY_FROM or otherwise the address to
+    // which the email was sent. Failures of the same simple destination are
+    // notified at most once every ADMIN_NOTIFY_INTERVAL_SECONDS (at least
+    // 60), with a count of those suppressed meanwhile, by each isolate unless
+    // DESTINATION_STATE is bound
+    ADMIN_NOTIFY: "",
+    ADMIN_NOTIFY_FROM: "",
+    ADMIN_NOTIFY_INTERVAL_SECONDS: "3600",
+
     ///////////////////////////////////////////////////////////////////////////
     // Overrideable by stored and environment configuration
     // (in priority order)
@@ -98,6 +344,55 @@ export const DEFAULTS = {
     SUBADDRESSES: "*",
     USERS: "",
 
+    // Sender configuration
+    // If USE_STORED_SENDERS and USE_STORED_ADDRESS_CONFIGURATION are enabled
+    // then this stored sender configuration will be loaded, and if
+    // USE_STORED_USER_CONFIGURATION is also enabled then it is overridden by
+    // the stored user sender configuration
+    //
+    BLOCKED_SENDERS: "",
+    ALLOWED_SENDERS: "",
+
+    // Authentication configuration
+    // Comma-separated authentication methods, of 'spf', 'dkim' and 'dmarc',
+    // whose failure in the message's Authentication-Results (or
+    // ARC-Authentication-Results) header "rejects" the message. If
+    // USE_STORED_ADDRESS_CONFIGURATION is enabled then this stored
+    // configuration will be loaded, and if USE_STORED_USER_CONFIGURATION is
+    // enabled then it is overridden by the stored user configuration
+    //
+    REJECT_AUTHENTICATION_FAILURES: "",
+    // Comma-separated authserv-ids, i.e. the servers which add the
+    // authentication results headers, whose results are trusted. Results
+    // from any other server, e.g. added by the sender, are ignored as they
+    // could be forged
+    TRUSTED_AUTHSERV_IDS: "mx.cloudflare.net",
+
+    // Size configuration
+    // The maximum size of a message which will be accepted, in bytes or with
+    // a 'KB' or 'MB' suffix, optionally followed by FORMAT_REJECT_SEPARATOR and
+    // the reason used if a larger message is directly rejected, e.g.
+    // '10MB;: Message too large'. If USE_STORED_MAX_SIZE and
+    // USE_STORED_ADDRESS_CONFIGURATION are enabled then this stored
+    // configuration will be loaded, and if USE_STORED_USER_CONFIGURATION is
+    // also enabled then it is overridden by the stored user configuration
+    //
+    MAX_SIZE: "",
+
+    // Rate limit configuration
+    // Comma-separated limits of the messages accepted per minute, hour or day
+    // from a sender address, from a sender domain or to a user, optionally
+    // followed by FORMAT_REJECT_SEPARATOR and the reason used if a message
+    // over a limit is directly rejected, e.g.
+    // 'sender=10/minute, senderDomain=100/hour, user=60/hour;: Too many messages'.
+    // The messages are counted in the KV namespace bound as
+    // RATE_LIMIT_COUNTERS, without which there are no limits, by each isolate
+    // in its own key, which is written at most once per second. If
+    // USE_STORED_ADDRESS_CONFIGURATION is enabled then this stored
+    // configuration will be loaded
+    //
+    RATE_LIMITS: "",
+
     ///////////////////////////////////////////////////////////////////////////
     // Overrideable only by environment configuration
 
@@ -125,6 +420,11 @@ export const DEFAULTS = {
     // Source: [HTML Standard](https://html.spec.whatwg.org/multipage/input.html#input.email.attrs.value.multiple)
     FORMAT_VALID_EMAIL_ADDRESS_REGEXP: "^[a-zA-Z0-9.!#$%&’*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$",
 
+    // Time zone of the time windows of scheduled destinations, unless their
+    // JSON document has its own `timeZone`
+    //
+    SCHEDULE_TIME_ZONE: "UTC",
+
     // Custom header configuration
     //
     CUSTOM_HEADER: "X-My-Email-Forwarding",
@@ -134,6 +434,11 @@ export const DEFAULTS = {
     // Error message configuration
     //
     RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP: `(^${escape(FIXED.RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_MESSAGE_1)})`,
+    // A JSON array of error message patterns and the categories of the errors
+    // they match (and optionally the actions taken), which are matched before
+    // RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP, e.g.
+    // '[{"pattern": "mailbox full", "category": "recoverable"}]'
+    ERROR_CLASSIFICATION: "",
 
     // Cloudflare KV key-value store
     MAP: new Map(),
@@ -155,33 +460,75 @@ export const DEFAULTS = {
             : [lowerCaseLocalPart, ''];
     },
     // Returns a description of a message 
-    emailImage(message) {
+    emailImage(message, trustedAuthservIds) {
         return {
             messageId: message.headers.get('Message-ID'),
             date: message.headers.get('Date'),
             from: message.from,
             to: message.to,
             size: message.rawSize,
+            authentication: authenticationResults(message.headers, trustedAuthservIds),
         };
     },
     consoleLog(message, configuration) {
         if (configuration.consoleLogEnabled)
             console.log(message);
     },
+    // Returns the current time, e.g. to be replaced by a fake clock
+    now() {
+        return new Date();
+    },
+    // Sends a raw message with the send_email binding, e.g. to be replaced by
+    // a mock as the `cloudflare:email` module is only available with one
+    async sendEmail(sendEmailBinding, from, to, raw) {
+        const { EmailMessage } = await import('cloudflare:email');
+        await sendEmailBinding.send(new EmailMessage(from, to, raw));
+    },
+    // Replies to a message with a raw message, e.g. to be replaced by a mock
+    // as the `cloudflare:email` module is only available to a worker
+    async replyEmail(message, from, to, raw) {
+        const { EmailMessage } = await import('cloudflare:email');
+        await message.reply(new EmailMessage(from, to, raw));
+    },
     // Forward to a redundantDestination by attempting to forward to
-    // each included simpleDestination sequentially the forward is successful.
+    // each included simpleDestination sequentially, in the order of its
+    // strategy, until the forward is successful.
     // Implementation exceptions are not propagated but aggregated as a 
     // RedundantDestinationResult which aggregates the results of all forwards
     // attempted.
     async forwardToRedundantDestination(
-        message, redundantDestination, redundantDestinationId, customHeaders, emailImage, configuration) {
-        let s = 0;
+        message, redundantDestination, redundantDestinationId, customHeaders, emailImage, configuration,
+        strategy = { name: 'sequential' }) {
+        const { orderedDestination, failingDestinations } =
+            await strategyOrderedDestination(redundantDestination, strategy, configuration);
+        let successfulDestination = null;
         let wasSuccessful = false;
         let hadRecoverableError = false;
         let errorMessages = [];
         let errors = [];
-        for (const simpleDestination of redundantDestination) {
-            const simpleDestinationId = s + 1;
+        let errorCategories = [];
+        let wasRejected = false;
+        let wasSkipped = false;
+        for (const simpleDestination of orderedDestination) {
+            const simpleDestinationId = redundantDestination.indexOf(simpleDestination) + 1;
+            const circuit = configuration.circuitFailureThreshold > 0
+                ? await destinationCircuit(simpleDestination, configuration)
+                : null;
+            const circuitState = destinationCircuitState(circuit, configuration.now());
+            if (circuitState === 'open') {
+                configuration.consoleLog({
+                    email: emailImage,
+                    action: 'SkippingOpenCircuit',
+                    redundantDestinationId: redundantDestinationId,
+                    simpleDestinationId: simpleDestinationId,
+                    simpleDestination: simpleDestination,
+                    openedUntil: circuit.openedUntil,
+                }, configuration);
+                wasSkipped = true;
+                continue;
+            }
+            if (circuitState === 'half-open')
+                await probeDestinationCircuit(simpleDestination, circuit, emailImage, configuration);
             const log = (wasSuccessful, errorMessage) => {
                 configuration.consoleLog({
                     email: emailImage,
@@ -189,6 +536,7 @@ export const DEFAULTS = {
                     redundantDestinationId: redundantDestinationId,
                     simpleDestinationId: simpleDestinationId,
                     simpleDestination: simpleDestination,
+                    strategy: strategy.name,
                     wasSuccessful: wasSuccessful,
                     errorMessage: errorMessage,
                 }, configuration);
@@ -196,36 +544,62 @@ export const DEFAULTS = {
             try {
                 await message.forward(simpleDestination, customHeaders);
                 wasSuccessful = true;
+                successfulDestination = simpleDestination;
                 log(wasSuccessful, null);
+                if (failingDestinations.includes(simpleDestination))
+                    await markDestinationFailing(simpleDestination, false, configuration);
+                if (circuit !== null)
+                    await updateDestinationCircuit(simpleDestination, circuit, null, emailImage, configuration);
                 break;
             }
             catch (error) {
                 log(wasSuccessful, error.message);
+                if (strategy.name === 'first-healthy')
+                    await markDestinationFailing(simpleDestination, true, configuration);
+                if (configuration.circuitFailureThreshold > 0)
+                    await updateDestinationCircuit(simpleDestination, circuit, error.message, emailImage, configuration);
+                const { category, action } = classifiedError(error.message, configuration);
                 errorMessages.push({
                     redundantDestinationId: redundantDestinationId,
                     simpleDestinationId: simpleDestinationId,
                     simpleDestination: simpleDestination,
-                    errorMessage: error.message
+                    errorMessage: error.message,
+                    category: category,
                 });
                 errors.push(error);
-                if (configuration.recoverableForwardImplementationErrorRegExp.test(error.message)) {
+                errorCategories.push(category);
+                if (FIXED.RECOVERABLE_ERROR_CATEGORIES.includes(category) || action === 'throw') {
                     hadRecoverableError = true;
                 }
+                if (action === 'reject')
+                    wasRejected = true;
+                if (action !== 'next')
+                    break;
             }
-            s++;
         }
+        // A rejected message is not retried
+        if (wasRejected)
+            hadRecoverableError = false;
+        // Destinations skipped as their circuits are open may have recovered
+        // by the time the forward is retried
+        else if (!wasSuccessful && wasSkipped)
+            hadRecoverableError = true;
         return new RedundantDestinationResult(
             wasSuccessful,
             hadRecoverableError,
-            wasSuccessful ? redundantDestination.at(s) : null,
+            successfulDestination,
             errorMessages,
             errors,
+            strategy.name,
+            errorCategories,
+            wasRejected,
         );
     },
     // Forwards to a multiaddress which is an array of zero or more redundant
     // destinations, by simultaneously fowarding to each redundant destination.
     // Throws if one or more redundant destinations had a recoverable error
-    // and all other redundant destinations were successful.
+    // and all other redundant destinations were successful, unless the
+    // forward to those redundant destinations is queued to be retried.
     // Otherwise returns whether forwarding to all redundant destinations was
     // successful and there was at least one redundant destination.
     // Errors caught when attempting to forward to a redundant destination are
@@ -243,13 +617,18 @@ export const DEFAULTS = {
     // In the case of a unrecoverable error this resending serves no purpose as
     // the forward is likely to continue to fail until the underlying fault is
     // rectified and for this reason no exception is thrown.
-    async forwardToMultiDestination(message, actionType, multiDestination, customHeaders, emailImage, configuration) {
+    // Queuing the retry instead avoids resending to the redundant
+    // destinations which were successful, so the message is then treated as
+    // forwarded.
+    async forwardToMultiDestination(
+        message, actionType, multiDestination, customHeaders, emailImage, configuration, strategies = []) {
         const redundantDestinationResults = await Promise.all(
             multiDestination.map((redundantDestination, redundantDestinationIndex) =>
                 configuration.forwardToRedundantDestination(
                     message, redundantDestination,
                     redundantDestinationIndex + 1,
-                    customHeaders, emailImage, configuration)
+                    customHeaders, emailImage, configuration,
+                    strategies[redundantDestinationIndex])
             ));
         const wasSuccessful = multiDestination.length > 0
             && redundantDestinationResults.map(
@@ -269,6 +648,15 @@ export const DEFAULTS = {
             : (allRedundantDestinationsWereSuccessfulOrHadARecoverableError
                 ? 'RecoverableErrorForwarding'
                 : 'FailureForwarding');
+        const failedIndexes = multiDestination.map((_, index) => index)
+            .filter(index => !redundantDestinationResults[index].wasSuccessful);
+        if (status === 'RecoverableErrorForwarding'
+            && await configuration.queueForwardRetry(
+                message, actionType,
+                failedIndexes.map(index => multiDestination[index]),
+                customHeaders, emailImage, configuration,
+                failedIndexes.map(index => strategies[index])))
+            status = 'RetryQueuedForwarding';
         console.info({
             email: emailImage,
             action: actionType,
@@ -277,344 +665,3161 @@ export const DEFAULTS = {
             successfulDestinations: successfulDestinations,
             errorMessages: errorMessages
         });
-        if (!wasSuccessful && allRedundantDestinationsWereSuccessfulOrHadARecoverableError) {
+        if (status === 'RecoverableErrorForwarding') {
             throw new RecoverableForwardError(errors);
         }
-        return wasSuccessful;
+        return wasSuccessful || status === 'RetryQueuedForwarding';
+    },
+    // Queues a forward to a multiaddress to be retried by the queue handler,
+    // returning whether it was queued, which it is not if either RETRY_QUEUE
+    // or SEND_EMAIL is not bound, or if the message is too large to queue
+    async queueForwardRetry(
+        message, actionType, multiDestination, customHeaders, emailImage, configuration, strategies = []) {
+        if (configuration.RETRY_QUEUE === undefined || configuration.SEND_EMAIL === undefined
+            || !(message.rawSize <= FIXED.RETRY_QUEUE_MAX_RAW_SIZE))
+            return false;
+        try {
+            await configuration.RETRY_QUEUE.send({
+                email: emailImage,
+                user: configuration.canonicalUser,
+                action: actionType,
+                from: message.from,
+                to: message.to,
+                raw: await new Response(message.raw).arrayBuffer(),
+                headers: Object.fromEntries(customHeaders),
+                multiDestination: multiDestination,
+                strategies: strategies,
+                attempt: 2,
+            }, { delaySeconds: retryDelaySeconds(1, configuration) });
+            return true;
+        } catch (error) {
+            console.warn({ email: emailImage, issue: 'retry not queued', errorMessage: error.message });
+            return false;
+        }
     },
     isValidEmailAddress(address, validAddressRegExp) {
         return validAddressRegExp.test(address);
     }
 };
 
-export default {
-    // Handle the forwarding of an email based on the message's `to` attribute. 
-    async email(message, environment, context) {
-        // Environment-based configuration which overrides `DEFAULTS`
-        //
-        const {
-            USE_STORED_ADDRESS_CONFIGURATION,
-            USE_STORED_USER_CONFIGURATION,
-            CONSOLE_LOG_ENABLED,
+// An in-memory stand-in for a Cloudflare KV namespace, supporting the subset
+// of the KV API used by this worker, and with reads also supported by a plain
+// `Map` so that either can be used as the `MAP` binding in testing
+export class MemoryKV extends Map {
+    #expirations = new Map();
+    #metadata = new Map();
 
-            DESTINATION,
-            REJECT_TREATMENT,
-            SUBADDRESSES,
-            USERS,
+    #expire(key) {
+        const expiration = this.#expirations.get(key);
+        if (expiration !== undefined && expiration <= Date.now() / 1000)
+            this.delete(key);
+    }
+    async get(key) {
+        this.#expire(key);
+        return super.get(key) ?? null;
+    }
+    async put(key, value, options = {}) {
+        const expiration = options.expiration
+            ?? (options.expirationTtl !== undefined
+                ? Date.now() / 1000 + options.expirationTtl
+                : undefined);
+        if (expiration !== undefined)
+            this.#expirations.set(key, expiration);
+        else
+            this.#expirations.delete(key);
+        if (options.metadata !== undefined)
+            this.#metadata.set(key, structuredClone(options.metadata));
+        else
+            this.#metadata.delete(key);
+        this.set(key, String(value));
+    }
+    delete(key) {
+        this.#expirations.delete(key);
+        this.#metadata.delete(key);
+        return super.delete(key);
+    }
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+        [...this.keys()].forEach(name => this.#expire(name));
+        const names = [...this.keys()]
+            .filter(name => name.startsWith(prefix)).sort();
+        const start = cursor ? Number(cursor) : 0;
+        const end = start + limit;
+        return {
+            keys: names.slice(start, end).map(name =>
+                this.#metadata.has(name) ? { name, metadata: this.#metadata.get(name) } : { name }),
+            list_complete: end >= names.length,
+            cursor: end >= names.length ? undefined : String(end),
+        };
+    }
+};
 
-            RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP,
+// The destination state of isolates without a KV namespace bound as
+// DESTINATION_STATE, which is then neither shared nor durable
+const isolateDestinationState = new MemoryKV();
 
-            FORMAT_REDUNDANT_ADDRESS_SEPARATOR,
-            FORMAT_SIMPLE_ADDRESS_SEPARATOR,
-            FORMAT_LOCAL_PART_SEPARATOR,
-            FORMAT_REJECT_SEPARATOR,
-            FORMAT_VALID_CUSTOM_HEADER_REGEXP,
-            FORMAT_VALID_EMAIL_ADDRESS_REGEXP,
+// Returns the simple destinations of a redundant destination in the order of
+// its strategy, along with those which are marked as failing:
+// - sequential: in their given order
+// - round-robin: rotated by one for each message
+// - weighted: drawn randomly in proportion to their weights
+// - first-healthy: in their given order but with those failing last
+async function strategyOrderedDestination(redundantDestination, strategy, configuration) {
+    const state = configuration.destinationState;
+    const failingDestinations = strategy.name !== 'first-healthy' ? [] : (await Promise.all(
+        redundantDestination.map(async simpleDestination =>
+            await state.get(`failing:${simpleDestination}`).catch(() => null) !== null
+                ? [simpleDestination] : [])
+    )).flat();
+    let orderedDestination = [...redundantDestination];
+    if (strategy.name === 'round-robin') {
+        // A position which cannot be written, e.g. as the key is written
+        // more than once per second, is only logged, as it merely repeats an
+        // address
+        const key = `roundRobin:${redundantDestination.join(' ')}`;
+        try {
+            const start = Number(await state.get(key) ?? 0) % redundantDestination.length || 0;
+            orderedDestination = [...redundantDestination.slice(start), ...redundantDestination.slice(0, start)];
+            await state.put(key, String((start + 1) % redundantDestination.length));
+        } catch (error) {
+            console.warn({ issue: 'round-robin state not updated', errorMessage: error.message });
+        }
+    } else if (strategy.name === 'weighted') {
+        const remaining = redundantDestination.map(simpleDestination =>
+            ({ simpleDestination: simpleDestination, weight: strategy.weights?.[simpleDestination] ?? 1 }));
+        orderedDestination = [];
+        while (remaining.length > 0) {
+            let draw = Math.random() * remaining.reduce((sum, { weight }) => sum + weight, 0);
+            const index = Math.max(0, remaining.findIndex(({ weight }) => (draw -= weight) < 0));
+            orderedDestination.push(...remaining.splice(index, 1).map(({ simpleDestination }) => simpleDestination));
+        }
+    } else if (strategy.name === 'first-healthy') {
+        orderedDestination = [
+            ...redundantDestination.filter(simpleDestination => !failingDestinations.includes(simpleDestination)),
+            ...failingDestinations,
+        ];
+    }
+    return { orderedDestination: orderedDestination, failingDestinations: failingDestinations };
+}
 
-            CUSTOM_HEADER,
-            CUSTOM_HEADER_FAIL,
-            CUSTOM_HEADER_PASS,
+// Marks a simple destination as failing for a while, or unmarks it
+async function markDestinationFailing(simpleDestination, isFailing, configuration) {
+    const key = `failing:${simpleDestination}`;
+    try {
+        if (isFailing)
+            await configuration.destinationState.put(key, configuration.now().toISOString(),
+                { expirationTtl: configuration.destinationFailingSeconds });
+        else
+            await configuration.destinationState.delete(key);
+    } catch (error) {
+        console.warn({ issue: 'destination state not updated', simpleDestination: simpleDestination,
+            errorMessage: error.message });
+    }
+}
 
-            MAP,
+// Returns the state of the circuit of a simple destination, which is:
+// - closed: while fewer than CIRCUIT_FAILURE_THRESHOLD consecutive forwards to
+//   it have failed, so it is attempted
+// - open: then, until its cooldown ends, so it is skipped
+// - half-open: then, so it is attempted once to probe whether it has
+//   recovered, which either closes the circuit or opens it again
+function destinationCircuitState(circuit, now) {
+    if (circuit?.openedUntil === undefined)
+        return 'closed';
+    return now.getTime() < Date.parse(circuit.openedUntil) ? 'open' : 'half-open';
+}
 
-            addressLocalParts,
-            emailImage,
-            consoleLog,
-            forwardToRedundantDestination,
-            forwardToMultiDestination,
-            isValidEmailAddress
-        } = { ...DEFAULTS, ...environment };
+// Returns the stored circuit of a simple destination, or null if it has none
+// or if it cannot be read (the circuit is then closed)
+async function destinationCircuit(simpleDestination, configuration) {
+    try {
+        const value = await configuration.destinationState.get(`circuit:${simpleDestination}`);
+        return value !== null ? JSON.parse(value) : null;
+    } catch (error) {
+        console.warn({ issue: 'destination circuit not read', simpleDestination: simpleDestination,
+            errorMessage: error.message });
+        return null;
+    }
+}
 
-        // Helper methods independent of configuration
-        //
+// Stores the circuit of a simple destination, or deletes it if null
+async function storeDestinationCircuit(simpleDestination, circuit, configuration) {
+    const key = `circuit:${simpleDestination}`;
+    try {
+        if (circuit !== null)
+            await configuration.destinationState.put(key, JSON.stringify(circuit));
+        else
+            await configuration.destinationState.delete(key);
+    } catch (error) {
+        console.warn({ issue: 'destination circuit not updated', simpleDestination: simpleDestination,
+            errorMessage: error.message });
+    }
+}
 
-        function booleanFromString(stringBoolean) {
-            return ['true', '1']
-                .includes(stringBoolean.trim().toLowerCase());
-        }
-        async function storedConfigurationValue(shouldLoad, key) {
-            // MAP.get(key) returns null if key is not stored so '?? undefined'
-            // coalesces null to undefined but leaves '' unchanged
-            // which is important because '' is used to indicate that
-            // the global configured should be used for that destination
-            return shouldLoad ? (await MAP.get(key) ?? undefined) : undefined;
+// Half-opens the circuit of a simple destination by extending its cooldown
+// before probing it, so that concurrent messages still skip it
+async function probeDestinationCircuit(simpleDestination, circuit, emailImage, configuration) {
+    configuration.consoleLog({
+        email: emailImage,
+        action: 'ProbingCircuit',
+        simpleDestination: simpleDestination,
+        consecutiveFailures: circuit.consecutiveFailures,
+    }, configuration);
+    await storeDestinationCircuit(simpleDestination, {
+        ...circuit,
+        openedUntil: new Date(configuration.now().getTime()
+            + configuration.circuitCooldownSeconds * 1000).toISOString(),
+    }, configuration);
+}
+
+// Updates the circuit of a simple destination after a forward to it, which
+// closes it if the forward was successful (errorMessage is null), or
+// otherwise counts the failure and opens it once the threshold is reached
+async function updateDestinationCircuit(simpleDestination, circuit, errorMessage, emailImage, configuration) {
+    if (errorMessage === null) {
+        if (circuit.openedUntil !== undefined)
+            console.info({ email: emailImage, action: 'ClosingCircuit', simpleDestination: simpleDestination });
+        await storeDestinationCircuit(simpleDestination, null, configuration);
+        return;
+    }
+    const consecutiveFailures = (circuit?.consecutiveFailures ?? 0) + 1;
+    const now = configuration.now();
+    const isOpen = consecutiveFailures >= configuration.circuitFailureThreshold;
+    const updatedCircuit = {
+        consecutiveFailures: consecutiveFailures,
+        lastFailure: now.toISOString(),
+        lastErrorMessage: errorMessage,
+        ...isOpen ? {
+            openedUntil: new Date(now.getTime() + configuration.circuitCooldownSeconds * 1000).toISOString(),
+        } : {},
+    };
+    if (isOpen)
+        console.warn({
+            email: emailImage,
+            action: 'OpeningCircuit',
+            simpleDestination: simpleDestination,
+            consecutiveFailures: consecutiveFailures,
+            openedUntil: updatedCircuit.openedUntil,
+            errorMessage: errorMessage,
+        });
+    await storeDestinationCircuit(simpleDestination, updatedCircuit, configuration);
+}
+
+// Returns the circuits of the simple destinations which have any, by listing
+// the destination state
+async function destinationCircuits(configuration) {
+    const now = configuration.now();
+    const circuits = [];
+    let cursor;
+    do {
+        const page = await configuration.destinationState.list({ prefix: 'circuit:', cursor });
+        for (const { name } of page.keys) {
+            const simpleDestination = name.slice('circuit:'.length);
+            const circuit = await destinationCircuit(simpleDestination, configuration);
+            if (circuit !== null)
+                circuits.push({
+                    destination: simpleDestination,
+                    state: destinationCircuitState(circuit, now),
+                    ...circuit,
+                });
         }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor !== undefined);
+    return circuits;
+}
 
-        // Load and validate stored and environment configuration
-        //
-
-        const useStoredAddressGlobalConfiguration =
-            booleanFromString(USE_STORED_ADDRESS_CONFIGURATION);
-        const useStoredUserConfiguration =
-            booleanFromString(USE_STORED_USER_CONFIGURATION);
-
-        const consoleLogEnabled =
-            booleanFromString(CONSOLE_LOG_ENABLED);
-
-        const globalDestination = (
-            await storedConfigurationValue(useStoredAddressGlobalConfiguration,
-                '@DESTINATION')
-            ?? DESTINATION
-        ).trim();
-        const globalRejectTreatment = (
-            await storedConfigurationValue(useStoredAddressGlobalConfiguration,
-                '@REJECT_TREATMENT')
-            ?? REJECT_TREATMENT
-        ).trim();
-        const globalSubaddresses = (
-            await storedConfigurationValue(useStoredAddressGlobalConfiguration,
-                '@SUBADDRESSES')
-            ?? SUBADDRESSES
-        ).trim().toLowerCase();
-        const globalUsers = (
-            await storedConfigurationValue(useStoredAddressGlobalConfiguration,
-                '@USERS')
-            ?? USERS
-        ).trim().toLowerCase();
-
-        const recoverableForwardImplementationErrorRegExp =
-            new RegExp(RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP);
-
-        const formatValidEmailAddressRegExp =
-            new RegExp(FORMAT_VALID_EMAIL_ADDRESS_REGEXP);
-        const formatValidCustomHeaderRegExp =
-            new RegExp(FORMAT_VALID_CUSTOM_HEADER_REGEXP);
-
-        const customHeader =
-            validateCustomHeader(CUSTOM_HEADER);
-        const customHeaderFail =
-            CUSTOM_HEADER_FAIL.trim();
-        const customHeaderPass =
-            CUSTOM_HEADER_PASS.trim();
+// Databases bound as DELIVERY_LOG whose table has been created within an
+// isolate
+const preparedDeliveryLogDatabases = new WeakSet();
+// A delivery log stored in a D1 database
+class D1DeliveryLog {
+    #database;
 
-        const CONFIGURATION = {
-            recoverableForwardImplementationErrorRegExp: recoverableForwardImplementationErrorRegExp,
-            consoleLogEnabled: consoleLogEnabled,
-            consoleLog: consoleLog,
-            forwardToRedundantDestination: forwardToRedundantDestination,
+    constructor(database) {
+        this.#database = database;
+    }
+    async #prepare() {
+        if (preparedDeliveryLogDatabases.has(this.#database))
+            return;
+        await this.#database.batch(FIXED.DELIVERY_LOG_SCHEMA
+            .map(statement => this.#database.prepare(statement)));
+        preparedDeliveryLogDatabases.add(this.#database);
+    }
+    async record(delivery) {
+        await this.#prepare();
+        await this.#database
+            .prepare('INSERT INTO deliveries (time, user, record) VALUES (?, ?, ?)')
+            .bind(Date.parse(delivery.time), delivery.user, JSON.stringify(delivery))
+            .run();
+    }
+    async deliveries(from, to) {
+        await this.#prepare();
+        const { results } = await this.#database
+            .prepare('SELECT record FROM deliveries WHERE time >= ? AND time < ? ORDER BY time')
+            .bind(from.getTime(), to.getTime())
+            .all();
+        return results.map(row => JSON.parse(row.record));
+    }
+};
+// Returns the delivery log of the DELIVERY_LOG binding, which is either a D1
+// database or already a delivery log recording deliveries and returning
+// those of a time range
+function deliveryLog(binding) {
+    return typeof binding.prepare === 'function'
+        ? new D1DeliveryLog(binding)
+        : binding;
+}
+
+// Helper functions independent of configuration
+//
+
+function booleanFromString(stringBoolean) {
+    return ['true', '1']
+        .includes(stringBoolean.trim().toLowerCase());
+}
+
+// Stored values cached in memory within an isolate, by KV namespace and then
+// by key in the order in which they were cached, as { value, expiration }
+// where expiration is in milliseconds
+const storedValueCache = new WeakMap();
+// Returns the value stored for the key, or null, cached in memory for
+// cacheTtl seconds if positive, and by Cloudflare KV for kvCacheTtl seconds
+// if defined
+async function cachedStoredValue(MAP, key, cacheTtl, kvCacheTtl) {
+    if (!storedValueCache.has(MAP))
+        storedValueCache.set(MAP, new Map());
+    const cache = storedValueCache.get(MAP);
+    const cached = cache.get(key);
+    if (cached !== undefined && cached.expiration > Date.now())
+        return cached.value;
+    cache.delete(key);
+    const value = kvCacheTtl !== undefined
+        ? await MAP.get(key, { cacheTtl: kvCacheTtl })
+        : await MAP.get(key);
+    if (cacheTtl > 0) {
+        // Forget the least recently cached values beyond the maximum, e.g.
+        // of the missing keys of messages to random addresses
+        while (cache.size >= FIXED.STORED_VALUE_CACHE_MAX_ENTRIES)
+            cache.delete(cache.keys().next().value);
+        cache.set(key, { value: value, expiration: Date.now() + cacheTtl * 1000 });
+    }
+    return value;
+}
+// Returns the maximum number of forwards from MAX_FORWARDS, which is the
+// default unless it is a positive integer, along with any issues
+function parseMaxForwards(value) {
+    const maxForwards = Number(value.trim());
+    if (value.trim() === '' || !Number.isInteger(maxForwards) || maxForwards <= 0)
+        return {
+            maxForwards: Number(DEFAULTS.MAX_FORWARDS),
+            issues: [`Maximum forwards '${value}' is not a positive integer, so ${DEFAULTS.MAX_FORWARDS} is used`],
         };
+    return { maxForwards: maxForwards, issues: [] };
+}
+// Parses the Cloudflare KV cacheTtl in seconds, which is undefined if empty,
+// ignored if not a positive number, and otherwise raised to the 60 seconds
+// which Cloudflare KV requires at least
+function parseKvCacheTtl(value) {
+    const seconds = Number(value.trim());
+    if (value.trim() === '')
+        return { kvCacheTtl: undefined, issues: [] };
+    if (!Number.isFinite(seconds) || seconds <= 0)
+        return { kvCacheTtl: undefined, issues: [`Cache TTL '${value}' is not a positive number of seconds`] };
+    return { kvCacheTtl: Math.max(60, Math.round(seconds)), issues: [] };
+}
+// Removes a stored value from the cache of an isolate after it is changed
+function forgetCachedStoredValue(MAP, key) {
+    storedValueCache.get(MAP)?.delete(key);
+}
+
+// Helper functions dependent only on the format configuration, shared by the
+// email and fetch handlers
+//
+
+// Returns the format configuration from the environment-based configuration
+// merged with `DEFAULTS`
+function formatConfiguration(configuration) {
+    return {
+        redundantAddressSeparator: configuration.FORMAT_REDUNDANT_ADDRESS_SEPARATOR,
+        simpleAddressSeparator: configuration.FORMAT_SIMPLE_ADDRESS_SEPARATOR,
+        localPartSeparator: configuration.FORMAT_LOCAL_PART_SEPARATOR,
+        rejectSeparator: configuration.FORMAT_REJECT_SEPARATOR,
+        validCustomHeaderRegExp: new RegExp(configuration.FORMAT_VALID_CUSTOM_HEADER_REGEXP),
+        validEmailAddressRegExp: new RegExp(configuration.FORMAT_VALID_EMAIL_ADDRESS_REGEXP),
+        isValidEmailAddress: configuration.isValidEmailAddress,
+    };
+}
+// Return an object with valid and invalid simple addresses for a redundant
+// destination after
+// - trimming whitespace
+// - prepend the message's user, the local part separator and the message's
+//   domain, if given, to the destination if it begins with the local part
+//   separator followed by '@', e.g. '+@email.com' becomes
+//   'user+domain.com@email.com'
+// - prepend the message's user to the destination if it begins with
+//   either the local part separator or '@'
+// - unwrap the destinations from their strategy, if any, along with the
+//   weights of the weighted strategy
+function validateRedundantDestination(redundantDestinationText, messageUser, format, messageDomain) {
+    const strategyMatch = redundantDestinationText.trim().match(FIXED.redundantDestinationStrategyRegExp);
+    const strategy = strategyMatch?.[1] === 'weighted'
+        ? { name: 'weighted', weights: {} }
+        : { name: strategyMatch?.[1] ?? 'sequential' };
+    if (!FIXED.REDUNDANT_DESTINATION_STRATEGIES.includes(strategy.name))
+        return { validSimple: [], invalidSimple: [redundantDestinationText.trim()], strategy: strategy };
+    return (strategyMatch?.[2] ?? redundantDestinationText).split(format.simpleAddressSeparator).reduce(
+        (newRedundantDestination, basicDestination) => {
+            const weightMatch = strategy.weights !== undefined
+                ? basicDestination.trim().match(FIXED.weightedDestinationRegExp)
+                : null;
+            let simpleDestination = FIXED.prepend(weightMatch?.[1] ?? basicDestination.trim(),
+                [...messageDomain !== undefined
+                    ? [{ test: `${format.localPartSeparator}@`, prepend: `${messageUser}${format.localPartSeparator}${messageDomain}@`, replacesTest: true }]
+                    : [],
+                { test: format.localPartSeparator, prepend: messageUser },
+                { test: '@', prepend: messageUser }]
+            );
+            if (format.isValidEmailAddress(simpleDestination, format.validEmailAddressRegExp)) {
+                newRedundantDestination.validSimple.push(simpleDestination);
+                if (weightMatch)
+                    strategy.weights[simpleDestination] = Number(weightMatch[2]);
+            } else if (simpleDestination !== '') {
+                newRedundantDestination.invalidSimple.push(simpleDestination);
+            }
+            return newRedundantDestination;
+        },
+        { validSimple: [], invalidSimple: [], strategy: strategy }
+    );
+}
+function validateMultiDestination(multiDestinationText, messageUser, format, messageDomain) {
+    return multiDestinationText.split(format.redundantAddressSeparator).reduce(
+        (newMultiDestination, redundantDestinationText) => {
+            const nonDedupedredundantDestination =
+                validateRedundantDestination(redundantDestinationText, messageUser, format, messageDomain);
+            const dedupedRedundantDestination = nonDedupedredundantDestination.validSimple.reduce(
+                (newRedundantDestination, destination) => {
+                    if (!newMultiDestination.validSimple.includes(destination)) {
+                        newMultiDestination.validSimple.push(destination);
+                        newRedundantDestination.push(destination);
+                    } else {
+                        newMultiDestination.duplicateSimple.push(destination);
+                    };
+                    return newRedundantDestination;
+                }, []);
+            if (dedupedRedundantDestination.length > 0) {
+                newMultiDestination.validRedundant.push(dedupedRedundantDestination);
+                newMultiDestination.strategies.push(nonDedupedredundantDestination.strategy);
+            }
+            newMultiDestination.invalidSimple.push(...nonDedupedredundantDestination.invalidSimple);
+            return newMultiDestination;
+        },
+        { validRedundant: [], validSimple: [], invalidSimple: [], duplicateSimple: [], strategies: [] }
+    );
+}
+
+// Returns the patterns in a list of senders in lower case
+function senderPatterns(senders, format) {
+    return senders.trim().toLowerCase()
+        .split(format.redundantAddressSeparator)
+        .map(s => s.trim()).filter(Boolean);
+}
+// Returns the address pattern for a sender pattern, which is either
+// - an address, e.g. 'spammer@domain.com', or
+// - a domain, optionally beginning with '@', e.g. 'domain.com' or '@domain.com'
+// and may include '*' wildcards, e.g. '*@*.domain.com' or 'news*@domain.com'
+function senderPatternAddress(senderPattern) {
+    return senderPattern.startsWith('@')
+        ? `*${senderPattern}`
+        : senderPattern.includes('@') ? senderPattern : `*@${senderPattern}`;
+}
+// Returns whether the sender matches any of the sender patterns
+function senderMatches(sender, senderPatterns) {
+    return senderPatterns.some(senderPattern =>
+        new RegExp(`^${senderPatternAddress(senderPattern)
+            .split('*').map(part => escape(part)).join('.*')}$`)
+            .test(sender.toLowerCase()));
+}
 
-        // Derived constants
-        //
+// Returns the instances of an authentication results header, whose values
+// are joined by ', ' when it occurs more than once, from the topmost, as
+// { authservId, results } where the authserv-id is in lower case, e.g.
+//     mx.domain.com; spf=pass, i=1; mx.relay.com; dkim=fail
+// has the instances with the authserv-ids 'mx.domain.com' and 'mx.relay.com'
+// (the instance number of ARC-Authentication-Results is ignored)
+function authenticationResultsInstances(headerValue) {
+    return headerValue.split(/,\s*(?=(?:i\s*=\s*\d+\s*;\s*)?[^\s;,()=]+(?:\s+\d+)?\s*;)/)
+        .map(instance => instance.replace(/^\s*i\s*=\s*\d+\s*;/i, '').trim())
+        .map(instance => ({
+            authservId: instance.split(';')[0].trim().split(/\s+/)[0].toLowerCase(),
+            results: instance.slice(instance.indexOf(';') + 1),
+        }))
+        .filter(instance => instance.authservId !== '');
+}
+// Returns the result, in lower case, of each authentication method, e.g.
+// 'pass' or 'fail', from the first of the message's authentication results
+// headers in which it is found, or null if it is not found, e.g.
+//     Authentication-Results: mx.domain.com; spf=pass smtp.mailfrom=shop.com;
+//         dkim=pass header.d=shop.com; dmarc=fail header.from=shop.com
+// Only the topmost instance of each header whose authserv-id is trusted is
+// used, so that results forged by the sender are ignored
+function authenticationResults(headers, trustedAuthservIds) {
+    const headerValues = FIXED.AUTHENTICATION_RESULTS_HEADERS
+        .map(header => authenticationResultsInstances(headers.get(header) ?? '')
+            .find(instance => trustedAuthservIds.includes(instance.authservId))?.results ?? '');
+    return Object.fromEntries(FIXED.AUTHENTICATION_METHODS.map(method => [method,
+        headerValues.map(value => value.match(new RegExp(`(?:^|[;\\s])${method}\\s*=\\s*([a-z]+)`, 'i')))
+            .find(Boolean)?.[1].toLowerCase() ?? null]));
+}
 
-        const startsWithLocalPartSeparatorRegExp =
-            new RegExp(`^${escape(FORMAT_LOCAL_PART_SEPARATOR)}`);
-        const startsWithLocalPartOrDomainSeparatorRegExp =
-            new RegExp(`^(${escape('@')}|${escape(FORMAT_LOCAL_PART_SEPARATOR)})`);
+// Returns whether a user or subaddress in a list, or a user key, is a pattern,
+// which is either
+// - a regular expression between slashes, e.g. '/^invoice-[0-9]+$/', or
+// - a glob with '*' wildcards and '[...]' character classes, which may be
+//   repeated with a following '+', e.g. 'team-*' or 'invoice-[0-9]+'
+function isLocalPartPattern(localPart) {
+    return /^\/.+\/$/.test(localPart) || /[*[]/.test(localPart);
+}
+// Returns the case-insensitive regular expression matching whole local parts
+// for a pattern, or undefined if the pattern is invalid
+function localPartPatternRegExp(pattern) {
+    const source = /^\/.+\/$/.test(pattern)
+        ? pattern.slice(1, -1)
+        : pattern.match(/\[[^\]]*\]\+?|\*|[^*[]+|\[/g)
+            .map(part => part === '*' ? '.*'
+                // An unclosed character class is left invalid
+                : /^\[.*\]\+?$/.test(part) || part === '[' ? part
+                    : escape(part))
+            .join('');
+    try {
+        return new RegExp(`^(?:${source})$`, 'i');
+    } catch {
+        return undefined;
+    }
+}
+// Returns whether the local part, in lower case, matches any of the local
+// parts, in any case, or patterns in a list
+function localPartMatches(localPart, list, format) {
+    return list.split(format.redundantAddressSeparator)
+        .map(s => s.trim()).filter(Boolean)
+        .some(item => isLocalPartPattern(item)
+            ? localPartPatternRegExp(item)?.test(localPart) ?? false
+            : item.toLowerCase() === localPart);
+}
 
-        // Helper methods dependent on configuration
-        //
+// Returns the maximum size of a message, in bytes, from text with the syntax:
+//     `${size}${FORMAT_REJECT_SEPARATOR}${rejectReason}`
+// where size is a whole number of bytes, or of kilobytes or megabytes with a
+// 'KB' or 'MB' suffix (of 1024 bytes and 1024 kilobytes respectively), and
+// rejectReason is optional, along with any issues. An empty size is no
+// maximum size.
+function parseMaxSize(text, format) {
+    const [sizeText, rejectReason = ''] = text.split(format.rejectSeparator).map(s => s.trim());
+    const match = sizeText.match(/^(\d+)\s*(kb|mb)?$/i);
+    if (sizeText === '' || !match)
+        return {
+            maxSize: undefined,
+            rejectReason: rejectReason,
+            issues: sizeText === '' ? [] : [`Size '${sizeText}' is not a number of bytes, KB or MB`],
+        };
+    const multiplier = { kb: 1024, mb: 1024 * 1024 }[match[2]?.toLowerCase()] ?? 1;
+    return { maxSize: Number(match[1]) * multiplier, rejectReason: rejectReason, issues: [] };
+}
 
-        function validateCustomHeader(customHeader) {
-            const customHeaderTrimmed = customHeader.trim();
-            if (formatValidCustomHeaderRegExp.test(customHeaderTrimmed))
-                return customHeaderTrimmed;
+// Returns the rate limits, and their reject reason, from text with the syntax:
+//     `${limits}${FORMAT_REJECT_SEPARATOR}${rejectReason}`
+// where limits are separated by FORMAT_REDUNDANT_ADDRESS_SEPARATOR, each
+// `${scope}=${maxMessages}/${period}`, along with any issues
+function parseRateLimits(text, format) {
+    const [limitsText, rejectReason = ''] = text.split(format.rejectSeparator).map(s => s.trim());
+    const rateLimits = { limits: [], rejectReason: rejectReason, issues: [] };
+    limitsText.split(format.redundantAddressSeparator)
+        .map(s => s.trim()).filter(Boolean)
+        .forEach(limit => {
+            const match = limit.match(/^(\w+)\s*=\s*(\d+)\s*\/\s*(\w+)$/);
+            if (match && FIXED.RATE_LIMIT_SCOPES.includes(match[1])
+                && Object.hasOwn(FIXED.RATE_LIMIT_PERIODS, match[3]))
+                rateLimits.limits.push({ scope: match[1], maxMessages: Number(match[2]), period: match[3] });
             else
-                throw (`Invalid custom header ${customHeaderTrimmed}`);
+                rateLimits.issues.push(`Rate limit '${limit}' is not one of ${FIXED.RATE_LIMIT_SCOPES.join(', ')}`
+                    + ` with a number of messages per ${Object.keys(FIXED.RATE_LIMIT_PERIODS).join(', ')}`);
+        });
+    return rateLimits;
+}
+
+// The messages counted by each isolate against rate limits, by counter
+// namespace, as the isolate's own id and its counts by counter key, each
+// { messages, writtenAt, expiresAt } where times are in milliseconds
+const isolateRateLimitCounts = new WeakMap();
+function isolateRateLimitCounters(namespace) {
+    if (!isolateRateLimitCounts.has(namespace))
+        isolateRateLimitCounts.set(namespace, { id: crypto.randomUUID(), counts: new Map() });
+    return isolateRateLimitCounts.get(namespace);
+}
+// Returns the messages counted against a rate limit counter key, which each
+// isolate counts in the metadata of its own `${key}:${id}` key, so that no key
+// is written by more than one isolate, and of which the isolate's own count
+// includes the messages not yet written
+async function rateLimitMessages(namespace, key) {
+    const { id, counts } = isolateRateLimitCounters(namespace);
+    let messages = counts.get(key)?.messages ?? 0;
+    let cursor;
+    do {
+        const page = await namespace.list({ prefix: `${key}:`, cursor });
+        for (const { name, metadata } of page.keys)
+            if (name !== `${key}:${id}`)
+                messages += Number(metadata?.messages) || 0;
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor !== undefined);
+    return messages;
+}
+// Counts a message against a rate limit counter key within the isolate, and
+// writes the isolate's count unless it was written within
+// RATE_LIMIT_COUNT_WRITE_SECONDS, in which case it is written with a later
+// message, forgetting the counts of ended periods
+async function countRateLimitMessage(namespace, key, periodSeconds, now) {
+    const { id, counts } = isolateRateLimitCounters(namespace);
+    for (const [countedKey, { expiresAt }] of counts)
+        if (expiresAt <= now.getTime())
+            counts.delete(countedKey);
+    const count = counts.get(key)
+        ?? { messages: 0, writtenAt: 0, expiresAt: now.getTime() + periodSeconds * 1000 };
+    count.messages++;
+    counts.set(key, count);
+    if (now.getTime() - count.writtenAt < FIXED.RATE_LIMIT_COUNT_WRITE_SECONDS * 1000)
+        return;
+    count.writtenAt = now.getTime();
+    await namespace.put(`${key}:${id}`, '',
+        { metadata: { messages: count.messages }, expirationTtl: periodSeconds + 60 });
+}
+
+// Returns the lifetime of a subaddress from text with the syntax:
+//     `expires=${date}${FORMAT_REDUNDANT_ADDRESS_SEPARATOR}maxMessages=${count}`
+// where either attribute is optional, along with any issues with the text
+function parseSubaddressLifetime(lifetimeText, format) {
+    const lifetime = { expires: undefined, maxMessages: undefined, issues: [] };
+    lifetimeText.split(format.redundantAddressSeparator)
+        .map(s => s.trim()).filter(Boolean)
+        .forEach(attribute => {
+            const [name, value] = attribute.split('=').map(s => s.trim());
+            if (name === 'expires' && !Number.isNaN(Date.parse(value)))
+                lifetime.expires = new Date(value).toISOString();
+            else if (name === 'maxMessages' && /^\d+$/.test(value))
+                lifetime.maxMessages = Number(value);
+            else
+                lifetime.issues.push(`Lifetime attribute '${attribute}' is invalid`);
+        });
+    return lifetime;
+}
+// Returns the remaining lifetime of a subaddress given the number of messages
+// already accepted and the current time in milliseconds, or undefined if the
+// subaddress has an unlimited lifetime
+function remainingSubaddressLifetime(lifetime, acceptedMessages, now) {
+    if (lifetime.expires === undefined && lifetime.maxMessages === undefined)
+        return undefined;
+    const remainingSeconds = lifetime.expires !== undefined
+        ? Math.max(0, Math.floor((Date.parse(lifetime.expires) - now) / 1000))
+        : undefined;
+    const remainingMessages = lifetime.maxMessages !== undefined
+        ? Math.max(0, lifetime.maxMessages - acceptedMessages)
+        : undefined;
+    return {
+        expires: lifetime.expires,
+        remainingSeconds: remainingSeconds,
+        maxMessages: lifetime.maxMessages,
+        acceptedMessages: acceptedMessages,
+        remainingMessages: remainingMessages,
+        hasExpired: remainingSeconds === 0 || remainingMessages === 0,
+    };
+}
+
+// Returns the days of the week, as in Date.prototype.getDay(), of the days of
+// a schedule window, which are '*' or comma-separated days or day ranges,
+// e.g. 'mon-fri' or 'sat,sun', or undefined if they are invalid
+function scheduleDays(text) {
+    if (typeof text !== 'string')
+        return undefined;
+    if (text.trim() === '*')
+        return [0, 1, 2, 3, 4, 5, 6];
+    const days = text.toLowerCase().split(',').map(s => s.trim())
+        .flatMap(range => {
+            const [first, last = first, ...rest] = range.split('-').map(s => FIXED.SCHEDULE_DAYS.indexOf(s.trim()));
+            if (first < 0 || last < 0 || rest.length > 0)
+                return [undefined];
+            return Array.from({ length: (last - first + 7) % 7 + 1 }, (_, i) => (first + i) % 7);
+        });
+    return days.includes(undefined) ? undefined : [...new Set(days)];
+}
+// Returns the start and end minutes of the times of a schedule window, with
+// the syntax 'HH:MM-HH:MM', which span midnight if the end is before the
+// start, e.g. '22:00-06:00', or undefined if they are invalid
+function scheduleTimes(text) {
+    const match = typeof text === 'string'
+        && text.trim().match(/^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/);
+    if (!match)
+        return undefined;
+    const [start, end] = [[match[1], match[2]], [match[3], match[4]]]
+        .map(([hours, minutes]) => Number(hours) <= 24 && Number(minutes) < 60
+            ? Number(hours) * 60 + Number(minutes)
+            : NaN);
+    return start < 24 * 60 && end <= 24 * 60 && start !== end
+        ? { start: start, end: end }
+        : undefined;
+}
+// Returns whether a time zone is supported
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+// Returns the index of the first window of a schedule containing the time in
+// the time zone, or -1 if none does
+function activeScheduleWindowIndex(schedule, timeZone, time) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23',
+    }).formatToParts(time).map(part => [part.type, part.value]));
+    const day = FIXED.SCHEDULE_DAYS.indexOf(parts.weekday.toLowerCase());
+    const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+    const previousDay = (day + 6) % 7;
+    return schedule.findIndex(window => window.start < window.end
+        ? window.days.includes(day) && minutes >= window.start && minutes < window.end
+        : window.days.includes(day) && minutes >= window.start
+        || window.days.includes(previousDay) && minutes < window.end);
+}
+
+// Returns whether a stored value of a key of the given type is a JSON document
+// rather than text
+function isStoredDocument(keyType, value) {
+    return Object.hasOwn(FIXED.STORED_DOCUMENT_FIELDS, `${keyType?.scope}:${keyType?.type}`)
+        && value?.trim().startsWith('{');
+}
+// Returns the text equivalent to a stored JSON document, along with its
+// subaddresses and headers which have no equivalent text in the same key, and
+// any issues which prevent the document from being used, validating it against
+// the schema:
+//     {
+//         "destinations": [ "address" | [ "address", ... ], ... ],
+//         "reject": "reason" | [ "address" | [ "address", ... ], ... ],
+//         "subaddresses": "subaddresses" | [ "subaddress", ... ],
+//         "users": "users" | [ "user", ... ],
+//         "senders": "senders" | [ "sender", ... ],
+//         "headers": { "X-Name": "value", ... },
+//         "expires": "date",
+//         "maxMessages": count,
+//         "schedule": [
+//             { "days": "days", "times": "HH:MM-HH:MM", "destinations": ... },
+//             ...
+//         ],
+//         "timeZone": "time zone"
+//     }
+// where the fields allowed depend on the scope and type of the key
+function storedDocumentText(keyType, value, format) {
+    const issues = [];
+    let document;
+    try {
+        document = JSON.parse(value);
+    } catch (error) {
+        return { issues: [`Invalid JSON: ${error.message}`] };
+    }
+    if (typeof document !== 'object' || document === null || Array.isArray(document))
+        return { issues: ['JSON document is not an object'] };
+    const fields = FIXED.STORED_DOCUMENT_FIELDS[`${keyType.scope}:${keyType.type}`];
+    Object.keys(document).filter(field => !fields.includes(field))
+        .forEach(field => issues.push(`Field '${field}' is not supported`));
+
+    // Returns the string, or '' with an issue if it is not a string or if it
+    // would be split differently once joined as text, as string values are
+    // text which must not contain the reject separator, while the strings in
+    // arrays must not contain any separator
+    const text = (string, field, separators) => {
+        if (typeof string !== 'string') {
+            issues.push(`Field '${field}' has a value which is not a string`);
+            return '';
         }
-        // Return an object with valid and invalid simple addresses for a redundant
-        // destination after
-        // - trimming whitespace
-        // - prepend the message's user to the destination if it begins with
-        //   either FORMAT_LOCAL_PART_SEPARATOR or '@'
-        function validateRedundantDestination(redundantDestinationText) {
-            return redundantDestinationText.split(FORMAT_SIMPLE_ADDRESS_SEPARATOR).reduce(
-                (newRedundantDestination, basicDestination) => {
-                    let simpleDestination = FIXED.prepend(basicDestination.trim(),
-                        [{ test: FORMAT_LOCAL_PART_SEPARATOR, prepend: messageUser },
-                        { test: '@', prepend: messageUser }]
-                    );
-                    if (isValidEmailAddress(simpleDestination, formatValidEmailAddressRegExp)) {
-                        newRedundantDestination.validSimple.push(simpleDestination);
-                    } else if (simpleDestination !== '') {
-                        newRedundantDestination.invalidSimple.push(simpleDestination);
-                    }
-                    return newRedundantDestination;
-                },
-                { validSimple: [], invalidSimple: [] }
-            );
+        if (separators.some(separator => string.includes(separator)))
+            issues.push(`Field '${field}' has a value '${string}' with a separator`);
+        return string;
+    };
+    const separators = [format.redundantAddressSeparator, format.simpleAddressSeparator,
+        format.rejectSeparator];
+    // A redundant destination is a destination, an array of destinations or
+    // an object of a strategy, its addresses and, if weighted, their weights
+    const redundantDestinationText = (redundantDestination, field) => {
+        if (typeof redundantDestination !== 'object' || redundantDestination === null
+            || Array.isArray(redundantDestination))
+            return [redundantDestination].flat()
+                .map(destination => text(destination, field, separators))
+                .join(format.simpleAddressSeparator);
+        Object.keys(redundantDestination)
+            .filter(redundantField => !FIXED.STORED_REDUNDANT_DESTINATION_FIELDS.includes(redundantField))
+            .forEach(redundantField => issues.push(`Field '${field}.${redundantField}' is not supported`));
+        const weights = redundantDestination.weights ?? {};
+        const addresses = [redundantDestination.addresses ?? []].flat()
+            .map(destination => text(destination, field, separators))
+            .map(destination => weights[destination] !== undefined
+                ? `${destination}*${weights[destination]}`
+                : destination)
+            .join(format.simpleAddressSeparator);
+        const strategy = text(redundantDestination.strategy ?? 'sequential', `${field}.strategy`, separators);
+        return strategy === 'sequential' ? addresses : `${strategy}(${addresses})`;
+    };
+    const multiDestinationText = (multiDestination, field) =>
+        Array.isArray(multiDestination)
+            ? multiDestination.map(redundantDestination => redundantDestinationText(redundantDestination, field))
+                .join(format.redundantAddressSeparator)
+            : text(multiDestination, field, [format.rejectSeparator]);
+    const listText = (list, field) =>
+        Array.isArray(list)
+            ? list.map(item => text(item, field, separators)).join(format.redundantAddressSeparator)
+            : text(list, field, [format.rejectSeparator]);
+
+    const headers = document.headers ?? {};
+    if (typeof headers !== 'object' || headers === null || Array.isArray(headers))
+        issues.push("Field 'headers' is not an object");
+    else
+        Object.entries(headers).forEach(([name, headerValue]) => {
+            if (!format.validCustomHeaderRegExp.test(name))
+                issues.push(`Header '${name}' is invalidly formatted`);
+            if (typeof headerValue !== 'string')
+                issues.push(`Header '${name}' has a value which is not a string`);
+        });
+    if (document.maxMessages !== undefined && !Number.isInteger(document.maxMessages))
+        issues.push("Field 'maxMessages' is not a whole number");
+    if (document.timeZone !== undefined
+        && (typeof document.timeZone !== 'string' || !isValidTimeZone(document.timeZone)))
+        issues.push(`Field 'timeZone' has an unsupported time zone '${document.timeZone}'`);
+
+    // Each window of a schedule has days, times and destinations
+    const schedule = document.schedule ?? [];
+    if (!Array.isArray(schedule))
+        issues.push("Field 'schedule' is not an array");
+    const scheduleWindows = [schedule].flat().map((window, index) => {
+        const field = `schedule[${index}]`;
+        if (typeof window !== 'object' || window === null || Array.isArray(window)) {
+            issues.push(`Field '${field}' is not an object`);
+            return undefined;
         }
-        function validateMultiDestination(multiDestinationText) {
-            return multiDestinationText.split(FORMAT_REDUNDANT_ADDRESS_SEPARATOR).reduce(
-                (newMultiDestination, redundantDestinationText) => {
-                    const nonDedupedredundantDestination =
-                        validateRedundantDestination(redundantDestinationText);
-                    const dedupedRedundantDestination = nonDedupedredundantDestination.validSimple.reduce(
-                        (newRedundantDestination, destination) => {
-                            if (!newMultiDestination.validSimple.includes(destination)) {
-                                newMultiDestination.validSimple.push(destination);
-                                newRedundantDestination.push(destination);
-                            } else {
-                                newMultiDestination.duplicateSimple.push(destination);
-                            };
-                            return newRedundantDestination;
-                        }, []);
-                    if (dedupedRedundantDestination.length > 0)
-                        newMultiDestination.validRedundant.push(dedupedRedundantDestination);
-                    newMultiDestination.invalidSimple.concat(nonDedupedredundantDestination.invalidSimple);
-                    return newMultiDestination;
-                },
-                { validRedundant: [], validSimple: [], invalidSimple: [], duplicateSimple: [] }
-            );
+        Object.keys(window).filter(windowField => !FIXED.STORED_SCHEDULE_WINDOW_FIELDS.includes(windowField))
+            .forEach(windowField => issues.push(`Field '${field}.${windowField}' is not supported`));
+        const days = scheduleDays(window.days ?? '*');
+        if (days === undefined)
+            issues.push(`Field '${field}.days' has invalid days '${window.days}'`);
+        const times = scheduleTimes(window.times ?? '00:00-24:00');
+        if (times === undefined)
+            issues.push(`Field '${field}.times' has invalid times '${window.times}'`);
+        const destinations = multiDestinationText(window.destinations ?? '', `${field}.destinations`);
+        if (destinations.trim() === '')
+            issues.push(`Field '${field}.destinations' is empty`);
+        return { days: days, ...times, destinations: destinations };
+    });
+
+    const reject = multiDestinationText(document.reject ?? '', 'reject');
+    const lifetime = [
+        ...document.expires !== undefined ? [`expires=${text(document.expires, 'expires',
+            [format.redundantAddressSeparator, format.rejectSeparator])}`] : [],
+        ...document.maxMessages !== undefined ? [`maxMessages=${document.maxMessages}`] : [],
+    ].join(format.redundantAddressSeparator);
+    const documentText = {
+        'global:destination': () => multiDestinationText(document.destinations ?? '', 'destinations'),
+        'global:rejectTreatment': () => reject,
+        'global:subaddresses': () => listText(document.subaddresses ?? '', 'subaddresses'),
+        'global:users': () => listText(document.users ?? '', 'users'),
+        'global:senders': () => listText(document.senders ?? '', 'senders'),
+        'user:destination': () => [
+            multiDestinationText(document.destinations ?? '', 'destinations'), reject,
+        ].join(format.rejectSeparator),
+        'user:subaddresses': () => listText(document.subaddresses ?? '', 'subaddresses'),
+        'user:senders': () => listText(document.senders ?? '', 'senders'),
+        'subaddress:destination': () => [
+            multiDestinationText(document.destinations ?? '', 'destinations'), reject, lifetime,
+        ].join(format.rejectSeparator),
+    }[`${keyType.scope}:${keyType.type}`]();
+    return {
+        text: documentText,
+        subaddresses: keyType.scope === 'user' && document.subaddresses !== undefined
+            ? listText(document.subaddresses, 'subaddresses')
+            : undefined,
+        headers: headers,
+        schedule: scheduleWindows,
+        timeZone: document.timeZone,
+        issues: issues,
+    };
+}
+
+// Returns the routing rules in a stored JSON array, along with any issues
+// which prevent the rules from being used, validating them against the
+// schema:
+//     [
+//         {
+//             "name": "name",
+//             "conditions": [
+//                 { "header": "Name", "equals": "value" },
+//                 { "authentication": "dmarc", "equals": "fail" },
+//                 ...
+//             ],
+//             "destinations": [ "address" | [ "address", ... ], ... ],
+//             "reject": "reason" | [ "address" | [ "address", ... ], ... ],
+//             "customHeader": "value",
+//             "accept": false
+//         },
+//         ...
+//     ]
+// where a condition is of either a header or the result of an authentication
+// method, and its operator is either "equals", "contains" or "regex", and the
+// destinations and reject treatment are converted to text, or are
+// undefined if not in the rule
+function parseRules(value, format) {
+    let rules;
+    try {
+        rules = JSON.parse(value);
+    } catch (error) {
+        return { rules: [], issues: [`Invalid JSON: ${error.message}`] };
+    }
+    if (!Array.isArray(rules))
+        return { rules: [], issues: ['JSON document is not an array'] };
+    const issues = [];
+    const parsedRules = rules.map((rule, index) => {
+        const field = `[${index}]`;
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+            issues.push(`Rule '${field}' is not an object`);
+            return undefined;
         }
-        function warnAboutBadDestinations(messageUser, validatedMultiDestination, destinationType) {
-            [
-                {
-                    description: 'invalidly formatted',
-                    destinations: validatedMultiDestination.invalidSimple
-                },
-                {
-                    description: 'duplicate',
-                    destinations: validatedMultiDestination.duplicateSimple
-                },
-            ].map(issue => {
-                if (issue.destinations.length > 0)
-                    console.warn({
-                        messageUser: messageUser,
-                        issue: issue.description,
-                        destinationType: destinationType,
-                        destinations: issue.destinations,
-                    });
+        Object.keys(rule).filter(ruleField => !FIXED.STORED_RULE_FIELDS.includes(ruleField))
+            .forEach(ruleField => issues.push(`Field '${field}.${ruleField}' is not supported`));
+        if (rule.name !== undefined && typeof rule.name !== 'string')
+            issues.push(`Field '${field}.name' is not a string`);
+        if (rule.customHeader !== undefined && typeof rule.customHeader !== 'string')
+            issues.push(`Field '${field}.customHeader' is not a string`);
+        if (rule.accept !== undefined && typeof rule.accept !== 'boolean')
+            issues.push(`Field '${field}.accept' is not a boolean`);
+
+        // All of the conditions must match, for which the header or
+        // authentication result must be present, and there must be at least
+        // one
+        const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+        if (conditions.length === 0)
+            issues.push(`Field '${field}.conditions' is not a non-empty array`);
+        const parsedConditions = conditions.map((condition, conditionIndex) => {
+            const conditionField = `${field}.conditions[${conditionIndex}]`;
+            const operators = FIXED.RULE_CONDITION_OPERATORS
+                .filter(operator => Object.hasOwn(condition ?? {}, operator));
+            const hasSubject = typeof condition?.header === 'string'
+                ? /^[!-9;-~]+$/.test(condition.header)
+                : FIXED.AUTHENTICATION_METHODS.includes(condition?.authentication);
+            if (!hasSubject || operators.length !== 1 || typeof condition[operators[0]] !== 'string'
+                || Object.keys(condition).length !== 2) {
+                issues.push(`Field '${conditionField}' is not a header or authentication method with one of the operators '${FIXED.RULE_CONDITION_OPERATORS.join("', '")}'`);
+                return undefined;
+            }
+            const operator = operators[0];
+            const regExp = operator === 'regex' ? ruleRegExp(condition.regex) : undefined;
+            if (operator === 'regex' && regExp === undefined)
+                issues.push(`Field '${conditionField}.regex' is an invalid regular expression`);
+            return {
+                header: condition.header,
+                authentication: condition.authentication,
+                operator: operator,
+                value: condition[operator],
+                regExp: regExp,
+            };
+        });
+
+        // The destinations and reject treatment are validated as for a user
+        const document = storedDocumentText({ scope: 'user', type: 'destination' },
+            JSON.stringify({ destinations: rule.destinations, reject: rule.reject }), format);
+        issues.push(...document.issues.map(issue => `Rule '${field}': ${issue}`));
+        const [destinations, reject] = document.text?.split(format.rejectSeparator) ?? [];
+        return {
+            name: rule.name ?? null,
+            conditions: parsedConditions,
+            destinations: rule.destinations !== undefined ? destinations : undefined,
+            reject: rule.reject !== undefined ? reject : undefined,
+            customHeader: rule.customHeader,
+            accept: rule.accept ?? true,
+        };
+    });
+    return { rules: issues.length === 0 ? parsedRules : [], issues: issues };
+}
+// Returns the case-insensitive regular expression of a rule condition, or
+// undefined if it is invalid
+function ruleRegExp(regex) {
+    try {
+        return new RegExp(regex, 'i');
+    } catch {
+        return undefined;
+    }
+}
+// Returns the index of the first rule whose conditions all match the message's
+// headers and authentication results, or -1 if none does
+function matchingRuleIndex(rules, headers, authentication) {
+    return rules.findIndex(rule => rule.conditions.every(condition => {
+        const value = condition.authentication !== undefined
+            ? authentication[condition.authentication]
+            : headers.get(condition.header);
+        if (value === null || value === undefined)
+            return false;
+        switch (condition.operator) {
+            case 'equals':
+                return value.trim().toLowerCase() === condition.value.trim().toLowerCase();
+            case 'contains':
+                return value.toLowerCase().includes(condition.value.toLowerCase());
+            case 'regex':
+                return condition.regExp.test(value);
+        }
+    }));
+}
+
+// Parses an error classification, which is a JSON array of the patterns of
+// error messages and the categories of the errors they match, in the order in
+// which they are matched, e.g.
+//     [
+//         { "pattern": "mailbox (is )?full", "category": "recoverable" },
+//         { "pattern": "^blocked", "category": "permanent", "action": "reject" },
+//         ...
+//     ]
+// where a pattern is a case-insensitive regular expression, and the action,
+// if any, overrides that of the category. An empty value is an empty array
+function parseErrorClassification(value) {
+    if (value.trim() === '')
+        return { classification: [], issues: [] };
+    let classification;
+    try {
+        classification = JSON.parse(value);
+    } catch (error) {
+        return { classification: [], issues: [`Invalid JSON: ${error.message}`] };
+    }
+    if (!Array.isArray(classification))
+        return { classification: [], issues: ['JSON document is not an array'] };
+    const issues = [];
+    const parsedClassification = classification.map((entry, index) => {
+        const field = `[${index}]`;
+        if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+            issues.push(`Error classification '${field}' is not an object`);
+            return undefined;
+        }
+        Object.keys(entry).filter(entryField => !FIXED.STORED_ERROR_CLASSIFICATION_FIELDS.includes(entryField))
+            .forEach(entryField => issues.push(`Field '${field}.${entryField}' is not supported`));
+        const regExp = typeof entry.pattern === 'string' ? ruleRegExp(entry.pattern) : undefined;
+        if (regExp === undefined)
+            issues.push(`Field '${field}.pattern' is an invalid regular expression`);
+        if (!Object.hasOwn(FIXED.ERROR_CATEGORY_ACTIONS, entry.category))
+            issues.push(`Field '${field}.category' is not one of '${Object.keys(FIXED.ERROR_CATEGORY_ACTIONS).join("', '")}'`);
+        if (entry.action !== undefined && !FIXED.ERROR_ACTIONS.includes(entry.action))
+            issues.push(`Field '${field}.action' is not one of '${FIXED.ERROR_ACTIONS.join("', '")}'`);
+        return { regExp: regExp, category: entry.category, action: entry.action };
+    });
+    return { classification: issues.length === 0 ? parsedClassification : [], issues: issues };
+}
+// Returns the error classification stored in the `@ERROR_CLASSIFICATION` key,
+// loaded with loadValue, which is ignored (with a warning) if it has issues
+async function loadedErrorClassification(loadValue) {
+    const { classification, issues } =
+        parseErrorClassification(await loadValue(FIXED.STORED_ERROR_CLASSIFICATION_KEY) ?? '');
+    if (issues.length > 0)
+        console.warn({ key: FIXED.STORED_ERROR_CLASSIFICATION_KEY, issues: issues });
+    return classification;
+}
+// Returns the category of an error, by its message, and the action taken for
+// it, matching the configured error classification, then
+// RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP and then the built-in
+// classification, or otherwise 'unknown'
+function classifiedError(errorMessage, configuration) {
+    const { category, action } = [
+        ...configuration.errorClassification,
+        { regExp: configuration.recoverableForwardImplementationErrorRegExp, category: 'recoverable' },
+        ...FIXED.ERROR_CLASSIFICATION,
+    ].find(({ regExp }) => regExp.test(errorMessage)) ?? { category: 'unknown' };
+    return { category: category, action: action ?? FIXED.ERROR_CATEGORY_ACTIONS[category] };
+}
+
+// Parses an auto-reply, which is a JSON document, e.g.
+//     {
+//         "subject": "Out of office",
+//         "body": "I am away until the 15th of July.",
+//         "start": "2025-07-01T00:00:00Z",
+//         "end": "2025-07-15T00:00:00Z",
+//         "intervalDays": 7
+//     }
+// where only the body is required, the start and end times (in ISO 8601
+// format) limit when the auto-reply is active, and a sender is replied to at
+// most once every intervalDays
+function parseAutoReply(value) {
+    let autoReply;
+    try {
+        autoReply = JSON.parse(value);
+    } catch (error) {
+        return { autoReply: undefined, issues: [`Invalid JSON: ${error.message}`] };
+    }
+    if (typeof autoReply !== 'object' || autoReply === null || Array.isArray(autoReply))
+        return { autoReply: undefined, issues: ['JSON document is not an object'] };
+    const issues = [];
+    Object.keys(autoReply).filter(field => !FIXED.STORED_AUTO_REPLY_FIELDS.includes(field))
+        .forEach(field => issues.push(`Field '${field}' is not supported`));
+    if (typeof autoReply.body !== 'string' || autoReply.body.trim() === '')
+        issues.push("Field 'body' is not a non-empty string");
+    if (autoReply.subject !== undefined && (typeof autoReply.subject !== 'string' || /[\r\n]/.test(autoReply.subject)))
+        issues.push("Field 'subject' is not a single line string");
+    ['start', 'end'].filter(field => autoReply[field] !== undefined)
+        .filter(field => typeof autoReply[field] !== 'string' || Number.isNaN(Date.parse(autoReply[field])))
+        .forEach(field => issues.push(`Field '${field}' has an invalid time '${autoReply[field]}'`));
+    if (autoReply.intervalDays !== undefined
+        && (typeof autoReply.intervalDays !== 'number' || !(autoReply.intervalDays > 0)))
+        issues.push("Field 'intervalDays' is not a positive number");
+    return {
+        autoReply: issues.length === 0 ? {
+            subject: autoReply.subject ?? null,
+            body: autoReply.body,
+            start: autoReply.start !== undefined ? new Date(autoReply.start).toISOString() : null,
+            end: autoReply.end !== undefined ? new Date(autoReply.end).toISOString() : null,
+            intervalDays: autoReply.intervalDays ?? FIXED.AUTO_REPLY_DEFAULT_INTERVAL_DAYS,
+        } : undefined,
+        issues: issues,
+    };
+}
+
+// Returns the scope and type of a stored configuration key, and its domain if
+// it is scoped to one, or undefined if the key is not one that would be loaded
+// when forwarding an email.
+// User keys and domains must be in lower case as the message's address is
+// converted to lower case before it is looked up.
+// Keys have the syntax:
+//     `${localKey}@${domain}${setting}`
+// where
+// - the local key is empty for global keys, otherwise `user`, `user+` or
+//   `user+subaddress`,
+// - the domain is optional, and
+// - the setting is either a global key name (e.g. `@DESTINATION`) or a user or
+//   subaddress setting (e.g. `@BLOCKED_SENDERS`), and is required for global
+//   keys and optional otherwise.
+function storedKeyType(key, format) {
+    const [localKey, ...suffixes] = key.split('@');
+    const domain = suffixes.length > 0 && !/^[A-Z_]+(?::|$)/.test(suffixes[0])
+        ? suffixes.shift()
+        : undefined;
+    if (domain !== undefined
+        && (domain !== domain.toLowerCase()
+            || !format.isValidEmailAddress(`user@${domain}`, format.validEmailAddressRegExp)))
+        return undefined;
+    if (suffixes.length > 1)
+        return undefined;
+    const setting = suffixes.length > 0 ? `@${suffixes[0]}` : undefined;
+    const scoped = keyType => domain !== undefined ? { ...keyType, domain: domain } : keyType;
+
+    if (localKey === '' && setting === FIXED.STORED_PATTERNS_KEY)
+        return domain === undefined ? { scope: 'user', type: 'patterns' } : undefined;
+    if (localKey === '' && setting === FIXED.STORED_RULES_KEY)
+        return scoped({ scope: 'global', type: 'rules' });
+    if (localKey === '' && setting === FIXED.STORED_ERROR_CLASSIFICATION_KEY)
+        return domain === undefined ? { scope: 'global', type: 'errorClassification' } : undefined;
+    if (localKey === '' && setting?.startsWith(FIXED.STORED_GROUP_KEY_PREFIX))
+        return setting.match(FIXED.groupReferenceRegExp)?.at(0) === setting
+            ? scoped({ scope: 'global', type: 'group' })
+            : undefined;
+    if (localKey === '') {
+        const type = setting !== undefined ? FIXED.STORED_GLOBAL_KEY_TYPES[setting] : undefined;
+        // The bundled global configuration is only loaded unscoped
+        return type && !(type === 'bundle' && domain !== undefined)
+            ? scoped({ scope: 'global', type: type })
+            : undefined;
+    }
+    // A pattern key routes all the users which it matches
+    if (isLocalPartPattern(localKey))
+        return setting === undefined && localPartPatternRegExp(localKey) !== undefined
+            ? scoped({ scope: 'user', type: 'destination', pattern: true })
+            : undefined;
+    if (localKey !== localKey.toLowerCase())
+        return undefined;
+    const firstLocalPartSeparatorIndex = localKey.indexOf(format.localPartSeparator);
+    if (firstLocalPartSeparatorIndex === 0)
+        return undefined;
+    const localKeyType =
+        firstLocalPartSeparatorIndex < 0
+            ? { scope: 'user', type: 'destination' }
+            : firstLocalPartSeparatorIndex === localKey.length - format.localPartSeparator.length
+                ? { scope: 'user', type: 'subaddresses' }
+                : { scope: 'subaddress', type: 'destination' };
+    if (setting === undefined)
+        return scoped(localKeyType);
+    const type = localKeyType.type === 'destination'
+        ? FIXED.STORED_SETTING_KEY_TYPES[localKeyType.scope]?.[setting]
+        : undefined;
+    return type ? scoped({ scope: localKeyType.scope, type: type }) : undefined;
+}
+// Returns a list of the issues which would prevent a value stored for a key of
+// the given type from being used as intended, using the same parsing as when
+// forwarding an email
+function storedValueIssues(keyType, key, value, format) {
+    // A JSON document is validated against its schema and then as its
+    // equivalent text
+    if (isStoredDocument(keyType, value)) {
+        const document = storedDocumentText(keyType, value, format);
+        if (document.issues.length > 0)
+            return document.issues;
+        return [
+            ...storedValueIssues(keyType, key, document.text, format),
+            ...keyType.type === 'destination' && document.subaddresses !== undefined
+                ? storedValueIssues({ scope: 'user', type: 'subaddresses' },
+                    key.replace(/^[^@]*/, user => user + format.localPartSeparator),
+                    document.subaddresses, format)
+                : [],
+            ...document.schedule.flatMap(window =>
+                storedValueIssues(keyType, key, window.destinations, format)),
+        ];
+    }
+    // Global destinations are validated as if for an arbitrary user, and
+    // unscoped destinations as if for an arbitrary domain
+    const user = keyType.scope !== 'global'
+        ? key.split('@')[0].split(format.localPartSeparator)[0]
+        : 'user';
+    // Group references are validated when their groups are expanded
+    const destinationIssues = (multiDestinationText, description) => {
+        const validatedMultiDestination = validateMultiDestination(
+            multiDestinationText.replace(FIXED.groupReferenceRegExp, ''),
+            user, format, keyType.domain ?? 'domain.com');
+        return [
+            ...validatedMultiDestination.invalidSimple.map(destination =>
+                `${description} '${destination}' is invalidly formatted`),
+            ...validatedMultiDestination.duplicateSimple.map(destination =>
+                `${description} '${destination}' is a duplicate`),
+        ];
+    };
+    // A reject treatment is either a multi-destination, which must contain
+    // an '@', or otherwise a reject reason, which can be anything
+    const rejectTreatmentIssues = rejectTreatment =>
+        rejectTreatment.includes('@')
+            ? destinationIssues(rejectTreatment, 'Reject destination')
+            : [];
+    const localPartIssues = (list, description, localPartSeparatorIsAllowed) => {
+        const concreteList = list.trim();
+        if (concreteList === '*' || concreteList === '')
+            return [];
+        return concreteList.split(format.redundantAddressSeparator)
+            .map(s => s.trim()).filter(Boolean)
+            .flatMap(localPart =>
+                isLocalPartPattern(localPart)
+                    ? localPartPatternRegExp(localPart) === undefined
+                        ? [`${description} pattern '${localPart}' is invalid`]
+                        : []
+                    : !localPartSeparatorIsAllowed && localPart.includes(format.localPartSeparator)
+                        || !format.isValidEmailAddress(`${localPart.toLowerCase()}@domain.com`, format.validEmailAddressRegExp)
+                        ? [`${description} '${localPart.toLowerCase()}' can never match`]
+                        : []);
+    };
+    const senderIssues = senders =>
+        senderPatterns(senders, format)
+            .filter(senderPattern => !format.isValidEmailAddress(
+                senderPatternAddress(senderPattern).replaceAll('*', 'x'),
+                format.validEmailAddressRegExp))
+            .map(senderPattern => `Sender '${senderPattern}' can never match`);
+    const subaddressIssues = subaddresses => {
+        const concreteSubaddresses = subaddresses.trim().startsWith(format.localPartSeparator)
+            ? subaddresses.trim().slice(format.localPartSeparator.length)
+            : subaddresses;
+        return concreteSubaddresses.trim() === '?'
+            ? []
+            : localPartIssues(concreteSubaddresses, 'Subaddress', true);
+    };
+
+    switch (`${keyType.scope}:${keyType.type}`) {
+        case 'global:destination':
+            return destinationIssues(value, 'Destination');
+        case 'global:group':
+            return destinationIssues(value, 'Member');
+        case 'global:rejectTreatment':
+            return rejectTreatmentIssues(value);
+        case 'global:subaddresses':
+        case 'user:subaddresses':
+            return subaddressIssues(value);
+        case 'global:users':
+            return localPartIssues(value, 'User', false);
+        case 'user:alias': {
+            const alias = value.trim().toLowerCase();
+            if (alias === key.split('@')[0])
+                return [`Alias '${alias}' is the user itself`];
+            return alias !== ''
+                && (isLocalPartPattern(alias) || alias.includes(format.localPartSeparator)
+                    || !format.isValidEmailAddress(`${alias}@domain.com`, format.validEmailAddressRegExp))
+                ? [`Alias '${alias}' is not a user`]
+                : [];
+        }
+        case 'global:size':
+        case 'user:size':
+            return parseMaxSize(value, format).issues;
+        case 'global:rateLimits':
+            return parseRateLimits(value, format).issues;
+        case 'global:authentication':
+        case 'user:authentication':
+            return value.split(format.redundantAddressSeparator)
+                .map(s => s.trim().toLowerCase()).filter(Boolean)
+                .filter(method => !FIXED.AUTHENTICATION_METHODS.includes(method))
+                .map(method => `Authentication method '${method}' is not one of '${FIXED.AUTHENTICATION_METHODS.join("', '")}'`);
+        case 'global:errorClassification':
+            return parseErrorClassification(value).issues;
+        case 'user:autoReply':
+            return parseAutoReply(value).issues;
+        case 'global:rules':
+        case 'user:rules': {
+            const { rules, issues } = parseRules(value, format);
+            return [
+                ...issues,
+                ...rules.flatMap(rule => [
+                    ...rule.destinations !== undefined ? destinationIssues(rule.destinations, 'Destination') : [],
+                    ...rule.reject !== undefined ? rejectTreatmentIssues(rule.reject) : [],
+                ]),
+            ];
+        }
+        case 'user:patterns':
+            return value.split(format.redundantAddressSeparator)
+                .map(s => s.trim()).filter(Boolean)
+                .filter(pattern => !isLocalPartPattern(pattern) || localPartPatternRegExp(pattern) === undefined)
+                .map(pattern => `Pattern '${pattern}' is invalid`);
+        case 'global:senders':
+        case 'user:senders':
+            return senderIssues(value);
+        case 'user:destination':
+            return [
+                ...destinationIssues(value.split(format.rejectSeparator).at(0), 'Destination'),
+                ...rejectTreatmentIssues(value.split(format.rejectSeparator).at(1) ?? ''),
+            ];
+        case 'subaddress:destination':
+            return [
+                ...destinationIssues(value.split(format.rejectSeparator).at(0), 'Destination'),
+                ...rejectTreatmentIssues(value.split(format.rejectSeparator).at(1) ?? ''),
+                ...parseSubaddressLifetime(value.split(format.rejectSeparator).at(2) ?? '', format).issues,
+            ];
+        case 'global:bundle': {
+            let bundle;
+            try {
+                bundle = JSON.parse(value);
+            } catch (error) {
+                return [`Invalid JSON: ${error.message}`];
+            }
+            if (typeof bundle !== 'object' || bundle === null || Array.isArray(bundle))
+                return ['JSON document is not an object'];
+            return Object.entries(bundle).flatMap(([name, bundledValue]) => {
+                const type = FIXED.STORED_GLOBAL_KEY_TYPES[`@${name}`];
+                if (type === undefined || type === 'bundle')
+                    return [`Field '${name}' is not supported`];
+                if (typeof bundledValue !== 'string')
+                    return [`Field '${name}' has a value which is not a string`];
+                return storedValueIssues({ scope: 'global', type: type }, `@${name}`, bundledValue, format);
+            });
+        }
+        case 'subaddress:acceptedMessages':
+            return /^\d+$/.test(value.trim())
+                ? []
+                : [`Accepted message count '${value}' is not a whole number`];
+        case 'subaddress:senderDomain':
+            return !value.includes('@')
+                && format.isValidEmailAddress(`user@${value.trim()}`, format.validEmailAddressRegExp)
+                ? []
+                : [`Sender domain '${value}' is invalidly formatted`];
+    }
+}
+
+// Returns a list of the issues with the whole configuration, given the
+// entries of the MAP-bound KV as [key, value] pairs and the environment-based
+// configuration, so that it can be validated offline before email is
+// misrouted. Each issue has
+// - a severity, which is either 'error' or 'warning',
+// - the source of the value with the issue, as in the trace of routeMessage,
+//   and
+// - a description of the issue.
+export function configurationIssues(storedEntries, environment) {
+    const configuration = { ...DEFAULTS, ...environment };
+    const format = formatConfiguration(configuration);
+    const issues = [];
+    const report = (severity, source, descriptions) => descriptions.forEach(description =>
+        issues.push({ severity: severity, source: source, issue: description }));
+
+    // The separators must meet the format requirements of DEFAULTS
+    const separators = {
+        FORMAT_REDUNDANT_ADDRESS_SEPARATOR: configuration.FORMAT_REDUNDANT_ADDRESS_SEPARATOR,
+        FORMAT_SIMPLE_ADDRESS_SEPARATOR: configuration.FORMAT_SIMPLE_ADDRESS_SEPARATOR,
+        FORMAT_LOCAL_PART_SEPARATOR: configuration.FORMAT_LOCAL_PART_SEPARATOR,
+        FORMAT_REJECT_SEPARATOR: configuration.FORMAT_REJECT_SEPARATOR,
+    };
+    Object.entries(separators).forEach(([name, separator]) => {
+        const source = Object.hasOwn(environment, name) ? `environment:${name}` : `default:${name}`;
+        if (separator === '' || /[*@a-z0-9.-]/i.test(separator))
+            report('error', source, [`Separator '${separator}' is empty, '*', '@' or used in users, subaddresses or domains`]);
+        Object.entries(separators)
+            .filter(([otherName, otherSeparator]) => otherName > name && otherSeparator === separator)
+            .forEach(([otherName]) => report('error', source, [`Separator '${separator}' is also ${otherName}`]));
+        if (name !== 'FORMAT_LOCAL_PART_SEPARATOR' && !/^[ "(),:;<>[\\\]]$/.test(separator))
+            report('warning', source, [`Separator '${separator}' is not a space or one of '"(),:;<>[\\]'`]);
+    });
+    if (issues.some(issue => issue.severity === 'error'))
+        return issues;
+    if (!isValidTimeZone(configuration.SCHEDULE_TIME_ZONE.trim()))
+        report('error', 'environment:SCHEDULE_TIME_ZONE',
+            [`Time zone '${configuration.SCHEDULE_TIME_ZONE}' is not supported`]);
+    report('error', Object.hasOwn(environment, 'ERROR_CLASSIFICATION')
+        ? 'environment:ERROR_CLASSIFICATION' : 'default:ERROR_CLASSIFICATION',
+        parseErrorClassification(configuration.ERROR_CLASSIFICATION).issues);
+    const { kvCacheTtl, issues: kvCacheTtlIssues } = parseKvCacheTtl(configuration.STORED_CONFIGURATION_KV_CACHE_TTL);
+    report('error', 'environment:STORED_CONFIGURATION_KV_CACHE_TTL', kvCacheTtlIssues);
+    if (kvCacheTtl !== undefined && kvCacheTtl !== Number(configuration.STORED_CONFIGURATION_KV_CACHE_TTL))
+        report('warning', 'environment:STORED_CONFIGURATION_KV_CACHE_TTL',
+            [`Cache TTL '${configuration.STORED_CONFIGURATION_KV_CACHE_TTL}' is used as ${kvCacheTtl} seconds`]);
+    report('error', 'environment:MAX_FORWARDS', parseMaxForwards(configuration.MAX_FORWARDS).issues);
+
+    // The environment-based global values, and the stored values, must be
+    // usable as intended
+    Object.entries(FIXED.STORED_GLOBAL_KEY_TYPES)
+        .filter(([key]) => Object.hasOwn(environment, key.slice(1)))
+        .forEach(([key, type]) => report('error', `environment:${key.slice(1)}`,
+            storedValueIssues({ scope: 'global', type: type }, key, environment[key.slice(1)], format)));
+    const stored = new Map(storedEntries);
+    const useStored = {
+        global: booleanFromString(configuration.USE_STORED_ADDRESS_CONFIGURATION),
+        user: booleanFromString(configuration.USE_STORED_USER_CONFIGURATION),
+        subaddress: booleanFromString(configuration.USE_STORED_USER_CONFIGURATION),
+    };
+    const useStoredBundle = booleanFromString(configuration.USE_STORED_BUNDLED_ADDRESS_CONFIGURATION);
+    const useStoredDomains = booleanFromString(configuration.USE_STORED_DOMAIN_CONFIGURATION);
+    const useStoredRules = booleanFromString(configuration.USE_STORED_RULES);
+    const useStoredSenders = booleanFromString(configuration.USE_STORED_SENDERS);
+    const useStoredMaxSize = booleanFromString(configuration.USE_STORED_MAX_SIZE);
+    const useStoredErrorClassification = booleanFromString(configuration.USE_STORED_ERROR_CLASSIFICATION);
+    const useStoredAutoReply = booleanFromString(configuration.USE_STORED_AUTO_REPLY);
+    stored.forEach((value, key) => {
+        const keyType = storedKeyType(key, format);
+        if (keyType === undefined)
+            report('warning', `MAP:${key}`, ['Key is never used']);
+        else if (!useStored[keyType.scope])
+            report('warning', `MAP:${key}`, [`Key is not used as stored ${keyType.scope === 'global' ? 'address' : 'user'} configuration is disabled`]);
+        else if (keyType.domain !== undefined && !useStoredDomains)
+            report('warning', `MAP:${key}`, ['Key is not used as stored domain configuration is disabled']);
+        else if (keyType.type === 'rules' && !useStoredRules)
+            report('warning', `MAP:${key}`, ['Key is not used as stored rules are disabled']);
+        else if (keyType.type === 'senders' && !useStoredSenders)
+            report('warning', `MAP:${key}`, ['Key is not used as stored senders are disabled']);
+        else if (keyType.type === 'size' && !useStoredMaxSize)
+            report('warning', `MAP:${key}`, ['Key is not used as stored maximum sizes are disabled']);
+        else if (keyType.type === 'errorClassification' && !useStoredErrorClassification)
+            report('warning', `MAP:${key}`, ['Key is not used as stored error classification is disabled']);
+        else if (keyType.type === 'autoReply' && !useStoredAutoReply)
+            report('warning', `MAP:${key}`, ['Key is not used as stored auto-replies are disabled']);
+        else if (keyType.scope === 'global' && !['group', 'rules', 'errorClassification'].includes(keyType.type)
+            && useStoredBundle !== (keyType.type === 'bundle'))
+            report('warning', `MAP:${key}`, [`Key is not used as stored address configuration is ${useStoredBundle ? '' : 'not '}bundled`]);
+        else
+            report('error', `MAP:${key}`, storedValueIssues(keyType, key, value, format));
+    });
+
+    // Returns the used stored value of a key as text, or undefined
+    let storedBundle = {};
+    try {
+        storedBundle = useStoredBundle && useStored.global
+            ? JSON.parse(stored.get('@CONFIGURATION') ?? '{}') ?? {}
+            : {};
+    } catch {
+        // Already reported as an issue with the key
+    }
+    const storedText = key => {
+        const keyType = storedKeyType(key, format);
+        if (keyType?.domain !== undefined && !useStoredDomains)
+            return undefined;
+        if (useStoredBundle && keyType?.scope === 'global'
+            && !['group', 'rules', 'errorClassification'].includes(keyType.type))
+            return keyType.domain === undefined && typeof storedBundle[key.slice(1)] === 'string'
+                ? storedBundle[key.slice(1)]
+                : undefined;
+        const value = keyType && useStored[keyType.scope] ? stored.get(key) : undefined;
+        return isStoredDocument(keyType, value) ? storedDocumentText(keyType, value, format).text : value;
+    };
+    // Returns the used stored value of a local key and setting as text, scoped
+    // to the domain if stored, as when forwarding, along with its source
+    const scopedStoredText = (localKey, setting, domain) => {
+        const key = [
+            ...domain !== undefined ? [`${localKey}@${domain}${setting}`] : [],
+            `${localKey}${setting}`,
+        ].find(key => storedText(key) !== undefined);
+        return key !== undefined ? [storedText(key), `MAP:${key}`] : [undefined, undefined];
+    };
+    const globalValue = (name, domain) => {
+        const [text, source] = scopedStoredText('', `@${name}`, domain);
+        return text !== undefined
+            ? [text.trim().toLowerCase(), source]
+            : [configuration[name].trim().toLowerCase(),
+                Object.hasOwn(environment, name) ? `environment:${name}` : `default:${name}`];
+    };
+    const destinationText = text => text?.split(format.rejectSeparator).at(0).trim();
+    const globalUserList = globalUsers => globalUsers
+        .split(format.redundantAddressSeparator).map(s => s.trim()).filter(Boolean);
+    const usedStoredKeys = [...stored.keys()].filter(key => storedText(key) !== undefined);
+    const usedStoredKeysOfType = (scope, type) => usedStoredKeys.filter(key =>
+        storedKeyType(key, format).scope === scope && storedKeyType(key, format).type === type);
+    const domains = [undefined, ...new Set(usedStoredKeys
+        .map(key => storedKeyType(key, format).domain).filter(Boolean))];
+
+    // Allowed users must have a destination, for each domain with scoped keys
+    domains.forEach(domain => {
+        const [globalDestination, globalDestinationSource] = globalValue('DESTINATION', domain);
+        const [globalUsers, globalUsersSource] = globalValue('USERS', domain);
+        if (globalDestination !== '')
+            return;
+        if (globalUsers === '*') {
+            report('error', globalUsersSource, [`All users are allowed but '${globalDestinationSource}' is empty`]);
+            return;
+        }
+        globalUserList(globalUsers)
+            .filter(user => !destinationText(scopedStoredText(user, '', domain)[0]))
+            .forEach(user => report('error', globalUsersSource, [`User '${user}' has no destination`]));
+    });
+    usedStoredKeysOfType('user', 'destination')
+        .filter(key => !destinationText(storedText(key))
+            && globalValue('DESTINATION', storedKeyType(key, format).domain)[0] === '')
+        .forEach(key => report('error', `MAP:${key}`, [`User '${key.split('@')[0]}' has no destination`]));
+    usedStoredKeysOfType('subaddress', 'destination')
+        .filter(key => !destinationText(storedText(key))
+            && !destinationText(scopedStoredText(key.split(format.localPartSeparator)[0], '',
+                storedKeyType(key, format).domain)[0])
+            && globalValue('DESTINATION', storedKeyType(key, format).domain)[0] === '')
+        .forEach(key => report('error', `MAP:${key}`, [`Subaddress '${key.split('@')[0]}' has no destination`]));
+
+    // Groups must be stored, for each domain with scoped keys, and must not
+    // contain themselves, as they are otherwise ignored
+    const groupReferences = text => text?.match(FIXED.groupReferenceRegExp) ?? [];
+    const groupLoop = (group, domain, groups = []) => groups.includes(group)
+        ? [...groups, group]
+        : groupReferences(scopedStoredText('', group, domain)[0])
+            .map(member => groupLoop(member, domain, [...groups, group]))
+            .find(Boolean);
+    domains.forEach(domain => [
+        ...usedStoredKeys.filter(key => storedKeyType(key, format).domain === undefined
+            || storedKeyType(key, format).domain === domain)
+            .map(key => [`MAP:${key}`, storedText(key)]),
+        ...['DESTINATION', 'REJECT_TREATMENT']
+            .filter(name => scopedStoredText('', `@${name}`, domain)[0] === undefined)
+            .map(name => [Object.hasOwn(environment, name) ? `environment:${name}` : `default:${name}`,
+                configuration[name]]),
+    ].forEach(([source, text]) => groupReferences(text)
+        .filter(group => scopedStoredText('', group, domain)[0] === undefined)
+        .forEach(group => report('warning', source,
+            [`Group '${group}' is not stored${domain !== undefined ? ` for domain '${domain}'` : ''}`]))));
+    usedStoredKeysOfType('global', 'group').forEach(key => {
+        const loop = groupLoop(key.replace(/^@[^@]+(?=@)/, ''), storedKeyType(key, format).domain);
+        if (loop !== undefined)
+            report('error', `MAP:${key}`, [`Groups '${loop.join(' > ')}' loop`]);
+    });
+
+    // Aliases must lead to a canonical user without looping, as they are
+    // otherwise ignored
+    usedStoredKeysOfType('user', 'alias').forEach(key => {
+        const domain = storedKeyType(key, format).domain;
+        const aliases = [key.split('@')[0]];
+        while (scopedStoredText(aliases.at(-1), '', domain)[0] === undefined) {
+            const alias = scopedStoredText(aliases.at(-1), '@ALIAS', domain)[0]?.trim().toLowerCase();
+            if (!alias)
+                return;
+            if (aliases.includes(alias) || aliases.length > FIXED.MAX_ALIAS_CHAIN_LENGTH) {
+                report('error', `MAP:${key}`, [`Aliases '${[...aliases, alias].join(' > ')}' ${aliases.includes(alias) ? 'loop' : 'are too long a chain'}`]);
+                return;
+            }
+            aliases.push(alias);
+        }
+    });
+
+    // Pattern keys are only matched if they are in the pattern index
+    const storedPatterns = (storedText(FIXED.STORED_PATTERNS_KEY) ?? '')
+        .split(format.redundantAddressSeparator).map(s => s.trim());
+    usedStoredKeys
+        .filter(key => storedKeyType(key, format).pattern
+            && !storedPatterns.includes(key.split('@')[0]))
+        .forEach(key => report('warning', `MAP:${key}`, [`Pattern is not in '${FIXED.STORED_PATTERNS_KEY}' so is never matched`]));
+
+    // Subaddresses of users which are never allowed can never match
+    usedStoredKeysOfType('user', 'subaddresses')
+        .filter(key => {
+            const user = key.split('@')[0].slice(0, -format.localPartSeparator.length);
+            const domain = storedKeyType(key, format).domain;
+            const globalUsers = globalValue('USERS', domain)[0];
+            return globalUsers !== '*' && !globalUserList(globalUsers).includes(user)
+                && scopedStoredText(user, '', domain)[0] === undefined
+                && !usedStoredKeysOfType('subaddress', 'destination')
+                    .some(key => key.startsWith(user + format.localPartSeparator));
+        })
+        .forEach(key => report('error', `MAP:${key}`,
+            [`Subaddresses of user '${key.split('@')[0].slice(0, -format.localPartSeparator.length)}' can never match as the user is not allowed`]));
+
+    return issues;
+}
+
+// Helper functions for the administration API
+//
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status: status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+    });
+}
+// Compares digests of the bearer token and the configured token so that the
+// comparison takes the same time regardless of where they differ
+async function isAuthorizedAdministrator(request, adminToken) {
+    const [scheme, token] = (request.headers.get('Authorization') ?? '').split(' ');
+    if (scheme !== 'Bearer' || !token)
+        return false;
+    const [expectedDigest, actualDigest] = await Promise.all(
+        [adminToken.trim(), token.trim()].map(text =>
+            crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))));
+    return crypto.subtle.timingSafeEqual(expectedDigest, actualDigest);
+}
+// Adds a pattern to the end of the stored pattern index, or removes it, so
+// that pattern keys written with the administration API are matched
+async function updateStoredPatterns(MAP, pattern, isStored, format) {
+    const storedPatterns = (await MAP.get(FIXED.STORED_PATTERNS_KEY) ?? '')
+        .split(format.redundantAddressSeparator).map(s => s.trim()).filter(Boolean);
+    if (storedPatterns.includes(pattern) === isStored)
+        return;
+    await MAP.put(FIXED.STORED_PATTERNS_KEY, (isStored
+        ? [...storedPatterns, pattern]
+        : storedPatterns.filter(storedPattern => storedPattern !== pattern))
+        .join(format.redundantAddressSeparator));
+    forgetCachedStoredValue(MAP, FIXED.STORED_PATTERNS_KEY);
+}
+// Lists, reads, creates or updates, and deletes stored configuration keys:
+//     GET    /keys[?prefix=...&cursor=...]
+//     GET    /keys/{key}
+//     PUT    /keys/{key}    with the value as the request body
+//     DELETE /keys/{key}
+async function storedKeysResponse(request, url, key, MAP, format) {
+    if (key === undefined) {
+        if (request.method !== 'GET')
+            return jsonResponse({ error: 'Method Not Allowed' }, 405, { Allow: 'GET' });
+        const list = await MAP.list({
+            prefix: url.searchParams.get('prefix') ?? undefined,
+            cursor: url.searchParams.get('cursor') ?? undefined,
+        });
+        return jsonResponse({
+            keys: list.keys.map(({ name }) => ({ key: name, ...storedKeyType(name, format) })),
+            cursor: list.list_complete ? null : list.cursor,
+        });
+    }
+    const keyType = storedKeyType(key, format);
+    const storedValue = await MAP.get(key);
+    switch (request.method) {
+        case 'GET': {
+            if (storedValue === null)
+                return jsonResponse({ error: 'Not Found' }, 404);
+            if (keyType?.scope !== 'subaddress' || keyType.type !== 'destination')
+                return jsonResponse({ key: key, ...keyType, value: storedValue });
+            // Include the remaining lifetime of a subaddress
+            const text = isStoredDocument(keyType, storedValue)
+                ? storedDocumentText(keyType, storedValue, format).text ?? ''
+                : storedValue;
+            const lifetime = parseSubaddressLifetime(
+                text.split(format.rejectSeparator).at(2) ?? '', format);
+            const acceptedMessages = Number(await MAP.get(`${key}@ACCEPTED`) ?? 0);
+            return jsonResponse({
+                key: key, ...keyType, value: storedValue,
+                lifetime: remainingSubaddressLifetime(lifetime, acceptedMessages, Date.now()) ?? null,
+            });
+        }
+        case 'PUT': {
+            if (keyType === undefined)
+                return jsonResponse({ error: `Unsupported key '${key}'` }, 400);
+            const value = await request.text();
+            const issues = storedValueIssues(keyType, key, value, format);
+            if (issues.length > 0)
+                return jsonResponse({ error: 'Invalid value', issues: issues }, 400);
+            await MAP.put(key, value);
+            forgetCachedStoredValue(MAP, key);
+            if (keyType.pattern)
+                await updateStoredPatterns(MAP, key.split('@')[0], true, format);
+            return jsonResponse({ key: key, ...keyType, value: value },
+                storedValue === null ? 201 : 200);
+        }
+        case 'DELETE':
+            if (storedValue === null)
+                return jsonResponse({ error: 'Not Found' }, 404);
+            await MAP.delete(key);
+            forgetCachedStoredValue(MAP, key);
+            if (keyType?.pattern)
+                await updateStoredPatterns(MAP, key.split('@')[0],
+                    await MAP.get(key.split('@')[0]) !== null
+                    || (await MAP.list({ prefix: `${key.split('@')[0]}@` })).keys
+                        .some(({ name }) => storedKeyType(name, format)?.pattern),
+                    format);
+            return new Response(null, { status: 204 });
+        default:
+            return jsonResponse({ error: 'Method Not Allowed' }, 405, { Allow: 'GET, PUT, DELETE' });
+    }
+}
+
+// Helper functions for handling an email
+//
+
+// Returns the configuration used to forward a message, both when the email is
+// handled and when a queued retry of its forward is handled
+function forwardingConfiguration(environment) {
+    const {
+        CONSOLE_LOG_ENABLED,
+        RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP,
+        ERROR_CLASSIFICATION,
+        RETRY_MAX_ATTEMPTS,
+        RETRY_DELAY_SECONDS,
+        DESTINATION_FAILING_SECONDS,
+        CIRCUIT_FAILURE_THRESHOLD,
+        CIRCUIT_COOLDOWN_SECONDS,
+        ADMIN_NOTIFY,
+        ADMIN_NOTIFY_FROM,
+        ADMIN_NOTIFY_INTERVAL_SECONDS,
+        RETRY_QUEUE,
+        SEND_EMAIL,
+        DESTINATION_STATE,
+        consoleLog,
+        now,
+        sendEmail,
+        replyEmail,
+        forwardToRedundantDestination,
+        forwardToMultiDestination,
+        queueForwardRetry,
+    } = { ...DEFAULTS, ...environment };
+    // An error classification with issues is ignored (with a warning)
+    const { classification, issues } = parseErrorClassification(ERROR_CLASSIFICATION);
+    if (issues.length > 0)
+        console.warn({ variable: 'ERROR_CLASSIFICATION', issues: issues });
+    return {
+        recoverableForwardImplementationErrorRegExp: new RegExp(RECOVERABLE_FORWARD_IMPLEMENTATION_ERROR_REGEXP),
+        errorClassification: classification,
+        consoleLogEnabled: booleanFromString(CONSOLE_LOG_ENABLED),
+        retryMaxAttempts: Number(RETRY_MAX_ATTEMPTS),
+        retryDelaySeconds: Number(RETRY_DELAY_SECONDS),
+        destinationFailingSeconds: Math.max(60, Number(DESTINATION_FAILING_SECONDS)),
+        circuitFailureThreshold: Number(CIRCUIT_FAILURE_THRESHOLD) || 0,
+        circuitCooldownSeconds: Math.max(60, Number(CIRCUIT_COOLDOWN_SECONDS)),
+        destinationState: DESTINATION_STATE ?? isolateDestinationState,
+        adminNotify: ADMIN_NOTIFY.trim(),
+        adminNotifyFrom: ADMIN_NOTIFY_FROM.trim(),
+        adminNotifyIntervalSeconds: Math.max(60, Number(ADMIN_NOTIFY_INTERVAL_SECONDS)),
+        consoleLog: consoleLog,
+        now: now,
+        sendEmail: sendEmail,
+        replyEmail: replyEmail,
+        forwardToRedundantDestination: forwardToRedundantDestination,
+        forwardToMultiDestination: forwardToMultiDestination,
+        queueForwardRetry: queueForwardRetry,
+        DESTINATION_STATE: DESTINATION_STATE,
+        RETRY_QUEUE: RETRY_QUEUE,
+        SEND_EMAIL: SEND_EMAIL,
+    };
+}
+// Returns the delay in seconds before a retry, which doubles for each retry
+function retryDelaySeconds(retry, configuration) {
+    return Math.min(configuration.retryDelaySeconds * 2 ** (retry - 1), FIXED.RETRY_QUEUE_MAX_DELAY);
+}
+// Retries a queued forward to a multiaddress by sending the raw message, with
+// its custom headers prepended, with the send_email binding, and queues
+// another retry of the redundant destinations which again had a recoverable
+// error, until RETRY_MAX_ATTEMPTS. The redundant destinations which finally
+// failed are logged as an error, recorded as a failed delivery and notified
+// to the administrator
+async function retryQueuedForward(retry, configuration) {
+    const raw = new Blob([
+        Object.entries(retry.headers).map(([name, value]) => `${name}: ${value}\r\n`).join(''),
+        retry.raw,
+    ]);
+    const message = {
+        from: retry.from,
+        to: retry.to,
+        // Sent from the address to which it was sent, as the envelope
+        // sender must be of a domain with Email Routing
+        forward: (simpleDestination) =>
+            configuration.sendEmail(configuration.SEND_EMAIL, retry.to, simpleDestination, raw.stream()),
+    };
+    const redundantDestinationResults = await Promise.all(
+        retry.multiDestination.map((redundantDestination, redundantDestinationIndex) =>
+            configuration.forwardToRedundantDestination(
+                message, redundantDestination,
+                redundantDestinationIndex + 1,
+                new Headers(retry.headers), retry.email, configuration,
+                retry.strategies[redundantDestinationIndex])
+        ));
+    const recoverableIndexes = retry.multiDestination.map((_, index) => index)
+        .filter(index => !redundantDestinationResults[index].wasSuccessful
+            && redundantDestinationResults[index].hadRecoverableError);
+    // A retry which cannot be queued is not thrown, as the queued message
+    // would then be retried to the destinations which already succeeded, but
+    // its redundant destinations are treated as finally failed
+    let isRetried = recoverableIndexes.length > 0
+        && retry.attempt < configuration.retryMaxAttempts;
+    if (isRetried)
+        try {
+            await configuration.RETRY_QUEUE.send({
+                ...retry,
+                multiDestination: recoverableIndexes.map(index => retry.multiDestination[index]),
+                strategies: recoverableIndexes.map(index => retry.strategies[index]),
+                attempt: retry.attempt + 1,
+            }, { delaySeconds: retryDelaySeconds(retry.attempt, configuration) });
+        } catch (error) {
+            console.warn({ email: retry.email, issue: 'retry not queued', errorMessage: error.message });
+            isRetried = false;
+        }
+    const failedIndexes = retry.multiDestination.map((_, index) => index)
+        .filter(index => !redundantDestinationResults[index].wasSuccessful
+            && !(isRetried && recoverableIndexes.includes(index)));
+    (failedIndexes.length > 0 ? console.error : console.info)({
+        email: retry.email,
+        action: retry.action,
+        attempt: retry.attempt,
+        multiDestination: retry.multiDestination,
+        status: redundantDestinationResults.every(result => result.wasSuccessful)
+            ? 'SuccessfulForwarding'
+            : isRetried ? 'RetryQueuedForwarding' : 'FailureForwarding',
+        successfulDestinations: redundantDestinationResults
+            .map(result => result.successfulDestination).filter(Boolean),
+        errorMessages: redundantDestinationResults.flatMap(result => result.errorMessages),
+    });
+    if (failedIndexes.length === 0)
+        return;
+    if (configuration.deliveryLog !== undefined)
+        await recordDelivery(configuration.deliveryLog, {
+            time: configuration.now().toISOString(),
+            email: retry.email,
+            user: retry.user ?? '',
+            action: retry.action,
+            outcome: 'RetryFailed',
+            attempts: retry.multiDestination.map((redundantDestination, index) => ({
+                action: retry.action,
+                redundantDestination: redundantDestination,
+                strategy: redundantDestinationResults[index].strategy,
+                wasSuccessful: redundantDestinationResults[index].wasSuccessful,
+                successfulDestination: redundantDestinationResults[index].successfulDestination,
+                errorMessages: redundantDestinationResults[index].errorMessages,
+            })),
+        });
+    if (configuration.adminNotify !== '')
+        await notifyAdministrator({
+            email: retry.email,
+            outcome: 'RetryFailed',
+            attempts: retry.attempt,
+            failures: [{
+                action: retry.action,
+                multiDestination: failedIndexes.map(index => retry.multiDestination[index]),
+                errorMessages: failedIndexes.flatMap(index => redundantDestinationResults[index].errorMessages),
+            }],
+        }, configuration.adminNotifyFrom || retry.to, configuration);
+}
+
+function warnAboutBadDestinations(messageUser, validatedMultiDestination, destinationType) {
+    [
+        {
+            description: 'invalidly formatted',
+            destinations: validatedMultiDestination.invalidSimple
+        },
+        {
+            description: 'duplicate',
+            destinations: validatedMultiDestination.duplicateSimple
+        },
+    ].map(issue => {
+        if (issue.destinations.length > 0)
+            console.warn({
+                messageUser: messageUser,
+                issue: issue.description,
+                destinationType: destinationType,
+                destinations: issue.destinations,
             });
+    });
+}
+// Records a delivery in the delivery log, logging rather than throwing any
+// error so that a failing log never affects the handling of email
+async function recordDelivery(deliveryLog, delivery) {
+    try {
+        await deliveryLog.record(delivery);
+    } catch (error) {
+        console.error({
+            email: delivery.email,
+            action: 'RecordingDelivery',
+            errorMessage: error.message,
+        });
+    }
+}
+
+// Returns the base64 encoding of the UTF-8 encoding of text
+function base64Text(text) {
+    return btoa(Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join(''));
+}
+// Returns the value of an unstructured header field, such as Subject, as is
+// if it is printable ASCII, otherwise as RFC 2047 encoded words of UTF-8, each
+// short enough to be folded onto its own line
+function encodedHeaderValue(text) {
+    if (/^[\x20-\x7e]*$/.test(text))
+        return text;
+    const words = [''];
+    for (const character of text) {
+        if (new TextEncoder().encode(words.at(-1) + character).length > 45)
+            words.push('');
+        words[words.length - 1] += character;
+    }
+    return words.map(word => `=?UTF-8?B?${base64Text(word)}?=`).join('\r\n ');
+}
+// Returns the raw text of a plain text email with the header fields, which are
+// already encoded, and the body lines, which are encoded in base64 unless they
+// are ASCII of at most 998 characters
+function rawTextEmail(headerFields, bodyLines) {
+    const lines = bodyLines.flatMap(line => line.split(/\r?\n/));
+    const is7bit = lines.every(line => /^[\x00-\x7f]*$/.test(line) && line.length <= 998);
+    return [
+        ...headerFields,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        `Content-Transfer-Encoding: ${is7bit ? '7bit' : 'base64'}`,
+        '',
+        ...is7bit ? lines : base64Text(lines.join('\r\n')).match(/.{1,76}/g),
+        '',
+    ].join('\r\n');
+}
+
+// Returns the raw text of a notification to the administrator of the failed
+// forwards of an email, listing each error once
+function notificationText(notification, from, configuration) {
+    const now = configuration.now();
+    const domain = from.split('@').at(-1);
+    const failureLines = notification.failures.flatMap(({ action, multiDestination, errorMessages }) => [
+        '',
+        `${action} to ${multiDestination.map(redundantDestination => redundantDestination.join(':')).join(', ')}:`,
+        ...new Set(errorMessages.map(({ simpleDestination, category, errorMessage }) =>
+            `- ${simpleDestination} (${category}): ${errorMessage}`)),
+    ]);
+    const suppressedLines = Object.entries(notification.suppressed)
+        .filter(([, suppressed]) => suppressed > 0)
+        .map(([simpleDestination, suppressed]) =>
+            `- ${simpleDestination}: ${suppressed} failures not notified since the last notification`);
+    return rawTextEmail([
+        `From: ${from}`,
+        `To: ${configuration.adminNotify}`,
+        `Subject: ${encodedHeaderValue(`Forwarding failed for email to ${notification.email.to}`)}`,
+        `Date: ${now.toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'Auto-Submitted: auto-generated',
+    ], [
+        notification.outcome === 'RetryFailed'
+            ? `Forwarding an email failed after ${notification.attempts} attempts, and no further retry was queued.`
+            : `Forwarding an email failed, and the action taken was ${notification.outcome}.`,
+        '',
+        `Email: ${JSON.stringify(notification.email)}`,
+        ...failureLines,
+        ...suppressedLines.length > 0 ? ['', 'Suppressed:', ...suppressedLines] : [],
+    ]);
+}
+
+// Notifies the administrator of the failed forwards of an email, unless every
+// failed simple destination was already notified within the interval, in which
+// case the notification is counted as suppressed for each. Failures to notify
+// are logged but never thrown
+async function notifyAdministrator(notification, from, configuration) {
+    if (configuration.SEND_EMAIL === undefined) {
+        console.warn({ email: notification.email, issue: 'notification without a SEND_EMAIL binding' });
+        return;
+    }
+    const now = configuration.now();
+    const intervalMilliseconds = configuration.adminNotifyIntervalSeconds * 1000;
+    const failedDestinations = [...new Set(notification.failures
+        .flatMap(({ errorMessages }) => errorMessages.map(({ simpleDestination }) => simpleDestination)))];
+    try {
+        // The notification state of each failed destination is kept for two
+        // intervals, so that the suppressed failures are still counted
+        const states = await Promise.all(failedDestinations.map(async simpleDestination =>
+            JSON.parse(await configuration.destinationState.get(`notified:${simpleDestination}`) ?? 'null')));
+        const isNotified = states.map(state => state === null || now.getTime() >= Date.parse(state.until));
+        await Promise.all(failedDestinations.map((simpleDestination, index) =>
+            configuration.destinationState.put(`notified:${simpleDestination}`, JSON.stringify(isNotified[index]
+                ? { until: new Date(now.getTime() + intervalMilliseconds).toISOString(), suppressed: 0 }
+                : { ...states[index], suppressed: states[index].suppressed + 1 }),
+                { expirationTtl: configuration.adminNotifyIntervalSeconds * 2 })));
+        if (!isNotified.some(Boolean)) {
+            configuration.consoleLog({
+                email: notification.email,
+                action: 'ThrottlingNotification',
+                destinations: failedDestinations,
+            }, configuration);
+            return;
         }
-        function multiDestinationImage(validatedMultiDestination) {
-            return validatedMultiDestination.map(
-                redundantDestination =>
-                    redundantDestination.join(FORMAT_SIMPLE_ADDRESS_SEPARATOR)
-            ).join(FORMAT_REDUNDANT_ADDRESS_SEPARATOR);
+        const suppressed = Object.fromEntries(failedDestinations
+            .map((simpleDestination, index) => [simpleDestination, states[index]?.suppressed ?? 0]));
+        await configuration.sendEmail(configuration.SEND_EMAIL, from, configuration.adminNotify,
+            notificationText({ ...notification, suppressed: suppressed }, from, configuration));
+        console.info({
+            email: notification.email,
+            action: 'NotifyingAdministrator',
+            adminNotify: configuration.adminNotify,
+            destinations: failedDestinations.filter((_, index) => isNotified[index]),
+        });
+    } catch (error) {
+        console.warn({ email: notification.email, issue: 'notification not sent', errorMessage: error.message });
+    }
+}
+
+// Returns why a message must not be auto-replied to, to avoid loops, or null
+function autoReplySkipReason(message) {
+    const autoSubmitted = message.headers.get('Auto-Submitted')?.trim().toLowerCase();
+    if (!message.from)
+        return 'no sender';
+    if (autoSubmitted && autoSubmitted !== 'no')
+        return 'Auto-Submitted';
+    if (FIXED.AUTO_REPLY_SKIPPED_PRECEDENCES.includes(message.headers.get('Precedence')?.trim().toLowerCase()))
+        return 'Precedence';
+    if (message.headers.get('List-Id'))
+        return 'List-Id';
+    return null;
+}
+
+// Auto-replies to the sender of an accepted message, if the user's auto-reply
+// is active, the message is not automated and the sender was not replied to
+// within the interval, which is remembered in the KV namespace bound as
+// DESTINATION_STATE, without which no auto-replies are sent. Failures to reply
+// are logged but never thrown
+async function autoReplyToSender(message, route, configuration) {
+    const { autoReply, canonicalUser } = route;
+    const now = configuration.now();
+    if (autoReply.start !== null && now < new Date(autoReply.start)
+        || autoReply.end !== null && now >= new Date(autoReply.end))
+        return;
+    if (configuration.DESTINATION_STATE === undefined) {
+        console.warn({ email: route.email, issue: 'auto-reply without a DESTINATION_STATE binding' });
+        return;
+    }
+    const skipReason = autoReplySkipReason(message);
+    const key = `autoReplied:${canonicalUser}:${message.from?.toLowerCase()}`;
+    try {
+        if (skipReason === null && await configuration.destinationState.get(key) !== null)
+            return;
+        if (skipReason !== null) {
+            configuration.consoleLog({ email: route.email, action: 'SkippingAutoReply', reason: skipReason },
+                configuration);
+            return;
         }
+        const messageId = message.headers.get('Message-ID');
+        const subject = message.headers.get('Subject');
+        const raw = rawTextEmail([
+            `From: ${message.to}`,
+            `To: ${message.from}`,
+            `Subject: ${encodedHeaderValue(autoReply.subject ?? `Auto: ${subject ?? ''}`.trim())}`,
+            `Date: ${now.toUTCString()}`,
+            `Message-ID: <${crypto.randomUUID()}@${message.to.split('@').at(-1)}>`,
+            ...messageId ? [`In-Reply-To: ${messageId}`, `References: ${messageId}`] : [],
+            'Auto-Submitted: auto-replied',
+        ], [autoReply.body]);
+        await configuration.replyEmail(message, message.to, message.from, raw);
+        await configuration.destinationState.put(key, now.toISOString(),
+            { expirationTtl: Math.max(60, Math.round(autoReply.intervalDays * 24 * 60 * 60)) });
+        console.info({ email: route.email, action: 'AutoReplying', to: message.from });
+    } catch (error) {
+        console.warn({ email: route.email, issue: 'auto-reply not sent', errorMessage: error.message });
+    }
+}
+
+// Loads and validates stored and environment configuration and decides how
+// a message should be handled based on its `to` attribute, but without
+// forwarding or rejecting it, returning:
+// - the configuration needed to then handle the message, and
+// - a trace of the decision, including the source of each configuration
+//   value, which is either
+//     - `MAP:${key}` for stored configuration,
+//     - `environment:${name}` for environment configuration, or
+//     - `default:${name}` for `DEFAULTS`.
+async function routeMessage(message, environment) {
+    // Environment-based configuration which overrides `DEFAULTS`
+    //
+    const {
+        USE_STORED_ADDRESS_CONFIGURATION,
+        USE_STORED_USER_CONFIGURATION,
+        USE_STORED_BUNDLED_ADDRESS_CONFIGURATION,
+        USE_STORED_DOMAIN_CONFIGURATION,
+        USE_STORED_RULES,
+        USE_STORED_SENDERS,
+        USE_STORED_MAX_SIZE,
+        USE_STORED_ERROR_CLASSIFICATION,
+        USE_STORED_AUTO_REPLY,
+        STORED_CONFIGURATION_CACHE_TTL,
+        STORED_CONFIGURATION_KV_CACHE_TTL,
+        MAX_FORWARDS,
+        SCHEDULE_TIME_ZONE,
+        TRUSTED_AUTHSERV_IDS,
+
+        DESTINATION,
+        REJECT_TREATMENT,
+        SUBADDRESSES,
+        USERS,
+
+        FORMAT_LOCAL_PART_SEPARATOR,
+        FORMAT_REDUNDANT_ADDRESS_SEPARATOR,
+        FORMAT_REJECT_SEPARATOR,
+        FORMAT_VALID_CUSTOM_HEADER_REGEXP,
 
-        // Given from RFC 5233 that the email address has the syntax:
-        //     `${LocalPart}@${AbsoluteDomain}`
-        // and LocalPart has the syntax
-        //     `${user}${FORMAT_LOCAL_PART_SEPARATOR}${subaddress}`
-        // extract the user and subaddrress
-        //
-        const messageLocalPart = message.to.split('@')[0];
-        const [messageUser, messageSubaddress] = addressLocalParts(messageLocalPart, FORMAT_LOCAL_PART_SEPARATOR);
+        CUSTOM_HEADER,
+        CUSTOM_HEADER_FAIL,
+        CUSTOM_HEADER_PASS,
 
+        MAP,
+        DELIVERY_LOG,
+        RATE_LIMIT_COUNTERS,
+
+        addressLocalParts,
+        emailImage,
+        now,
+    } = { ...DEFAULTS, ...environment };
+    const FORMAT = formatConfiguration({ ...DEFAULTS, ...environment });
+
+    // Helper methods independent of configuration
+    //
+
+    // Returns the key scoped to the message's domain, e.g.
+    // `user@domain.com` for `user` or `@domain.com@DESTINATION` for
+    // `@DESTINATION`
+    function domainScopedKey(key) {
+        const settingIndex = key.indexOf('@');
+        return settingIndex < 0
+            ? `${key}@${messageDomain}`
+            : `${key.slice(0, settingIndex)}@${messageDomain}${key.slice(settingIndex)}`;
+    }
+    // Stored JSON documents by unscoped key, for their subaddresses and
+    // headers
+    const storedDocuments = {};
+    // Stored keys from which values were loaded by unscoped key, which are
+    // scoped to the message's domain if that value was stored
+    const storedKeys = {};
+    function storedSource(key) {
+        return `MAP:${storedKeys[key] ?? key}`;
+    }
+    // Returns the stored value for the key, scoped to the message's domain
+    // if stored and if useStoredDomainConfiguration, unless the key is
+    // already scoped
+    async function storedConfigurationValue(shouldLoad, key, isScopable = true) {
+        if (shouldLoad && isScopable && useStoredDomainConfiguration) {
+            const storedValue = await storedConfigurationValue(shouldLoad, domainScopedKey(key), false);
+            if (storedValue !== undefined) {
+                storedKeys[key] = domainScopedKey(key);
+                storedDocuments[key] = storedDocuments[domainScopedKey(key)];
+                return storedValue;
+            }
+        }
+        // MAP.get(key) returns null if key is not stored so '?? undefined'
+        // coalesces null to undefined but leaves '' unchanged
+        // which is important because '' is used to indicate that
+        // the global configured should be used for that destination
+        const keyType = storedKeyType(key, FORMAT);
+        // Only address and user configuration is cached, as subaddress
+        // configuration changes as messages are accepted
+        const storedValue = !shouldLoad ? undefined
+            : keyType?.scope === 'global' || keyType?.scope === 'user'
+                ? await cachedStoredValue(MAP, key, storedConfigurationCacheTtl,
+                    storedConfigurationKvCacheTtl) ?? undefined
+                : await MAP.get(key) ?? undefined;
+        if (!isStoredDocument(keyType, storedValue))
+            return storedValue;
+        // A JSON document is used as its equivalent text, or ignored if it
+        // has issues
+        const document = storedDocumentText(keyType, storedValue, FORMAT);
+        if (document.issues.length > 0) {
+            console.warn({ key: key, issues: document.issues });
+            return undefined;
+        }
+        storedDocuments[key] = document;
+        return document.text;
+    }
+    // The stored bundled global configuration, loaded at most once
+    let storedBundledGlobalConfiguration;
+    async function storedBundledGlobalValue(shouldLoad, name) {
+        if (!shouldLoad)
+            return undefined;
+        storedBundledGlobalConfiguration ??= storedConfigurationValue(shouldLoad, '@CONFIGURATION', false)
+            .then(storedValue => {
+                try {
+                    return JSON.parse(storedValue ?? '{}') ?? {};
+                } catch (error) {
+                    console.warn({ key: '@CONFIGURATION', issues: [`Invalid JSON: ${error.message}`] });
+                    return {};
+                }
+            });
+        const storedValue = (await storedBundledGlobalConfiguration)[name];
+        return typeof storedValue === 'string' ? storedValue : undefined;
+    }
+    // Returns the stored global value for the key if loaded, otherwise
+    // the environment-based value, along with its source
+    async function globalConfigurationValue(shouldLoad, name) {
+        const [storedValue, storedValueSource] = useStoredBundledAddressConfiguration
+            ? [await storedBundledGlobalValue(shouldLoad, name), `MAP:@CONFIGURATION.${name}`]
+            : [await storedConfigurationValue(shouldLoad, `@${name}`), null];
+        if (storedValue !== undefined)
+            return [storedValue, storedValueSource ?? storedSource(`@${name}`)];
+
+        return [
+            { ...DEFAULTS, ...environment }[name],
+            Object.hasOwn(environment, name) ? `environment:${name}` : `default:${name}`
+        ];
+    }
+
+    // Given the email address has the syntax:
+    //     `${LocalPart}@${AbsoluteDomain}`
+    // extract the domain, in lower case, to which stored configuration may be
+    // scoped
+    const messageDomain = message.to.split('@').at(-1).trim().toLowerCase();
+
+    // Load and validate stored and environment configuration
+    //
+
+    const useStoredAddressGlobalConfiguration =
+        booleanFromString(USE_STORED_ADDRESS_CONFIGURATION);
+    const useStoredUserConfiguration =
+        booleanFromString(USE_STORED_USER_CONFIGURATION);
+    const useStoredBundledAddressConfiguration =
+        booleanFromString(USE_STORED_BUNDLED_ADDRESS_CONFIGURATION);
+    const useStoredDomainConfiguration =
+        booleanFromString(USE_STORED_DOMAIN_CONFIGURATION);
+    const useStoredRules =
+        booleanFromString(USE_STORED_RULES);
+    const useStoredSenders =
+        booleanFromString(USE_STORED_SENDERS);
+    const useStoredMaxSize =
+        booleanFromString(USE_STORED_MAX_SIZE);
+    const useStoredErrorClassification =
+        booleanFromString(USE_STORED_ERROR_CLASSIFICATION);
+    const useStoredAutoReply =
+        booleanFromString(USE_STORED_AUTO_REPLY) && useStoredUserConfiguration;
+
+    const storedConfigurationCacheTtl =
+        Number(STORED_CONFIGURATION_CACHE_TTL);
+    const { kvCacheTtl: storedConfigurationKvCacheTtl, issues: kvCacheTtlIssues } =
+        parseKvCacheTtl(STORED_CONFIGURATION_KV_CACHE_TTL);
+    if (kvCacheTtlIssues.length > 0)
+        console.warn({ variable: 'STORED_CONFIGURATION_KV_CACHE_TTL', issues: kvCacheTtlIssues });
+
+    const [storedOrEnvironmentGlobalDestination, globalDestinationSource] =
+        await globalConfigurationValue(useStoredAddressGlobalConfiguration, 'DESTINATION');
+    const globalDestination = storedOrEnvironmentGlobalDestination.trim();
+    const [storedOrEnvironmentGlobalRejectTreatment, globalRejectTreatmentSource] =
+        await globalConfigurationValue(useStoredAddressGlobalConfiguration, 'REJECT_TREATMENT');
+    const globalRejectTreatment = storedOrEnvironmentGlobalRejectTreatment.trim();
+    const [storedOrEnvironmentGlobalSubaddresses, globalSubaddressesSource] =
+        await globalConfigurationValue(useStoredAddressGlobalConfiguration, 'SUBADDRESSES');
+    const globalSubaddresses = storedOrEnvironmentGlobalSubaddresses.trim();
+    const [storedOrEnvironmentGlobalUsers, globalUsersSource] =
+        await globalConfigurationValue(useStoredAddressGlobalConfiguration, 'USERS');
+    const globalUsers = storedOrEnvironmentGlobalUsers.trim();
+    const [globalBlockedSenders, globalBlockedSendersSource] =
+        await globalConfigurationValue(useStoredSenders && useStoredAddressGlobalConfiguration, 'BLOCKED_SENDERS');
+    const [globalAllowedSenders, globalAllowedSendersSource] =
+        await globalConfigurationValue(useStoredSenders && useStoredAddressGlobalConfiguration, 'ALLOWED_SENDERS');
+
+    const formatValidCustomHeaderRegExp =
+        new RegExp(FORMAT_VALID_CUSTOM_HEADER_REGEXP);
+
+    const customHeader =
+        validateCustomHeader(CUSTOM_HEADER);
+    const customHeaderFail =
+        CUSTOM_HEADER_FAIL.trim();
+    const customHeaderPass =
+        CUSTOM_HEADER_PASS.trim();
+
+    const CONFIGURATION = {
+        ...forwardingConfiguration(environment),
+        customHeader: customHeader,
+        customHeaderFail: customHeaderFail,
+        customHeaderPass: customHeaderPass,
+        MAP: MAP,
+        RATE_LIMIT_COUNTERS: RATE_LIMIT_COUNTERS,
+        deliveryLog: DELIVERY_LOG !== undefined ? deliveryLog(DELIVERY_LOG) : undefined,
+    };
+
+    // Derived constants
+    //
+
+    const startsWithLocalPartSeparatorRegExp =
+        new RegExp(`^${escape(FORMAT_LOCAL_PART_SEPARATOR)}`);
+
+    // Helper methods dependent on configuration
+    //
+
+    function validateTimeZone(timeZone) {
+        const timeZoneTrimmed = timeZone.trim();
+        if (isValidTimeZone(timeZoneTrimmed))
+            return timeZoneTrimmed;
+        else
+            throw (`Invalid time zone ${timeZoneTrimmed}`);
+    }
+
+    function validateCustomHeader(customHeader) {
+        const customHeaderTrimmed = customHeader.trim();
+        if (formatValidCustomHeaderRegExp.test(customHeaderTrimmed))
+            return customHeaderTrimmed;
+        else
+            throw (`Invalid custom header ${customHeaderTrimmed}`);
+    }
+
+    // Given from RFC 5233 that the email address has the syntax:
+    //     `${LocalPart}@${AbsoluteDomain}`
+    // and LocalPart has the syntax
+    //     `${user}${FORMAT_LOCAL_PART_SEPARATOR}${subaddress}`
+    // extract the user and subaddrress
+    //
+    const messageLocalPart = message.to.split('@')[0];
+    const [messageUser, messageSubaddress] = addressLocalParts(messageLocalPart, FORMAT_LOCAL_PART_SEPARATOR);
+
+    // If useStoredUserConfiguration
+    // load stored user configuration
+    // which overrides environment-based configuration (and defaults)
+    let exactUserDestinationWithRejectTreatment
+        = await storedConfigurationValue(useStoredUserConfiguration, messageUser);
+    // Otherwise follow the chain of stored aliases, `${user}@ALIAS`, to the
+    // canonical user from which the configuration of the message user is
+    // loaded, unless the chain loops or is too long
+    const userAliases = [messageUser];
+    while (exactUserDestinationWithRejectTreatment === undefined) {
+        const alias = (await storedConfigurationValue(
+            useStoredUserConfiguration, `${userAliases.at(-1)}@ALIAS`))?.trim().toLowerCase();
+        if (!alias)
+            break;
+        if (userAliases.includes(alias) || userAliases.length > FIXED.MAX_ALIAS_CHAIN_LENGTH) {
+            console.warn({
+                messageUser: messageUser,
+                issue: userAliases.includes(alias) ? 'alias loop' : 'alias chain too long',
+                aliases: [...userAliases, alias],
+            });
+            userAliases.splice(1);
+            break;
+        }
+        userAliases.push(alias);
+        exactUserDestinationWithRejectTreatment =
+            await storedConfigurationValue(useStoredUserConfiguration, alias);
+    }
+    const canonicalUser = userAliases.at(-1);
+    // Otherwise use the stored configuration of the first pattern key, in the
+    // order of the stored pattern index, which matches the canonical user
+    const storedUserPatterns = exactUserDestinationWithRejectTreatment === undefined
+        ? await storedConfigurationValue(useStoredUserConfiguration, FIXED.STORED_PATTERNS_KEY, false) ?? ''
+        : '';
+    let messageUserPattern = null;
+    let userDestinationWithRejectTreatment = exactUserDestinationWithRejectTreatment;
+    for (const pattern of storedUserPatterns.split(FORMAT_REDUNDANT_ADDRESS_SEPARATOR)
+        .map(s => s.trim()).filter(isLocalPartPattern)) {
+        if (userDestinationWithRejectTreatment !== undefined)
+            break;
+        if (!localPartPatternRegExp(pattern)?.test(canonicalUser))
+            continue;
+        userDestinationWithRejectTreatment =
+            await storedConfigurationValue(useStoredUserConfiguration, pattern);
+        if (userDestinationWithRejectTreatment !== undefined)
+            messageUserPattern = pattern;
+    }
+    // The key of the stored user configuration
+    const userKey = messageUserPattern ?? canonicalUser;
+    // An empty string is valid (no subaddresses allowed) and the ??
+    // operator will prevent this value from stored configuration from being
+    // overriden as '' ?? x evaluates to ''
+    // Subaddresses may otherwise be in a JSON document for the user
+    const storedUserSubaddressesOnly =
+        await storedConfigurationValue(
+            useStoredUserConfiguration,
+            canonicalUser + FORMAT_LOCAL_PART_SEPARATOR);
+    const storedUserSubaddresses =
+        storedUserSubaddressesOnly
+        ?? storedDocuments[userKey]?.subaddresses;
+    const storedUserSubaddressesKey = storedUserSubaddressesOnly !== undefined
+        ? canonicalUser + FORMAT_LOCAL_PART_SEPARATOR
+        : userKey;
+    // Subaddresses and users are not converted to lower case, which would
+    // change the meaning of regular expressions, as they are matched
+    // case-insensitively
+    const userSubaddresses =
+        storedUserSubaddresses?.trim()
+        ?? globalSubaddresses;
+    const userRequiresSubaddress = userSubaddresses.startsWith(FORMAT_LOCAL_PART_SEPARATOR);
+    const userConcreteSubaddresses = userSubaddresses.replace(startsWithLocalPartSeparatorRegExp, '');
+
+    // If useStoredUserConfiguration and the message has a subaddress
+    // load stored subaddress configuration
+    // which overrides the user configuration
+    const subaddressKey = canonicalUser + FORMAT_LOCAL_PART_SEPARATOR + messageSubaddress;
+    const subaddressDestinationWithRejectTreatment =
+        messageSubaddress !== ''
+            ? await storedConfigurationValue(useStoredUserConfiguration, subaddressKey)
+            : undefined;
+    // The subaddress key as stored, which is scoped to the message's domain
+    // if that was found in the user store, or if useStoredDomainConfiguration
+    // and it was not found (so that it is recorded as such on its first use)
+    const storedSubaddressKey = storedKeys[subaddressKey]
+        ?? (subaddressDestinationWithRejectTreatment === undefined && useStoredDomainConfiguration
+            ? domainScopedKey(subaddressKey)
+            : subaddressKey);
+
+    // Given subaddressDestinationWithRejectTreatment may also have a lifetime
+    // as its third part, extract it and, if its messages are limited, load
+    // the number of messages already accepted
+    const subaddressLifetime = parseSubaddressLifetime(
+        subaddressDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(2) ?? '',
+        FORMAT);
+    const acceptedMessagesKey = `${storedSubaddressKey}@ACCEPTED`;
+    const subaddressAcceptedMessages =
+        subaddressLifetime.maxMessages !== undefined
+            ? Number(await storedConfigurationValue(useStoredUserConfiguration, acceptedMessagesKey, false) ?? 0)
+            : 0;
+    const subaddressRemainingLifetime = remainingSubaddressLifetime(
+        subaddressLifetime, subaddressAcceptedMessages, now().getTime());
+
+    // If the subaddress was found in the user store, or the subaddress
+    // configuration is '?', load the sender domain to which it is restricted,
+    // usually recorded on its first use
+    const subaddressSenderDomainKey = `${storedSubaddressKey}@SENDER_DOMAIN`;
+    const storedSubaddressSenderDomain =
+        subaddressDestinationWithRejectTreatment !== undefined
+            || messageSubaddress !== '' && userConcreteSubaddresses === '?'
+            ? await storedConfigurationValue(useStoredUserConfiguration, subaddressSenderDomainKey, false)
+            : undefined;
+    const subaddressSenderDomain = storedSubaddressSenderDomain?.trim().toLowerCase();
+    const messageSenderDomain = message.from?.includes('@')
+        ? message.from.split('@').at(-1).trim().toLowerCase()
+        : '';
+
+    // Given userDestinationWithRejectTreatment and
+    // subaddressDestinationWithRejectTreatment have the syntax:
+    //     `${destination}${FORMAT_REJECT_SEPARATOR}${rejectTreatment}`
+    // extract destination and rejectTreatment.
+    // Empty strings for these constants indicate that the user or global
+    // configuration should override the subaddress or user configuration
+    // and the || operator allows such an override as '' is falsy
+    // and so '' || x evaluates to x
+    //
+    // Given the JSON documents for the subaddress and user may have a
+    // schedule of destinations for time windows, the destination of the
+    // first window containing the current time, in the document's time zone,
+    // overrides the subaddress or user destination respectively, which is
+    // otherwise the default
+    // (time zones are only loaded if there is a schedule, as this is slow)
+    const currentTime = now();
+    function activeScheduleWindow(key) {
+        const document = storedDocuments[key];
+        if (!document?.schedule.length)
+            return undefined;
+        const timeZone = document.timeZone ?? validateTimeZone(SCHEDULE_TIME_ZONE);
+        const index = activeScheduleWindowIndex(document.schedule, timeZone, currentTime);
+        return index >= 0
+            ? {
+                source: `${storedSource(key)}.schedule[${index}]`,
+                timeZone: timeZone,
+                destination: document.schedule[index].destinations,
+            }
+            : undefined;
+    }
+    const subaddressScheduleWindow = subaddressDestinationWithRejectTreatment !== undefined
+        ? activeScheduleWindow(subaddressKey)
+        : undefined;
+    const userScheduleWindow = userDestinationWithRejectTreatment !== undefined
+        ? activeScheduleWindow(userKey)
+        : undefined;
+    const storedSubaddressDestination =
+        subaddressScheduleWindow?.destination
+        ?? subaddressDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(0).trim();
+    const storedUserDestination =
+        userScheduleWindow?.destination
+        ?? userDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(0).trim();
+    const scheduleWindow =
+        storedSubaddressDestination ? subaddressScheduleWindow
+            : storedUserDestination ? userScheduleWindow
+                : undefined;
+    // Given the results of the message's authentication methods, only if any
+    // failed load the methods whose failure rejects the message, from the
+    // stored user configuration which overrides the global configuration
+    const trustedAuthservIds = TRUSTED_AUTHSERV_IDS.toLowerCase()
+        .split(FORMAT_REDUNDANT_ADDRESS_SEPARATOR).map(s => s.trim()).filter(Boolean);
+    const messageAuthentication = authenticationResults(message.headers, trustedAuthservIds);
+    const failedAuthenticationMethods = FIXED.AUTHENTICATION_METHODS
+        .filter(method => messageAuthentication[method] === 'fail');
+    const storedUserRejectAuthenticationFailures = failedAuthenticationMethods.length > 0
+        ? await storedConfigurationValue(
+            useStoredUserConfiguration, `${canonicalUser}@REJECT_AUTHENTICATION_FAILURES`)
+        : undefined;
+    const [globalRejectAuthenticationFailures, globalRejectAuthenticationFailuresSource] =
+        failedAuthenticationMethods.length > 0 && storedUserRejectAuthenticationFailures === undefined
+            ? await globalConfigurationValue(useStoredAddressGlobalConfiguration, 'REJECT_AUTHENTICATION_FAILURES')
+            : ['', null];
+    const rejectedAuthenticationFailures =
+        (storedUserRejectAuthenticationFailures ?? globalRejectAuthenticationFailures)
+            .toLowerCase().split(FORMAT_REDUNDANT_ADDRESS_SEPARATOR).map(s => s.trim());
+
+    // If useStoredRules load the stored rules of the canonical user and then
+    // the global rules, of which the first whose conditions all match the
+    // message's headers overrides the destination, reject treatment and
+    // custom header value, and may prevent the message from being accepted
+    async function storedRules(key) {
+        const storedValue = await storedConfigurationValue(useStoredRules, key);
+        if (storedValue === undefined)
+            return [];
+        const { rules, issues } = parseRules(storedValue, FORMAT);
+        if (issues.length > 0)
+            console.warn({ key: key, issues: issues });
+        return rules.map((rule, index) => ({ ...rule, source: `${storedSource(key)}[${index}]` }));
+    }
+    const rules = [
+        ...await storedRules(`${canonicalUser}@RULES`),
+        ...await storedRules(FIXED.STORED_RULES_KEY),
+    ];
+    const rule = rules[matchingRuleIndex(rules, message.headers, messageAuthentication)];
+    const ruleDestination = rule?.destinations?.trim();
+    const ruleRejectTreatment = rule?.reject?.trim();
+
+    const userDestination =
+        ruleDestination
+        || storedSubaddressDestination
+        || storedUserDestination
+        || globalDestination;
+    const storedSubaddressRejectTreatment =
+        subaddressDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(1)?.trim();
+    const storedUserRejectTreatment =
+        userDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(1)?.trim();
+    const userRejectTreatment =
+        ruleRejectTreatment
+        || storedSubaddressRejectTreatment
+        || storedUserRejectTreatment
+        || globalRejectTreatment;
+
+    // If useStoredErrorClassification load the stored error classification,
+    // which is matched before that of the environment
+    const storedErrorClassification = useStoredErrorClassification
+        ? await loadedErrorClassification(key => storedConfigurationValue(true, key, false))
+        : [];
+
+    // Stored user sender configuration, only loaded if useStoredSenders,
+    // overrides the global sender configuration, and an empty string is valid
+    // (no senders blocked or all senders allowed respectively)
+    const storedUserBlockedSenders = await storedConfigurationValue(
+        useStoredSenders && useStoredUserConfiguration, `${canonicalUser}@BLOCKED_SENDERS`);
+    const userBlockedSenders = senderPatterns(
+        storedUserBlockedSenders ?? globalBlockedSenders, FORMAT);
+    const storedUserAllowedSenders = await storedConfigurationValue(
+        useStoredSenders && useStoredUserConfiguration, `${canonicalUser}@ALLOWED_SENDERS`);
+    const userAllowedSenders = senderPatterns(
+        storedUserAllowedSenders ?? globalAllowedSenders, FORMAT);
+
+    // The message user is allowed if, for the canonical user (the message
+    // user unless it is an alias):
+    // - the specific user or subaddress, or a pattern matching the user, was
+    //   found in the user store, or
+    // - the global user configuration is a wildcard, or
+    // - the user is in, or matches a pattern in, the set of allowed global
+    //   users
+    const messageUserIsAllowed =
+        userDestinationWithRejectTreatment !== undefined
+        || subaddressDestinationWithRejectTreatment !== undefined
+        || globalUsers === '*'
+        || localPartMatches(canonicalUser, globalUsers, FORMAT);
+    // The subaddress is used for the first time if it was not found in the
+    // user store but the subaddress configuration is '?', which accepts
+    // (and records) any subaddress on its first use from a sender domain,
+    // and was recorded if its sender domain was found instead.
+    // Only the sender domain is recorded, so that a recorded subaddress never
+    // allows a user which is not otherwise allowed
+    const messageSubaddressIsRecorded =
+        messageSubaddress !== ''
+        && subaddressDestinationWithRejectTreatment === undefined
+        && userConcreteSubaddresses === '?'
+        && storedSubaddressSenderDomain !== undefined;
+    const messageSubaddressIsFirstUse =
+        messageSubaddress !== ''
+        && subaddressDestinationWithRejectTreatment === undefined
+        && userConcreteSubaddresses === '?'
+        && storedSubaddressSenderDomain === undefined
+        && messageSenderDomain !== '';
+    // The subaddress is allowed if:
+    // - the message user either
+    //     - has no subaddress and users do not require one, or
+    //     - has a subaddress which has not expired, is either unrestricted
+    //       or restricted to the message's sender domain, and either the
+    //       specific subaddress was found in the user store, is used for the
+    //       first time or was recorded on its first use, or the subaddress
+    //       configuration is either a wildcard
+    //       or the subaddress is in, or matches a pattern in, the set of
+    //       allowed subaddresses
+    const messageSubaddressIsAllowed =
+        messageSubaddress === ''
+            ? !userRequiresSubaddress
+            : !subaddressRemainingLifetime?.hasExpired
+            && (subaddressSenderDomain === undefined
+                || subaddressSenderDomain === messageSenderDomain)
+            && (subaddressDestinationWithRejectTreatment !== undefined
+            || messageSubaddressIsFirstUse
+            || messageSubaddressIsRecorded
+            || userConcreteSubaddresses === '*'
+            || localPartMatches(messageSubaddress, userConcreteSubaddresses, FORMAT));
+
+    // The message's authentication is allowed unless a method whose failure
+    // rejects the message failed
+    const messageAuthenticationIsAllowed = !failedAuthenticationMethods
+        .some(method => rejectedAuthenticationFailures.includes(method));
+
+    // The message size is allowed unless it is larger than the maximum size,
+    // if any, of the stored user configuration which overrides the global
+    // configuration, both of which are only loaded if useStoredMaxSize
+    const storedUserMaxSize = await storedConfigurationValue(
+        useStoredMaxSize && useStoredUserConfiguration, `${canonicalUser}@MAX_SIZE`);
+    const [globalMaxSize, globalMaxSizeSource] = storedUserMaxSize === undefined
+        ? await globalConfigurationValue(useStoredMaxSize && useStoredAddressGlobalConfiguration, 'MAX_SIZE')
+        : ['', null];
+    const userMaxSize = parseMaxSize(storedUserMaxSize ?? globalMaxSize, FORMAT);
+    const messageSizeIsAllowed =
+        userMaxSize.maxSize === undefined
+        || typeof message.rawSize !== 'number'
+        || message.rawSize <= userMaxSize.maxSize;
+
+    // The rule, if any, allows the message unless it rejects it
+    const messageRuleIsAllowed = rule?.accept !== false;
+
+    // The sender is allowed if:
+    // - the sender is not one of the blocked senders, and
+    // - either all senders are allowed or the sender is one of the allowed
+    //   senders
+    const messageSenderIsAllowed =
+        !senderMatches(message.from ?? '', userBlockedSenders)
+        && (userAllowedSenders.length === 0
+            || senderMatches(message.from ?? '', userAllowedSenders));
+
+    // The message is within the rate limits unless the messages already
+    // accepted within the current period of any limit have reached its
+    // maximum, where messages are only counted if they are otherwise allowed,
+    // and the stored configuration is only loaded if messages can be counted
+    const [globalRateLimits, globalRateLimitsSource] = await globalConfigurationValue(
+        useStoredAddressGlobalConfiguration && RATE_LIMIT_COUNTERS !== undefined, 'RATE_LIMITS');
+    const rateLimits = parseRateLimits(globalRateLimits, FORMAT);
+    const rateLimitSubjects = {
+        sender: message.from?.trim().toLowerCase() ?? '',
+        senderDomain: messageSenderDomain,
+        user: `${canonicalUser}@${messageDomain}`,
+    };
+    const messageIsOtherwiseAllowed =
+        messageUserIsAllowed && messageSubaddressIsAllowed && messageSenderIsAllowed
+        && messageAuthenticationIsAllowed && messageSizeIsAllowed && messageRuleIsAllowed;
+    if (rateLimits.limits.length > 0 && RATE_LIMIT_COUNTERS === undefined)
+        console.warn({ messageUser: messageUser, issue: 'rate limits without a RATE_LIMIT_COUNTERS binding' });
+    const messageRateLimits = !messageIsOtherwiseAllowed || RATE_LIMIT_COUNTERS === undefined ? []
+        : await Promise.all(rateLimits.limits
+            .filter(({ scope }) => rateLimitSubjects[scope] !== '')
+            .map(async limit => {
+                const periodIndex = Math.floor(now().getTime() / 1000 / FIXED.RATE_LIMIT_PERIODS[limit.period]);
+                const key = `${limit.scope}:${rateLimitSubjects[limit.scope]}:${limit.period}:${periodIndex}`;
+                const messages = await rateLimitMessages(RATE_LIMIT_COUNTERS, key);
+                return { ...limit, subject: rateLimitSubjects[limit.scope], key: key, messages: messages };
+            }));
+    const messageRateIsAllowed =
+        messageRateLimits.every(limit => limit.messages < limit.maxMessages);
+
+    // Given destinations may reference stored groups, e.g. `@GROUP:sales`,
+    // expand them into their members, which may reference other groups,
+    // ignoring groups which are not stored or which contain themselves
+    const expandedGroups = [];
+    async function expandGroups(destination, groups = []) {
+        const expandedGroupMembers = new Map();
+        for (const group of new Set(destination.match(FIXED.groupReferenceRegExp))) {
+            if (groups.includes(group)) {
+                console.warn({ messageUser: messageUser, issue: 'group loop', groups: [...groups, group] });
+                expandedGroupMembers.set(group, '');
+                continue;
+            }
+            if (!expandedGroups.includes(group))
+                expandedGroups.push(group);
+            const members = await storedConfigurationValue(useStoredAddressGlobalConfiguration, group) ?? '';
+            expandedGroupMembers.set(group, await expandGroups(members, [...groups, group]));
+        }
+        return destination.replace(FIXED.groupReferenceRegExp, group => expandedGroupMembers.get(group));
+    }
+    // The expanded destinations are deduped as any other, and only the first
+    // MAX_FORWARDS redundant destinations are forwarded to
+    const { maxForwards, issues: maxForwardsIssues } = parseMaxForwards(MAX_FORWARDS);
+    if (maxForwardsIssues.length > 0)
+        console.warn({ variable: 'MAX_FORWARDS', issues: maxForwardsIssues });
+    function limitForwards(multiDestination, destinationType) {
+        if (multiDestination.validRedundant.length <= maxForwards)
+            return multiDestination;
+        console.warn({
+            messageUser: messageUser,
+            issue: 'too many forwards',
+            destinationType: destinationType,
+            destinations: multiDestination.validRedundant.slice(maxForwards),
+        });
+        return {
+            ...multiDestination,
+            validRedundant: multiDestination.validRedundant.slice(0, maxForwards),
+            strategies: multiDestination.strategies.slice(0, maxForwards),
+        };
+    }
+    // The message's domain is only prepended to destinations if
+    // useStoredDomainConfiguration, as destinations otherwise have the
+    // format they had before domains were supported
+    const destinationDomain = useStoredDomainConfiguration ? messageDomain : undefined;
+    const acceptMultiDestination = limitForwards(
+        validateMultiDestination(await expandGroups(userDestination), canonicalUser, FORMAT, destinationDomain),
+        'AcceptForward');
+    const rejectMultiDestination = limitForwards(
+        validateMultiDestination(await expandGroups(userRejectTreatment), canonicalUser, FORMAT, destinationDomain),
+        'RejectForward');
+
+    // The reason used if the message is directly rejected, which is that of
+    // the maximum size if the message is too large, or of the rate limits if
+    // the message is over a limit
+    const userRejectReason =
+        !messageSizeIsAllowed && userMaxSize.rejectReason
+        || !messageRateIsAllowed && rateLimits.rejectReason
+        || !userRejectTreatment.includes('@') && userRejectTreatment
+        || !globalRejectTreatment.includes('@') && globalRejectTreatment
+        || !REJECT_TREATMENT.includes('@') && REJECT_TREATMENT.trim()
+        || DEFAULTS.REJECT_TREATMENT.trim();
+    // Prepend the message's local part if the reject reason begin's
+    // with a non-alphanumeric
+    const fullRejectReason = FIXED.prepend(
+        userRejectReason,
+        [{ test: FIXED.startsWithNonAlphanumericRegExp, prepend: messageLocalPart }]
+    );
+
+    // Headers added when forwarding from JSON documents for the user and
+    // subaddress, the latter overriding the former
+    const headers = {
+        ...storedDocuments[userKey]?.headers,
+        ...storedDocuments[subaddressKey]?.headers,
+    };
+
+    // If useStoredAutoReply load the auto-reply of the canonical user, which
+    // is ignored (with a warning) if it has issues
+    const storedUserAutoReply = await storedConfigurationValue(
+        useStoredAutoReply, `${canonicalUser}@AUTO_REPLY`);
+    const { autoReply: userAutoReply, issues: userAutoReplyIssues } = storedUserAutoReply !== undefined
+        ? parseAutoReply(storedUserAutoReply)
+        : { autoReply: undefined, issues: [] };
+    if (userAutoReplyIssues.length > 0)
+        console.warn({ key: `${canonicalUser}@AUTO_REPLY`, issues: userAutoReplyIssues });
+
+    // Stored values updated if the message is accept forwarded, i.e.
+    // - the number of messages accepted by a subaddress with limited
+    //   messages, or
+    // - the sender domain of a subaddress used for the first time
+    const storedUpdatesOnAccept = {
+        ...subaddressLifetime.maxMessages !== undefined
+            ? { [acceptedMessagesKey]: String(subaddressAcceptedMessages + 1) }
+            : {},
+        ...messageSubaddressIsFirstUse
+            ? { [subaddressSenderDomainKey]: messageSenderDomain }
+            : {},
+    };
+
+    // The action which will be attempted first, and which is followed by
+    // the next if it fails
+    const action =
+        messageUserIsAllowed && messageSubaddressIsAllowed && messageSenderIsAllowed
+            && messageAuthenticationIsAllowed && messageSizeIsAllowed && messageRuleIsAllowed
+            && messageRateIsAllowed && acceptMultiDestination.validRedundant.length > 0
+            ? 'AcceptForwarding'
+            : rejectMultiDestination.validRedundant.length > 0
+                ? 'RejectForwarding'
+                : 'DirectRejecting';
+
+    return {
+        configuration: {
+            ...CONFIGURATION,
+            errorClassification: [...storedErrorClassification, ...CONFIGURATION.errorClassification],
+        },
         // For logging
-        const theEmailImage = emailImage(message);
-
-        // If useStoredUserConfiguration
-        // load stored user configuration
-        // which overrides environment-based configuration (and defaults)
-        const userDestinationWithRejectTreatment
-            = await storedConfigurationValue(useStoredUserConfiguration, messageUser);
-        // An empty string is valid (no subaddresses allowed) and the ??
-        // operator will prevent this value from stored configuration from being
-        // overriden as '' ?? x evaluates to ''
-        const userSubaddresses =
-            (await storedConfigurationValue(
-                useStoredUserConfiguration,
-                messageUser + FORMAT_LOCAL_PART_SEPARATOR))
-                ?.trim().toLowerCase()
-            ?? globalSubaddresses;
-        const userRequiresSubaddress = userSubaddresses.startsWith(FORMAT_LOCAL_PART_SEPARATOR);
-        const userConcreteSubaddresses = userSubaddresses.replace(startsWithLocalPartSeparatorRegExp, '');
-
-        // Given userDestinationWithRejectTreatment has the syntax:
-        //     `${destination}${FORMAT_REJECT_SEPARATOR}${rejectTreatment}`
-        // extract destination and rejectTreatment.
-        // Empty strings for these constants indicate that the global
-        // configuration should override the user configuration
-        // and the || operator allows such an override as '' is falsy
-        // and so '' || x evaluates to x 
-        //
-        const userDestination =
-            userDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(0).trim()
-            || globalDestination;
-        const userRejectTreatment =
-            userDestinationWithRejectTreatment?.split(FORMAT_REJECT_SEPARATOR).at(1)?.trim()
-            || globalRejectTreatment;
-
-        // The message user is allowed if:
-        // - the specific message user was found in the user store, or
-        // - the global user configuration is a wildcard, or
-        // - the message user is in the set of allowed global users
-        const messageUserIsAllowed =
-            userDestinationWithRejectTreatment !== undefined
-            || globalUsers === '*'
-            || globalUsers.split(FORMAT_REDUNDANT_ADDRESS_SEPARATOR)
-                .map(s => s.trim()).includes(messageUser);
-        // The subaddress is allowed if:
-        // - the message user either
-        //     - has no subaddress and users do not require one, or
-        //     - has a subaddress and the subaddress configuration is either
-        //       a wildcard or the user in the set of allowed subaddresses 
-        const messageSubaddressIsAllowed =
-            messageSubaddress === ''
-                ? !userRequiresSubaddress
-                : userConcreteSubaddresses === '*'
-                || userConcreteSubaddresses.split(FORMAT_REDUNDANT_ADDRESS_SEPARATOR)
-                    .map(s => s.trim()).includes(messageSubaddress);
-
-        // Accept forward if the the message user and subaddress are allowed
-        let acceptForwardWasSuccessful = false;
-        if (messageUserIsAllowed && messageSubaddressIsAllowed) {
-            const acceptMultiDestination =
-                validateMultiDestination(userDestination);
-            warnAboutBadDestinations(messageUser, acceptMultiDestination, 'AcceptForward');
+        email: emailImage(message, trustedAuthservIds),
+        messageUser: messageUser,
+        messageSubaddress: messageSubaddress,
+        messageDomain: messageDomain,
+        userAliases: userAliases,
+        canonicalUser: canonicalUser,
+        messageUserPattern: messageUserPattern,
+        expandedGroups: expandedGroups,
+        sources: {
+            destination: ruleDestination ? rule.source
+                : scheduleWindow !== undefined ? scheduleWindow.source
+                    : storedSubaddressDestination ? storedSource(subaddressKey)
+                        : storedUserDestination ? storedSource(userKey)
+                            : globalDestinationSource,
+            rejectTreatment: ruleRejectTreatment ? rule.source
+                : storedSubaddressRejectTreatment ? storedSource(subaddressKey)
+                    : storedUserRejectTreatment ? storedSource(userKey)
+                        : globalRejectTreatmentSource,
+            subaddresses: subaddressDestinationWithRejectTreatment !== undefined
+                ? storedSource(subaddressKey)
+                : storedUserSubaddresses !== undefined
+                    ? storedSource(storedUserSubaddressesKey) : globalSubaddressesSource,
+            users: userDestinationWithRejectTreatment !== undefined ? storedSource(userKey)
+                : subaddressDestinationWithRejectTreatment !== undefined ? storedSource(subaddressKey)
+                    : globalUsersSource,
+            blockedSenders: storedUserBlockedSenders !== undefined
+                ? storedSource(`${canonicalUser}@BLOCKED_SENDERS`) : globalBlockedSendersSource,
+            allowedSenders: storedUserAllowedSenders !== undefined
+                ? storedSource(`${canonicalUser}@ALLOWED_SENDERS`) : globalAllowedSendersSource,
+            rateLimits: globalRateLimitsSource,
+            maxSize: storedUserMaxSize !== undefined
+                ? storedSource(`${canonicalUser}@MAX_SIZE`) : globalMaxSizeSource,
+            rejectAuthenticationFailures: storedUserRejectAuthenticationFailures !== undefined
+                ? storedSource(`${canonicalUser}@REJECT_AUTHENTICATION_FAILURES`)
+                : globalRejectAuthenticationFailuresSource,
+            autoReply: userAutoReply !== undefined ? storedSource(`${canonicalUser}@AUTO_REPLY`) : null,
+        },
+        messageUserIsAllowed: messageUserIsAllowed,
+        messageSubaddressIsAllowed: messageSubaddressIsAllowed,
+        scheduleWindow: scheduleWindow !== undefined
+            ? { source: scheduleWindow.source, timeZone: scheduleWindow.timeZone }
+            : null,
+        subaddressLifetime: subaddressRemainingLifetime ?? null,
+        subaddressSenderDomain: subaddressSenderDomain ?? null,
+        messageSubaddressIsFirstUse: messageSubaddressIsFirstUse,
+        messageSubaddressIsRecorded: messageSubaddressIsRecorded,
+        messageSenderIsAllowed: messageSenderIsAllowed,
+        authentication: messageAuthentication,
+        messageAuthenticationIsAllowed: messageAuthenticationIsAllowed,
+        maxSize: userMaxSize.maxSize ?? null,
+        messageSizeIsAllowed: messageSizeIsAllowed,
+        rateLimits: messageRateLimits,
+        messageRateIsAllowed: messageRateIsAllowed,
+        rule: rule !== undefined ? { source: rule.source, name: rule.name } : null,
+        messageRuleIsAllowed: messageRuleIsAllowed,
+        customHeaderValue: rule?.customHeader ?? null,
+        acceptMultiDestination: acceptMultiDestination,
+        rejectMultiDestination: rejectMultiDestination,
+        rejectReason: fullRejectReason,
+        headers: headers,
+        action: action,
+        storedUpdatesOnAccept: storedUpdatesOnAccept,
+        autoReply: userAutoReply ?? null,
+    };
+}
+
+// Returns statistics of deliveries by user and by simple destination, where a
+// user's failures are the messages whose first action was not achieved, or
+// whose queued retries failed, and a destination's failures are the forwards
+// to it which failed. Failed retries are recorded separately from their
+// messages, which are therefore not counted again
+function deliveryStatistics(deliveries) {
+    const users = {};
+    const destinations = {};
+    const rate = (failures, total) => total > 0 ? failures / total : 0;
+    for (const delivery of deliveries) {
+        const user = users[delivery.user] ??= { messages: 0, outcomes: {}, failures: 0 };
+        if (delivery.outcome !== 'RetryFailed')
+            user.messages++;
+        user.outcomes[delivery.outcome] = (user.outcomes[delivery.outcome] ?? 0) + 1;
+        if (delivery.outcome !== FIXED.DELIVERY_ACTION_OUTCOMES[delivery.action])
+            user.failures++;
+        for (const attempt of delivery.attempts) {
+            const simpleDestinations = [
+                ...attempt.errorMessages.map(({ simpleDestination }) => [simpleDestination, false]),
+                ...attempt.wasSuccessful ? [[attempt.successfulDestination, true]] : [],
+            ];
+            for (const [simpleDestination, wasSuccessful] of simpleDestinations) {
+                const destination = destinations[simpleDestination] ??= { forwards: 0, failures: 0 };
+                destination.forwards++;
+                if (!wasSuccessful)
+                    destination.failures++;
+            }
+        }
+    }
+    Object.values(users).forEach(user => user.failureRate = rate(user.failures, user.messages));
+    Object.values(destinations).forEach(destination =>
+        destination.failureRate = rate(destination.failures, destination.forwards));
+    return {
+        messages: deliveries.filter(delivery => delivery.outcome !== 'RetryFailed').length,
+        users: users,
+        destinations: destinations,
+    };
+}
+// Summarizes the deliveries recorded in the delivery log over a time range
+//     GET /stats[?from=...&to=...]    with ISO 8601 times, by default the
+//                                     last day
+async function statisticsResponse(request, url, environment) {
+    if (request.method !== 'GET')
+        return jsonResponse({ error: 'Method Not Allowed' }, 405, { Allow: 'GET' });
+    const { DELIVERY_LOG, now } = { ...DEFAULTS, ...environment };
+    if (DELIVERY_LOG === undefined)
+        return jsonResponse({ error: 'No delivery log is bound as DELIVERY_LOG' }, 404);
+    const time = name => url.searchParams.has(name) ? new Date(url.searchParams.get(name)) : undefined;
+    const to = time('to') ?? now();
+    const from = time('from') ?? new Date(to.getTime() - FIXED.ADMIN_STATS_DEFAULT_RANGE);
+    const invalidTimes = Object.entries({ from, to })
+        .filter(([, time]) => Number.isNaN(time.getTime())).map(([name]) => name);
+    if (invalidTimes.length > 0)
+        return jsonResponse({ error: `Invalid '${invalidTimes[0]}' time` }, 400);
+    return jsonResponse({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        ...deliveryStatistics(await deliveryLog(DELIVERY_LOG).deliveries(from, to)),
+    });
+}
+
+// Reports the circuits of destinations, and whether each is closed, open or
+// half-open
+//     GET /health
+async function healthResponse(request, environment) {
+    if (request.method !== 'GET')
+        return jsonResponse({ error: 'Method Not Allowed' }, 405, { Allow: 'GET' });
+    const configuration = forwardingConfiguration(environment);
+    let circuits;
+    try {
+        circuits = await destinationCircuits(configuration);
+    } catch (error) {
+        return jsonResponse({ error: `Destination state not listed: ${error.message}` }, 503);
+    }
+    return jsonResponse({
+        time: configuration.now().toISOString(),
+        circuitFailureThreshold: configuration.circuitFailureThreshold,
+        circuitCooldownSeconds: configuration.circuitCooldownSeconds,
+        isDestinationStateShared: environment.DESTINATION_STATE !== undefined,
+        openCircuits: circuits.filter(({ state }) => state !== 'closed').length,
+        circuits: circuits,
+    });
+}
+
+// Returns a message with the attributes used by routeMessage, for simulating
+// the handling of an email
+function simulatedMessage({ to, from = '', headers = {}, size = null }) {
+    return {
+        to: to,
+        from: from,
+        headers: new Headers(headers),
+        raw: null,
+        rawSize: size,
+    };
+}
+// Explains how an email would be handled
+//     POST /simulate    with a JSON body {"to": "...", "from": "..."}
+async function simulationResponse(request, environment) {
+    if (request.method !== 'POST')
+        return jsonResponse({ error: 'Method Not Allowed' }, 405, { Allow: 'POST' });
+    let simulation;
+    try {
+        simulation = await request.json();
+    } catch {
+        return jsonResponse({ error: 'Invalid JSON' }, 400);
+    }
+    if (typeof simulation?.to !== 'string' || !simulation.to.includes('@'))
+        return jsonResponse({ error: "Missing or invalid 'to' address" }, 400);
+    const { from, headers, size } = simulation;
+    if (from !== undefined && typeof from !== 'string')
+        return jsonResponse({ error: "Invalid 'from' address" }, 400);
+    if (headers !== undefined && (typeof headers !== 'object' || headers === null || Array.isArray(headers)
+        || !Object.values(headers).every((value) => typeof value === 'string')))
+        return jsonResponse({ error: "Invalid 'headers', which must be an object of strings" }, 400);
+    if (size !== undefined && size !== null && (!Number.isFinite(size) || size < 0))
+        return jsonResponse({ error: "Invalid 'size', which must be a number of bytes" }, 400);
+    const { configuration, ...trace } =
+        await routeMessage(simulatedMessage(simulation), environment);
+    return jsonResponse(trace);
+}
+
+export default {
+    // Handle the forwarding of an email based on the message's `to` attribute.
+    async email(message, environment, context) {
+        const route = await routeMessage(message, environment);
+        const {
+            configuration: CONFIGURATION,
+            email: theEmailImage,
+            messageUser,
+        } = route;
+        const {
+            consoleLog,
+            customHeader,
+            customHeaderFail,
+            customHeaderPass,
+            MAP,
+            deliveryLog,
+        } = CONFIGURATION;
+
+        // Log the aliases followed to the canonical user, if any
+        if (route.userAliases.length > 1)
             consoleLog({
                 email: theEmailImage,
-                action: 'AcceptForwarding',
-                destinations: acceptMultiDestination.validRedundant,
+                action: 'ResolvingAliases',
+                aliases: route.userAliases,
+                canonicalUser: route.canonicalUser,
             }, CONFIGURATION);
-            // Forward with custom header set to customHeaderPass
-            acceptForwardWasSuccessful =
-                await forwardToMultiDestination(
-                    message,
-                    'AcceptForwarding',
-                    acceptMultiDestination.validRedundant,
-                    new Headers({ [customHeader]: customHeaderPass }),
-                    theEmailImage,
-                    CONFIGURATION
-                );
-        }
 
-        // If accept forward failed or none was attempted then reject forward
-        if (!acceptForwardWasSuccessful) {
-            const rejectMultiDestination =
-                validateMultiDestination(userRejectTreatment);
-            let rejectForwardWasSuccessful = false;
-            // Reject forward if there are some valid reject forward destinations
-            if (rejectMultiDestination.validRedundant.length > 0) {
-                warnAboutBadDestinations(messageUser, rejectMultiDestination, 'RejectForward');
-                rejectForwardWasSuccessful =
+        // Forwards to the valid redundant destinations of a multi destination,
+        // in the order of their strategies, recording the redundant
+        // destinations attempted, with their results, for the delivery log
+        const deliveryAttempts = [];
+        const forwardToMultiDestination = (actionType, multiDestination, customHeaders) =>
+            CONFIGURATION.forwardToMultiDestination(
+                message, actionType, multiDestination.validRedundant, customHeaders, theEmailImage, {
+                ...CONFIGURATION,
+                canonicalUser: route.canonicalUser,
+                async forwardToRedundantDestination(message, redundantDestination, ...parameters) {
+                    const result = await CONFIGURATION.forwardToRedundantDestination(
+                        message, redundantDestination, ...parameters);
+                    deliveryAttempts.push({ action: actionType, redundantDestination: redundantDestination, result: result });
+                    return result;
+                },
+            }, multiDestination.strategies);
+        // The outcome of the delivery, which is deferred unless the message is
+        // forwarded or rejected, i.e. if an exception is thrown
+        let deliveryOutcome = 'Deferred';
+        try {
+            // Log the rate limits reached, if any, by an otherwise allowed
+            // message
+            if (!route.messageRateIsAllowed)
+                consoleLog({
+                    email: theEmailImage,
+                    action: 'Throttling',
+                    rateLimits: route.rateLimits
+                        .filter(limit => limit.messages >= limit.maxMessages)
+                        .map(({ key, ...limit }) => limit),
+                }, CONFIGURATION);
+
+            // Accept forward if the the message user, subaddress, sender,
+            // authentication and size are allowed, no rule rejects the
+            // message, and it is within the rate limits
+            let acceptForwardWasSuccessful = false;
+            if (route.messageUserIsAllowed && route.messageSubaddressIsAllowed
+                && route.messageSenderIsAllowed && route.messageAuthenticationIsAllowed
+                && route.messageSizeIsAllowed && route.messageRuleIsAllowed
+                && route.messageRateIsAllowed) {
+                // Count the message against the rate limits (the counts of
+                // other isolates are only seen once written and listed, so
+                // concurrent messages may exceed a limit slightly)
+                await Promise.all(route.rateLimits.map(async limit => {
+                    try {
+                        await countRateLimitMessage(CONFIGURATION.RATE_LIMIT_COUNTERS, limit.key,
+                            FIXED.RATE_LIMIT_PERIODS[limit.period], CONFIGURATION.now());
+                    } catch (error) {
+                        console.warn({ messageUser: messageUser, issue: 'rate limit not counted', errorMessage: error.message });
+                    }
+                }));
+                const acceptMultiDestination = route.acceptMultiDestination;
+                warnAboutBadDestinations(messageUser, acceptMultiDestination, 'AcceptForward');
+                consoleLog({
+                    email: theEmailImage,
+                    action: 'AcceptForwarding',
+                    destinations: acceptMultiDestination.validRedundant,
+                }, CONFIGURATION);
+                // Forward with custom header set to customHeaderPass
+                acceptForwardWasSuccessful =
                     await forwardToMultiDestination(
-                        message,
-                        'RejectForwarding',
-                        rejectMultiDestination.validRedundant,
-                        new Headers({ [customHeader]: customHeaderFail }),
-                        theEmailImage,
-                        CONFIGURATION
+                        'AcceptForwarding',
+                        acceptMultiDestination,
+                        new Headers({ ...route.headers, [customHeader]: route.customHeaderValue ?? customHeaderPass })
                     );
+                if (acceptForwardWasSuccessful)
+                    deliveryOutcome = 'AcceptForwarded';
             }
 
-            // If reject forward failed or none was attempted then direct reject
-            if (!rejectForwardWasSuccessful) {
-                const userRejectReason =
-                    !userRejectTreatment.includes('@') && userRejectTreatment
-                    || !globalRejectTreatment.includes('@') && globalRejectTreatment
-                    || !REJECT_TREATMENT.includes('@') && REJECT_TREATMENT.trim()
-                    || DEFAULTS.REJECT_TREATMENT.trim();
-                // Prepend the message's local part if the reject reason begin's
-                // with a non-alphanumeric
-                const fullRejectReason = FIXED.prepend(
-                    userRejectReason,
-                    [{ test: FIXED.startsWithNonAlphanumericRegExp, prepend: messageLocalPart }]
-                );
-                message.setReject(fullRejectReason);
-                console.info({
+            // Update stored values which depend on the message being accepted
+            // (these read-then-write updates are not atomic, so concurrent
+            // messages may be counted once), without failing the already
+            // forwarded message if they cannot be written
+            if (acceptForwardWasSuccessful)
+                await Promise.all(Object.entries(route.storedUpdatesOnAccept)
+                    .map(async ([key, value]) => {
+                        try {
+                            await MAP.put(key, value);
+                            forgetCachedStoredValue(MAP, key);
+                        } catch (error) {
+                            console.warn({ messageUser: messageUser, issue: 'stored value not updated', key: key, errorMessage: error.message });
+                        }
+                    }));
+
+            // Auto-reply to the sender of an accepted message, if the user
+            // has an auto-reply
+            if (acceptForwardWasSuccessful && route.autoReply !== null)
+                await autoReplyToSender(message, route, CONFIGURATION);
+
+            // If accept forward failed or none was attempted then reject forward
+            if (!acceptForwardWasSuccessful) {
+                const rejectMultiDestination = route.rejectMultiDestination;
+                let rejectForwardWasSuccessful = false;
+                // Reject forward if there are some valid reject forward destinations
+                if (rejectMultiDestination.validRedundant.length > 0) {
+                    warnAboutBadDestinations(messageUser, rejectMultiDestination, 'RejectForward');
+                    rejectForwardWasSuccessful =
+                        await forwardToMultiDestination(
+                            'RejectForwarding',
+                            rejectMultiDestination,
+                            new Headers({ ...route.headers, [customHeader]: route.customHeaderValue ?? customHeaderFail })
+                        );
+                    if (rejectForwardWasSuccessful)
+                        deliveryOutcome = 'RejectForwarded';
+                }
+
+                // If reject forward failed or none was attempted then direct reject
+                if (!rejectForwardWasSuccessful) {
+                    message.setReject(route.rejectReason);
+                    deliveryOutcome = 'DirectRejected';
+                    console.info({
+                        email: theEmailImage,
+                        action: 'DirectRejecting',
+                        rejectReason: route.rejectReason,
+                    });
+                }
+            }
+        } finally {
+            if (deliveryLog !== undefined)
+                await recordDelivery(deliveryLog, {
+                    time: CONFIGURATION.now().toISOString(),
                     email: theEmailImage,
-                    action: 'DirectRejecting',
-                    rejectReason: fullRejectReason,
+                    user: route.canonicalUser,
+                    action: route.action,
+                    outcome: deliveryOutcome,
+                    attempts: deliveryAttempts.map(({ action, redundantDestination, result }) => ({
+                        action: action,
+                        redundantDestination: redundantDestination,
+                        strategy: result.strategy,
+                        wasSuccessful: result.wasSuccessful,
+                        successfulDestination: result.successfulDestination,
+                        errorMessages: result.errorMessages,
+                    })),
                 });
+
+            // Notify the administrator of the forwards which failed without
+            // the sender being asked to retry, if any
+            const failedActions = [...new Set(deliveryAttempts
+                .filter(({ result }) => !result.wasSuccessful && !result.hadRecoverableError)
+                .map(({ action }) => action))];
+            if (CONFIGURATION.adminNotify !== '' && deliveryOutcome !== 'Deferred' && failedActions.length > 0)
+                await notifyAdministrator({
+                    email: theEmailImage,
+                    outcome: deliveryOutcome,
+                    failures: failedActions.map(failedAction => {
+                        const attempts = deliveryAttempts.filter(({ action }) => action === failedAction);
+                        return {
+                            action: failedAction,
+                            multiDestination: attempts.map(({ redundantDestination }) => redundantDestination),
+                            errorMessages: attempts.flatMap(({ result }) => result.errorMessages),
+                        };
+                    }),
+                }, CONFIGURATION.adminNotifyFrom || message.to, CONFIGURATION);
+        }
+    },
+    // Handle a batch of queued retries of forwards, retrying a queued retry
+    // later if it throws
+    async queue(batch, environment, context) {
+        const { MAP, DELIVERY_LOG, USE_STORED_ERROR_CLASSIFICATION } = { ...DEFAULTS, ...environment };
+        const configuration = forwardingConfiguration(environment);
+        const CONFIGURATION = {
+            ...configuration,
+            deliveryLog: DELIVERY_LOG !== undefined ? deliveryLog(DELIVERY_LOG) : undefined,
+            errorClassification: [
+                ...booleanFromString(USE_STORED_ERROR_CLASSIFICATION)
+                    ? await loadedErrorClassification(key => MAP.get(key))
+                    : [],
+                ...configuration.errorClassification,
+            ],
+        };
+        for (const queuedMessage of batch.messages) {
+            try {
+                await retryQueuedForward(queuedMessage.body, CONFIGURATION);
+                queuedMessage.ack();
+            } catch (error) {
+                console.error({
+                    email: queuedMessage.body.email,
+                    action: 'RetryForwarding',
+                    errorMessage: error.message,
+                });
+                queuedMessage.retry({ delaySeconds: retryDelaySeconds(queuedMessage.attempts, CONFIGURATION) });
             }
         }
     },
-    // Handle a HTTP request by just returning either a not found error
-    // response. Not strictly necessary but helps avoid polluting the
+    // Handle a HTTP request to the administration API if enabled, otherwise
+    // by just returning either a not found error response. Not strictly
+    // necessary but helps avoid polluting the
     // email worker logs with the more frequent than one would hope
     // "Handler does not export a fetch() function." error message.
     // This appears to be caused by search crawlers attempting to index
@@ -622,12 +3827,45 @@ export default {
     // Having these errors in the logs increases the chance of missing
     // a far more important error relating to email forwarding as generated
     // by the email() function.
-    async fetch(request, env, ctx) {
+    async fetch(request, environment, context) {
         // Log the request URL and method
         console.log({
             method: request.method,
             url: request.url,
         });
+        const {
+            ADMIN_TOKEN,
+            MAP,
+        } = { ...DEFAULTS, ...environment };
+        const FORMAT = formatConfiguration({ ...DEFAULTS, ...environment });
+
+        const url = new URL(request.url);
+        const keysPathMatch = url.pathname.match(FIXED.ADMIN_KEYS_PATH_REGEXP);
+        // Responders for the administration API paths other than /keys
+        const administrationResponders = {
+            '/simulate': () => simulationResponse(request, environment),
+            '/stats': () => statisticsResponse(request, url, environment),
+            '/health': () => healthResponse(request, environment),
+        };
+        const isAdministrationRequest = keysPathMatch !== null
+            || Object.hasOwn(administrationResponders, url.pathname);
+        if (ADMIN_TOKEN.trim() !== '' && isAdministrationRequest) {
+            if (!await isAuthorizedAdministrator(request, ADMIN_TOKEN))
+                return jsonResponse({ error: 'Unauthorized' }, 401,
+                    { 'WWW-Authenticate': 'Bearer' });
+            if (keysPathMatch === null)
+                return administrationResponders[url.pathname]();
+            // A malformed escape in the key makes decodeURIComponent throw
+            let key;
+            try {
+                key = keysPathMatch[1] !== undefined
+                    ? decodeURIComponent(keysPathMatch[1])
+                    : undefined;
+            } catch (error) {
+                return jsonResponse({ error: 'Invalid key encoding' }, 400);
+            }
+            return storedKeysResponse(request, url, key, MAP, FORMAT);
+        }
         // Check if the request method is GET
         if (request.method === 'GET') {
             // Return a 404 Not Found response